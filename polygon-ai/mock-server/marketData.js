@@ -0,0 +1,595 @@
+/* global module, require */
+
+// Deterministic market data for the mock server. Each ticker follows a smooth price curve with a
+// little hashed noise, so bars for any range can be generated on demand and the same request
+// always returns the same numbers.
+
+const holidays = require("./fixtures/marketHolidays.json");
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const SESSION_OPEN_MINUTES = 9 * 60 + 30;
+const SESSION_CLOSE_MINUTES = 16 * 60;
+const EARLY_CLOSE_MINUTES = 13 * 60;
+
+const BASE_PRICES = {
+  AAPL: 230,
+  MSFT: 420,
+  GOOGL: 165,
+  AMZN: 185,
+  NVDA: 120,
+  META: 560,
+  TSLA: 240,
+  JPM: 210,
+  XOM: 118,
+  KO: 70,
+  SPY: 570,
+  QQQ: 490,
+  "I:SPX": 5700,
+  "I:NDX": 20000,
+  "C:EURUSD": 1.09,
+  "C:GBPUSD": 1.3,
+  "C:USDJPY": 149,
+  "X:BTCUSD": 65000,
+  "X:ETHUSD": 2600,
+  "X:SOLUSD": 150,
+};
+
+// Tickers returned by the grouped daily endpoints, by market.
+const GROUPED_TICKERS = {
+  stocks: [
+    "AAPL",
+    "AMZN",
+    "GOOGL",
+    "JPM",
+    "KO",
+    "META",
+    "MSFT",
+    "NVDA",
+    "QQQ",
+    "SPY",
+    "TSLA",
+    "XOM",
+  ],
+  fx: ["C:EURUSD", "C:GBPUSD", "C:USDJPY"],
+  crypto: ["X:BTCUSD", "X:ETHUSD", "X:SOLUSD"],
+};
+
+const closedDates = new Set(holidays.filter((h) => h.status === "closed").map((h) => h.date));
+const earlyCloseDates = new Set(
+  holidays.filter((h) => h.status === "early-close").map((h) => h.date)
+);
+
+const easternFormat = new Intl.DateTimeFormat("en-US", {
+  timeZone: "America/New_York",
+  hourCycle: "h23",
+  year: "numeric",
+  month: "2-digit",
+  day: "2-digit",
+  hour: "2-digit",
+  minute: "2-digit",
+});
+
+/**
+ * @param {string} ticker The ticker symbol.
+ * @returns {string} The market the ticker belongs to ("stocks", "options", "indices", "fx" or "crypto").
+ */
+function getMarket(ticker) {
+  if (ticker.startsWith("X:")) return "crypto";
+  if (ticker.startsWith("C:")) return "fx";
+  if (ticker.startsWith("O:")) return "options";
+  if (ticker.startsWith("I:")) return "indices";
+  return "stocks";
+}
+
+/**
+ * FNV-1a hash of a string.
+ * @param {string} text The text to hash.
+ * @returns {number} An unsigned 32-bit hash.
+ */
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193) >>> 0;
+  }
+  return value;
+}
+
+/**
+ * @param {string} ticker The ticker symbol.
+ * @param {string|number} slot Anything identifying the sample.
+ * @returns {number} Repeatable noise between -1 and 1.
+ */
+function noise(ticker, slot) {
+  return (hash(`${ticker}:${slot}`) / 0xffffffff) * 2 - 1;
+}
+
+/**
+ * @param {string} ticker The ticker symbol.
+ * @returns {number} The price the ticker's curve oscillates around.
+ */
+function getBasePrice(ticker) {
+  if (BASE_PRICES[ticker]) return BASE_PRICES[ticker];
+  if (getMarket(ticker) === "options") return 1 + (hash(ticker) % 2000) / 100;
+  return 10 + (hash(ticker) % 49000) / 100;
+}
+
+/**
+ * @param {string} ticker The ticker symbol.
+ * @returns {number} Typical shares (or units) traded per session.
+ */
+function getBaseVolume(ticker) {
+  const market = getMarket(ticker);
+  if (market === "crypto") return 5000 + (hash(ticker) % 20000);
+  if (market === "fx") return 100000 + (hash(ticker) % 400000);
+  if (market === "options") return 500 + (hash(ticker) % 20000);
+  return 5000000 + (hash(ticker) % 60000000);
+}
+
+/**
+ * @param {string} ticker The ticker symbol.
+ * @param {number} value The price to round.
+ * @returns {number} The price rounded to a realistic tick size.
+ */
+function roundPrice(ticker, value) {
+  const decimals = getMarket(ticker) === "fx" ? 5 : value < 10 ? 4 : 2;
+  return Number(value.toFixed(decimals));
+}
+
+/**
+ * @param {string} ticker The ticker symbol.
+ * @param {number} time Unix time in milliseconds.
+ * @returns {number} The ticker's price at that minute.
+ */
+function getPrice(ticker, time) {
+  const phase = ((hash(ticker) % 1000) / 1000) * 2 * Math.PI;
+  const trend = 0.12 * Math.sin(time / (200 * DAY_MS) + phase);
+  const swing = 0.04 * Math.sin(time / (9 * DAY_MS) + 2 * phase);
+  const jitter = 0.004 * noise(ticker, Math.floor(time / MINUTE_MS));
+  return roundPrice(ticker, getBasePrice(ticker) * (1 + trend + swing + jitter));
+}
+
+/**
+ * @param {number} time Unix time in milliseconds.
+ * @returns {{date: string, minutes: number}} The New York calendar date and minutes past midnight.
+ */
+function toEastern(time) {
+  const parts = {};
+  easternFormat.formatToParts(new Date(time)).forEach((part) => (parts[part.type] = part.value));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+/**
+ * @param {string} date A date in YYYY-MM-DD format.
+ * @param {number} [minutes=0] Minutes past midnight, New York time.
+ * @returns {number} Unix time in milliseconds of that wall-clock time in New York.
+ */
+function easternTime(date, minutes = 0) {
+  const [year, month, day] = date.split("-").map(Number);
+  const guess = Date.UTC(year, month - 1, day, 12);
+  const eastern = toEastern(guess);
+  const offset = eastern.minutes - 12 * 60;
+  return Date.UTC(year, month - 1, day) + (minutes - offset) * MINUTE_MS;
+}
+
+/**
+ * @param {string} date A date in YYYY-MM-DD format.
+ * @param {number} days Days to add; may be negative.
+ * @returns {string} The shifted date.
+ */
+function addDays(date, days) {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split("T")[0];
+}
+
+/**
+ * @param {string} market The market.
+ * @param {string} date A date in YYYY-MM-DD format.
+ * @returns {boolean} Whether the market trades on that date.
+ */
+function isTradingDay(market, date) {
+  if (market === "crypto") return true;
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  if (weekday === 0 || weekday === 6) return false;
+  return market === "fx" || !closedDates.has(date);
+}
+
+/**
+ * @param {string} market The market.
+ * @param {string} date A date in YYYY-MM-DD format.
+ * @returns {{start: number, end: number}|null} The regular session, or null when closed.
+ */
+function getSession(market, date) {
+  if (!isTradingDay(market, date)) return null;
+  if (market === "fx" || market === "crypto") {
+    return { start: easternTime(date), end: easternTime(addDays(date, 1)) };
+  }
+  const close = earlyCloseDates.has(date) ? EARLY_CLOSE_MINUTES : SESSION_CLOSE_MINUTES;
+  return { start: easternTime(date, SESSION_OPEN_MINUTES), end: easternTime(date, close) };
+}
+
+/**
+ * @param {string} market The market.
+ * @param {string} date A date in YYYY-MM-DD format.
+ * @returns {string} The closest trading day strictly before the date.
+ */
+function getPreviousTradingDay(market, date) {
+  let day = addDays(date, -1);
+  while (!isTradingDay(market, day)) day = addDays(day, -1);
+  return day;
+}
+
+/**
+ * @param {string} market The market.
+ * @param {number} now Unix time in milliseconds.
+ * @returns {string} Today when its session has started, otherwise the previous trading day.
+ */
+function getCurrentTradingDay(market, now) {
+  const today = toEastern(now).date;
+  const session = getSession(market, today);
+  return session && session.start <= now ? today : getPreviousTradingDay(market, today);
+}
+
+/**
+ * Builds a bar from the price curve between two times.
+ * @param {string} ticker The ticker symbol.
+ * @param {number} t The bar timestamp.
+ * @param {number} start Start of the traded interval.
+ * @param {number} end End of the traded interval.
+ * @param {number} sessions How many full sessions of volume the bar holds.
+ * @returns {Object} The bar in Polygon's aggregate format.
+ */
+function makeBar(ticker, t, start, end, sessions) {
+  const open = getPrice(ticker, start);
+  const close = getPrice(ticker, Math.max(start, end - MINUTE_MS));
+  let high = Math.max(open, close);
+  let low = Math.min(open, close);
+  const step = Math.max(MINUTE_MS, (end - start) / 16);
+  for (let time = start + step; time < end; time += step) {
+    const price = getPrice(ticker, time);
+    high = Math.max(high, price);
+    low = Math.min(low, price);
+  }
+  high = roundPrice(ticker, high * (1 + 0.002 * Math.abs(noise(ticker, `h${t}`))));
+  low = roundPrice(ticker, low * (1 - 0.002 * Math.abs(noise(ticker, `l${t}`))));
+  const volume = Math.round(getBaseVolume(ticker) * sessions * (1 + 0.3 * noise(ticker, `v${t}`)));
+  return {
+    v: volume,
+    vw: roundPrice(ticker, (high + low + close) / 3),
+    o: open,
+    c: close,
+    h: high,
+    l: low,
+    t,
+    n: Math.max(1, Math.round(volume / 150)),
+  };
+}
+
+/**
+ * @param {string} date A date in YYYY-MM-DD format.
+ * @param {string} timespan "week", "month", "quarter" or "year".
+ * @returns {string} The first day of the calendar period containing the date.
+ */
+function getPeriodStart(date, timespan) {
+  const [year, month] = date.split("-").map(Number);
+  if (timespan === "week") {
+    return addDays(date, -new Date(`${date}T00:00:00Z`).getUTCDay());
+  }
+  if (timespan === "month") return `${year}-${String(month).padStart(2, "0")}-01`;
+  if (timespan === "quarter") {
+    return `${year}-${String(month - ((month - 1) % 3)).padStart(2, "0")}-01`;
+  }
+  return `${year}-01-01`;
+}
+
+/**
+ * Generates aggregate bars for a ticker. Nothing is generated after now.
+ * @param {string} ticker The ticker symbol.
+ * @param {number} multiplier Size of each bar in timespans.
+ * @param {string} timespan "minute", "hour", "day", "week", "month", "quarter" or "year".
+ * @param {number} from Earliest bar time in milliseconds.
+ * @param {number} to Latest bar time in milliseconds.
+ * @param {number} now Unix time in milliseconds.
+ * @returns {Object[]} Bars in ascending time order.
+ */
+function getAggregates(ticker, multiplier, timespan, from, to, now) {
+  const market = getMarket(ticker);
+  const bars = [];
+  const lastDate = toEastern(Math.min(to, now)).date;
+  const intraday = timespan === "minute" || timespan === "hour";
+  let group = null;
+
+  const flushGroup = () => {
+    if (group) {
+      bars.push(makeBar(ticker, group.t, group.start, group.end, group.sessions));
+      group = null;
+    }
+  };
+
+  for (let date = toEastern(from).date; date <= lastDate; date = addDays(date, 1)) {
+    const session = getSession(market, date);
+    if (!session || session.start > now) continue;
+    const sessionEnd = Math.min(session.end, now);
+
+    if (intraday) {
+      const step = multiplier * (timespan === "minute" ? MINUTE_MS : HOUR_MS);
+      for (let start = session.start; start < sessionEnd; start += step) {
+        if (start < from || start > to) continue;
+        const end = Math.min(start + step, sessionEnd);
+        bars.push(
+          makeBar(ticker, start, start, end, (end - start) / (session.end - session.start))
+        );
+      }
+      continue;
+    }
+
+    const key = timespan === "day" ? date : getPeriodStart(date, timespan);
+    if (!group || (group.key !== key && ++group.periods > multiplier)) {
+      flushGroup();
+      group = { key, t: easternTime(key), start: session.start, periods: 1, sessions: 0 };
+    }
+    group.key = key;
+    group.end = sessionEnd;
+    group.sessions += (sessionEnd - session.start) / (session.end - session.start);
+  }
+  flushGroup();
+  return bars;
+}
+
+/**
+ * @param {string} ticker The ticker symbol.
+ * @param {string} date A date in YYYY-MM-DD format.
+ * @param {number} now Unix time in milliseconds.
+ * @returns {Object|null} The daily bar for the date, or null when the market did not trade.
+ */
+function getDailyBar(ticker, date, now) {
+  const session = getSession(getMarket(ticker), date);
+  if (!session || session.start > now) return null;
+  const end = Math.min(session.end, now);
+  return makeBar(
+    ticker,
+    easternTime(date),
+    session.start,
+    end,
+    (end - session.start) / (session.end - session.start)
+  );
+}
+
+/**
+ * @param {string} ticker The ticker symbol.
+ * @param {number} now Unix time in milliseconds.
+ * @returns {Object} The previous session's bar with its ticker in T.
+ */
+function getPreviousClose(ticker, now) {
+  const market = getMarket(ticker);
+  const date = getPreviousTradingDay(market, toEastern(now).date);
+  return { T: ticker, ...getDailyBar(ticker, date, now) };
+}
+
+/**
+ * @param {string} ticker The ticker symbol.
+ * @param {string} date A date in YYYY-MM-DD format.
+ * @param {number} now Unix time in milliseconds.
+ * @returns {Object|null} The open/close summary, or null when the market did not trade.
+ */
+function getOpenClose(ticker, date, now) {
+  const session = getSession(getMarket(ticker), date);
+  const bar = getDailyBar(ticker, date, now);
+  if (!bar || session.end > now) return null;
+  return {
+    status: "OK",
+    from: date,
+    symbol: ticker,
+    open: bar.o,
+    high: bar.h,
+    low: bar.l,
+    close: bar.c,
+    volume: bar.v,
+    afterHours: getPrice(ticker, session.end + 2 * HOUR_MS),
+    preMarket: getPrice(ticker, session.start - HOUR_MS),
+  };
+}
+
+/**
+ * @param {string} ticker The ticker symbol.
+ * @param {number} now Unix time in milliseconds.
+ * @returns {number} The time of the latest trade: now during a session, else the last close.
+ */
+function getLastTradeTime(ticker, now) {
+  const market = getMarket(ticker);
+  const session = getSession(market, getCurrentTradingDay(market, now));
+  return Math.min(now, session.end - 1000);
+}
+
+/**
+ * @param {string} ticker The ticker symbol.
+ * @param {number} now Unix time in milliseconds.
+ * @returns {Object} The latest trade in the /v2/last/trade format.
+ */
+function getLastTrade(ticker, now) {
+  const t = getLastTradeTime(ticker, now);
+  return {
+    T: ticker,
+    c: [14, 41],
+    i: String(hash(`${ticker}:${t}`)),
+    p: getPrice(ticker, t),
+    q: Math.floor(t / 1000) % 1000000,
+    s: 100 * (1 + (hash(`${ticker}:s${t}`) % 20)),
+    t,
+    x: getMarket(ticker) === "crypto" ? 1 : 4,
+    y: t,
+  };
+}
+
+/**
+ * Builds the latest NBBO. Both the stock field names (P/S bid-ask in capitals) and the
+ * ap/as/bp/bs names are filled in, since the add-in reads both.
+ * @param {string} ticker The ticker symbol.
+ * @param {number} now Unix time in milliseconds.
+ * @returns {Object} The latest quote in the /v2/last/nbbo format.
+ */
+function getLastQuote(ticker, now) {
+  const t = getLastTradeTime(ticker, now);
+  const price = getPrice(ticker, t);
+  const spread = getMarket(ticker) === "fx" ? 0.00005 : 0.0005;
+  const bid = roundPrice(ticker, price * (1 - spread));
+  const ask = roundPrice(ticker, price * (1 + spread));
+  const bidSize = 1 + (hash(`${ticker}:b${t}`) % 30);
+  const askSize = 1 + (hash(`${ticker}:a${t}`) % 30);
+  return {
+    T: ticker,
+    P: ask,
+    S: askSize,
+    p: bid,
+    s: bidSize,
+    ap: ask,
+    as: askSize,
+    bp: bid,
+    bs: bidSize,
+    t,
+    x: 11,
+    X: 12,
+    y: t,
+  };
+}
+
+/**
+ * Builds the trade and quote streamed at a moment. Unlike the REST prices, which move once a
+ * minute, ticks wiggle every second so a streaming cell visibly updates.
+ * @param {string} ticker The ticker symbol.
+ * @param {number} time Unix time in milliseconds.
+ * @returns {{id: string, price: number, size: number, bid: number, bidSize: number, ask: number,
+ * askSize: number}} The tick.
+ */
+function getTick(ticker, time) {
+  const second = Math.floor(time / 1000);
+  const price = roundPrice(ticker, getPrice(ticker, time) * (1 + 0.0005 * noise(ticker, second)));
+  const spread = getMarket(ticker) === "fx" ? 0.00005 : 0.0005;
+  return {
+    id: String(hash(`${ticker}:${second}`)),
+    price,
+    size: 100 * (1 + (hash(`${ticker}:s${second}`) % 20)),
+    bid: roundPrice(ticker, price * (1 - spread)),
+    bidSize: 1 + (hash(`${ticker}:b${second}`) % 30),
+    ask: roundPrice(ticker, price * (1 + spread)),
+    askSize: 1 + (hash(`${ticker}:a${second}`) % 30),
+  };
+}
+
+/**
+ * @param {string} ticker The ticker symbol.
+ * @param {number} now Unix time in milliseconds.
+ * @returns {Object} The ticker in the /v2/snapshot format.
+ */
+function getTickerSnapshot(ticker, now) {
+  const market = getMarket(ticker);
+  const today = getCurrentTradingDay(market, now);
+  const day = getDailyBar(ticker, today, now);
+  const prevDay = getDailyBar(ticker, getPreviousTradingDay(market, today), now);
+  const trade = getLastTrade(ticker, now);
+  const quote = getLastQuote(ticker, now);
+  const minuteStart = trade.t - (trade.t % MINUTE_MS);
+  const change = roundPrice(ticker, trade.p - prevDay.c);
+  return {
+    ticker,
+    todaysChange: change,
+    todaysChangePerc: Number(((change / prevDay.c) * 100).toFixed(4)),
+    updated: trade.t * 1e6,
+    day: { o: day.o, h: day.h, l: day.l, c: day.c, v: day.v, vw: day.vw },
+    min: makeBar(ticker, minuteStart, minuteStart, minuteStart + MINUTE_MS, 1 / 390),
+    prevDay: {
+      o: prevDay.o,
+      h: prevDay.h,
+      l: prevDay.l,
+      c: prevDay.c,
+      v: prevDay.v,
+      vw: prevDay.vw,
+    },
+    lastTrade: { c: trade.c, i: trade.i, p: trade.p, s: trade.s, t: trade.t, x: trade.x },
+    lastQuote: { P: quote.P, S: quote.S, p: quote.p, s: quote.s, t: quote.t },
+  };
+}
+
+/**
+ * Builds a /v3/snapshot result. The add-in reads the v2-style day, lastTrade and lastQuote
+ * fields from it, so those are included next to the v3 session, last_trade and last_quote.
+ * @param {string} ticker The ticker symbol.
+ * @param {string} name The ticker's display name.
+ * @param {string} marketStatus The current market status.
+ * @param {number} now Unix time in milliseconds.
+ * @returns {Object} The snapshot result.
+ */
+function getUniversalSnapshot(ticker, name, marketStatus, now) {
+  const snapshot = getTickerSnapshot(ticker, now);
+  const { day, prevDay, lastTrade, lastQuote } = snapshot;
+  return {
+    ticker,
+    name,
+    type: { stocks: "stocks", options: "options", indices: "indices", fx: "fx", crypto: "crypto" }[
+      getMarket(ticker)
+    ],
+    market_status: marketStatus,
+    session: {
+      open: day.o,
+      high: day.h,
+      low: day.l,
+      close: day.c,
+      volume: day.v,
+      previous_close: prevDay.c,
+      change: snapshot.todaysChange,
+      change_percent: snapshot.todaysChangePerc,
+    },
+    last_trade: {
+      price: lastTrade.p,
+      size: lastTrade.s,
+      exchange: lastTrade.x,
+      conditions: lastTrade.c,
+      sip_timestamp: lastTrade.t * 1e6,
+    },
+    last_quote: {
+      bid: lastQuote.p,
+      bid_size: lastQuote.s,
+      ask: lastQuote.P,
+      ask_size: lastQuote.S,
+      last_updated: lastQuote.t * 1e6,
+    },
+    day,
+    lastTrade,
+    lastQuote,
+  };
+}
+
+/**
+ * @param {string} market "stocks", "fx" or "crypto".
+ * @param {string} date A date in YYYY-MM-DD format.
+ * @param {number} now Unix time in milliseconds.
+ * @returns {Object[]} Daily bars for every ticker in the market, with the ticker in T.
+ */
+function getGroupedDaily(market, date, now) {
+  return (GROUPED_TICKERS[market] || [])
+    .map((ticker) => ({ ticker, bar: getDailyBar(ticker, date, now) }))
+    .filter(({ bar }) => bar)
+    .map(({ ticker, bar }) => ({ T: ticker, ...bar }));
+}
+
+module.exports = {
+  easternTime,
+  getAggregates,
+  getGroupedDaily,
+  getLastQuote,
+  getLastTrade,
+  getMarket,
+  getOpenClose,
+  getPreviousClose,
+  getSession,
+  getTick,
+  getTickerSnapshot,
+  getUniversalSnapshot,
+  toEastern,
+};
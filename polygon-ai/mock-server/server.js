@@ -0,0 +1,804 @@
+/* global Buffer, console, process, require, setTimeout, URL */
+
+// A stand-in for the Polygon.io REST API, for offline development and testing. It serves canned
+// reference fixtures from ./fixtures and generates price data on the fly, for every endpoint the
+// add-in calls. Point the add-in at it by setting the API base URL in the task pane. The same
+// port also serves the WebSocket clusters (/stocks, /options, /forex, /crypto); see streamServer.js.
+//
+//   npm run mock-server -- [--port 3001] [--https]
+//
+// Environment variables:
+//   MOCK_API_KEY               Reject requests whose apiKey differs (default: accept any key or none)
+//   MOCK_REQUESTS_PER_MINUTE   Answer 429 once this many requests arrive in a minute (default: off)
+//   MOCK_LATENCY_MS            Delay every response by this many milliseconds (default: 0)
+//   MOCK_MARKET_STATUS         Force "open", "closed" or "extended-hours" (default: by the clock)
+//   MOCK_PLAN                  Answer 403 for paid endpoints outside this plan: basic, stocks-starter,
+//                              stocks-developer or options-starter (default: every endpoint allowed)
+//   MOCK_STREAM_INTERVAL_MS    Milliseconds between streamed trades and quotes (default: 1000)
+
+const http = require("http");
+const https = require("https");
+const marketData = require("./marketData");
+const { attachStreamServer } = require("./streamServer");
+
+const fixtures = {
+  conditions: require("./fixtures/conditions.json"),
+  dividends: require("./fixtures/dividends.json"),
+  exchanges: require("./fixtures/exchanges.json"),
+  financials: require("./fixtures/financials.json"),
+  locales: require("./fixtures/locales.json"),
+  marketHolidays: require("./fixtures/marketHolidays.json"),
+  markets: require("./fixtures/markets.json"),
+  news: require("./fixtures/news.json"),
+  splits: require("./fixtures/splits.json"),
+  tickerTypes: require("./fixtures/tickerTypes.json"),
+  tickers: require("./fixtures/tickers.json"),
+};
+
+const TIMESPANS = ["minute", "hour", "day", "week", "month", "quarter", "year"];
+
+// Rough length of each timespan in milliseconds, for loading the bars before an indicator's range.
+const TIMESPAN_MS = {
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 31 * 24 * 60 * 60 * 1000,
+  quarter: 92 * 24 * 60 * 60 * 1000,
+  year: 366 * 24 * 60 * 60 * 1000,
+};
+
+const SERIES_FIELDS = { open: "o", high: "h", low: "l", close: "c" };
+
+// Paid endpoint families included in each MOCK_PLAN; see src/functions/entitlements.js.
+const PLAN_FAMILIES = {
+  basic: [],
+  "stocks-starter": ["stocksSnapshot", "stocksFinancials"],
+  "stocks-developer": ["stocksSnapshot", "stocksFinancials", "stocksTrades"],
+  "options-starter": ["optionsSnapshot"],
+};
+
+const args = process.argv.slice(2);
+const port = Number(getArgument("--port") || process.env.MOCK_PORT) || 3001;
+const useHttps = args.includes("--https");
+const apiKey = process.env.MOCK_API_KEY || "";
+const requestsPerMinute = Number(process.env.MOCK_REQUESTS_PER_MINUTE) || 0;
+const latencyMs = Number(process.env.MOCK_LATENCY_MS) || 0;
+const plan = process.env.MOCK_PLAN || "";
+const streamIntervalMs = Number(process.env.MOCK_STREAM_INTERVAL_MS) || 1000;
+
+const recentRequests = [];
+let requestCounter = 0;
+
+/**
+ * Error answered with the given HTTP status and a Polygon-style error body.
+ */
+class MockError extends Error {
+  /**
+   * @param {number} status The HTTP status.
+   * @param {string} message The error message.
+   */
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// Routes are matched in order against the request path; each handler returns the response body.
+const routes = [
+  [/^\/v3\/reference\/tickers$/, listTickers],
+  [/^\/v3\/reference\/tickers\/([^/]+)$/, getTickerOverview],
+  [/^\/v3\/reference\/splits$/, (request) => listFiltered(request, fixtures.splits, ["ticker"])],
+  [
+    /^\/v3\/reference\/dividends$/,
+    (request) => listFiltered(request, fixtures.dividends, ["ticker", "frequency"]),
+  ],
+  [
+    /^\/v3\/reference\/exchanges$/,
+    (request) => listAll(request, fixtures.exchanges, ["asset_class", "locale"]),
+  ],
+  [
+    /^\/v3\/reference\/conditions$/,
+    (request) => listFiltered(request, fixtures.conditions, ["asset_class"], 10, 1000),
+  ],
+  [
+    /^\/v3\/reference\/ticker-types$/,
+    (request) => listAll(request, fixtures.tickerTypes, ["asset_class", "locale"]),
+  ],
+  [/^\/v3\/reference\/markets$/, (request) => listAll(request, fixtures.markets, [])],
+  [/^\/v3\/reference\/locales$/, (request) => listAll(request, fixtures.locales, [])],
+  [/^\/v2\/reference\/news$/, listNews],
+  [/^\/vX\/reference\/financials$/, listFinancials],
+  [/^\/v1\/marketstatus\/now$/, (request) => getMarketStatus(request.now)],
+  [/^\/v1\/marketstatus\/upcoming$/, listUpcomingHolidays],
+  [/^\/v2\/aggs\/ticker\/([^/]+)\/range\/(\d+)\/(\w+)\/([^/]+)\/([^/]+)$/, getAggregates],
+  [/^\/v2\/aggs\/ticker\/([^/]+)\/prev$/, getPreviousClose],
+  [/^\/v1\/indicators\/(sma|ema|rsi|macd)\/([^/]+)$/, getIndicator],
+  [/^\/v2\/aggs\/grouped\/locale\/(\w+)\/market\/(\w+)\/([^/]+)$/, getGroupedDaily],
+  [/^\/v1\/open-close\/([^/]+)\/([^/]+)$/, getOpenClose],
+  [
+    /^\/v2\/last\/trade\/([^/]+)$/,
+    (request, ticker) => ok(request, { results: marketData.getLastTrade(ticker, request.now) }),
+  ],
+  [
+    /^\/v2\/last\/nbbo\/([^/]+)$/,
+    (request, ticker) => ok(request, { results: marketData.getLastQuote(ticker, request.now) }),
+  ],
+  [/^\/v2\/snapshot\/locale\/us\/markets\/stocks\/tickers$/, listTickerSnapshots],
+  [
+    /^\/v2\/snapshot\/locale\/us\/markets\/stocks\/tickers\/([^/]+)$/,
+    (request, ticker) => ok(request, { ticker: marketData.getTickerSnapshot(ticker, request.now) }),
+  ],
+  [/^\/v3\/snapshot$/, listUniversalSnapshots],
+];
+
+const handler = (req, res) => {
+  const url = new URL(req.url, `${useHttps ? "https" : "http"}://${req.headers.host}`);
+  const respond = (status, body, headers = {}) => {
+    console.log(
+      `${req.method} ${url.pathname}${url.search.replace(/apiKey=[^&]*/, "apiKey=***")} ${status}`
+    );
+    res.writeHead(status, {
+      "Access-Control-Allow-Origin": "*",
+      "Access-Control-Allow-Headers": "*",
+      "Content-Type": "application/json",
+      ...headers,
+    });
+    res.end(JSON.stringify(body));
+  };
+
+  if (req.method === "OPTIONS") {
+    respond(204, {});
+    return;
+  }
+
+  const requestId = (++requestCounter).toString(16).padStart(8, "0");
+  setTimeout(() => {
+    try {
+      if (apiKey && url.searchParams.get("apiKey") !== apiKey) {
+        respond(401, { status: "ERROR", request_id: requestId, error: "Unknown API Key" });
+        return;
+      }
+      if (plan && !isEntitled(url)) {
+        respond(403, {
+          status: "NOT_AUTHORIZED",
+          request_id: requestId,
+          message:
+            "You are not entitled to this data. Please upgrade your plan at https://polygon.io/pricing",
+        });
+        return;
+      }
+      const retryAfter = checkRateLimit(Date.now());
+      if (retryAfter > 0) {
+        respond(
+          429,
+          {
+            status: "ERROR",
+            request_id: requestId,
+            error: "You've exceeded the maximum requests per minute.",
+          },
+          { "Retry-After": String(retryAfter) }
+        );
+        return;
+      }
+      respond(200, route(url, requestId));
+    } catch (error) {
+      if (error instanceof MockError) {
+        const body = {
+          status: error.status === 404 ? "NOT_FOUND" : "ERROR",
+          request_id: requestId,
+        };
+        body[error.status === 404 ? "message" : "error"] = error.message;
+        respond(error.status, body);
+      } else {
+        console.error(error);
+        respond(500, { status: "ERROR", request_id: requestId, error: error.message });
+      }
+    }
+  }, latencyMs);
+};
+
+/**
+ * Finds the route for a URL and runs it.
+ * @param {URL} url The request URL.
+ * @param {string} requestId The id echoed in the response.
+ * @returns {Object} The response body.
+ */
+function route(url, requestId) {
+  const request = {
+    origin: url.origin,
+    path: url.pathname,
+    query: Object.fromEntries(url.searchParams),
+    offset: 0,
+    now: Date.now(),
+    requestId,
+  };
+  delete request.query.apiKey;
+
+  // Cursors carry the original filters, the same way Polygon's next_url does.
+  if (request.query.cursor) {
+    const cursor = JSON.parse(Buffer.from(request.query.cursor, "base64url").toString());
+    request.query = { ...cursor.query, ...request.query };
+    request.offset = cursor.offset;
+    delete request.query.cursor;
+  }
+
+  for (const [pattern, routeHandler] of routes) {
+    const match = pattern.exec(url.pathname);
+    if (match) {
+      return routeHandler(request, ...match.slice(1).map(decodeURIComponent));
+    }
+  }
+  throw new MockError(404, `No mock for ${url.pathname}`);
+}
+
+/**
+ * @param {Object} request The parsed request.
+ * @param {Object} body The response fields.
+ * @returns {Object} The body with Polygon's status and request_id added.
+ */
+function ok(request, body) {
+  return { status: "OK", request_id: request.requestId, ...body };
+}
+
+/**
+ * Returns one page of a list, with a next_url when more rows remain.
+ * @param {Object} request The parsed request.
+ * @param {Object[]} items Every matching row.
+ * @param {number} defaultLimit Page size when no limit is given.
+ * @param {number} maxLimit Largest page size allowed.
+ * @returns {Object} The response body.
+ */
+function paginate(request, items, defaultLimit, maxLimit) {
+  const limit = Math.min(Math.max(parseInt(request.query.limit, 10) || defaultLimit, 1), maxLimit);
+  const results = items.slice(request.offset, request.offset + limit);
+  const body = ok(request, { count: results.length, results });
+  if (request.offset + limit < items.length) {
+    const cursor = Buffer.from(
+      JSON.stringify({ offset: request.offset + limit, query: request.query })
+    ).toString("base64url");
+    body.next_url = `${request.origin}${request.path}?cursor=${cursor}`;
+  }
+  return body;
+}
+
+/**
+ * @param {Object} request The parsed request.
+ * @param {Object[]} items The fixture rows.
+ * @param {string[]} fields Query parameters that must equal the row's field when given.
+ * @param {number} [defaultLimit=10] Page size when no limit is given.
+ * @param {number} [maxLimit=1000] Largest page size allowed.
+ * @returns {Object} The response body.
+ */
+function listFiltered(request, items, fields, defaultLimit = 10, maxLimit = 1000) {
+  return paginate(request, filterBy(request, items, fields), defaultLimit, maxLimit);
+}
+
+/**
+ * Lists a small reference table that Polygon returns in a single response.
+ * @param {Object} request The parsed request.
+ * @param {Object[]} items The fixture rows.
+ * @param {string[]} fields Query parameters that must equal the row's field when given.
+ * @returns {Object} The response body.
+ */
+function listAll(request, items, fields) {
+  const results = filterBy(request, items, fields);
+  return ok(request, { count: results.length, results });
+}
+
+/**
+ * @param {Object} request The parsed request.
+ * @param {Object[]} items The fixture rows.
+ * @param {string[]} fields Query parameters that must equal the row's field when given.
+ * @returns {Object[]} The matching rows.
+ */
+function filterBy(request, items, fields) {
+  return items.filter((item) =>
+    fields.every(
+      (field) => request.query[field] === undefined || String(item[field]) === request.query[field]
+    )
+  );
+}
+
+/**
+ * @param {Object} request The parsed request.
+ * @returns {Object} Tickers matching the ticker, search, market, type and active filters.
+ */
+function listTickers(request) {
+  const { search, active } = request.query;
+  let items = filterBy(request, fixtures.tickers, ["ticker", "market", "type", "locale"]);
+  if (search) {
+    const term = search.toLowerCase();
+    items = items.filter(
+      (item) => item.ticker.toLowerCase().includes(term) || item.name.toLowerCase().includes(term)
+    );
+  }
+  if (active === "false") {
+    items = [];
+  }
+  return paginate(request, items, 100, 1000);
+}
+
+/**
+ * @param {Object} request The parsed request.
+ * @param {string} ticker The ticker symbol.
+ * @returns {Object} The ticker overview.
+ */
+function getTickerOverview(request, ticker) {
+  const item = fixtures.tickers.find((entry) => entry.ticker === ticker);
+  if (!item) {
+    throw new MockError(404, "Ticker not found.");
+  }
+  return ok(request, {
+    results: {
+      ...item,
+      description: `${item.name} is a mock ticker served by the local Polygon.io stand-in.`,
+      homepage_url: "https://example.com",
+    },
+  });
+}
+
+/**
+ * @param {Object} request The parsed request.
+ * @returns {Object} News articles, newest first, optionally for one ticker.
+ */
+function listNews(request) {
+  const { ticker } = request.query;
+  const items = fixtures.news.filter((article) => !ticker || article.tickers.includes(ticker));
+  return paginate(request, items, 10, 1000);
+}
+
+/**
+ * @param {Object} request The parsed request.
+ * @returns {Object} Financial statements, latest filing first.
+ */
+function listFinancials(request) {
+  const { ticker, timeframe } = request.query;
+  const items = fixtures.financials
+    .filter((item) => !ticker || item.ticker === ticker)
+    .filter((item) => !timeframe || item.timeframe === timeframe)
+    .sort((a, b) => b.filing_date.localeCompare(a.filing_date));
+  return paginate(request, items, 10, 100);
+}
+
+/**
+ * @param {number} now Unix time in milliseconds.
+ * @returns {string} "open", "extended-hours" or "closed" for US equities.
+ */
+function getEquityStatus(now) {
+  if (process.env.MOCK_MARKET_STATUS) {
+    return process.env.MOCK_MARKET_STATUS;
+  }
+  const { date } = marketData.toEastern(now);
+  const session = marketData.getSession("stocks", date);
+  if (!session) {
+    return "closed";
+  }
+  if (now >= session.start && now < session.end) {
+    return "open";
+  }
+  const preMarket = marketData.easternTime(date, 4 * 60);
+  const afterHours = marketData.easternTime(date, 20 * 60);
+  return now >= preMarket && now < afterHours ? "extended-hours" : "closed";
+}
+
+/**
+ * @param {number} now Unix time in milliseconds.
+ * @returns {Object} The /v1/marketstatus/now body.
+ */
+function getMarketStatus(now) {
+  const market = getEquityStatus(now);
+  const { minutes } = marketData.toEastern(now);
+  const extended = market === "extended-hours";
+  const fxOpen = marketData.getSession("fx", marketData.toEastern(now).date) !== null;
+  return {
+    market,
+    serverTime: new Date(now).toISOString(),
+    earlyHours: extended && minutes < 12 * 60,
+    afterHours: extended && minutes >= 12 * 60,
+    exchanges: { nyse: market, nasdaq: market, otc: market === "open" ? "open" : "closed" },
+    currencies: { fx: fxOpen ? "open" : "closed", crypto: "open" },
+    indicesGroups: { s_and_p: market === "open" ? "open" : "closed", nasdaq: market },
+  };
+}
+
+/**
+ * @param {Object} request The parsed request.
+ * @returns {Object[]} Holidays from today on. Polygon returns a bare array for this endpoint.
+ */
+function listUpcomingHolidays(request) {
+  const today = marketData.toEastern(request.now).date;
+  return fixtures.marketHolidays.filter((holiday) => holiday.date >= today);
+}
+
+/**
+ * Parses a from/to path segment, which may be a date or a millisecond timestamp.
+ * @param {string} value The path segment.
+ * @param {boolean} endOfDay Whether a date means the end of that day.
+ * @returns {number} Unix time in milliseconds.
+ */
+function parseBound(value, endOfDay) {
+  if (/^\d+$/.test(value)) {
+    return Number(value);
+  }
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    const start = marketData.easternTime(value);
+    return endOfDay ? marketData.easternTime(value, 24 * 60) - 1 : start;
+  }
+  throw new MockError(400, `Could not parse the time parameter: '${value}'.`);
+}
+
+/**
+ * @param {Object} request The parsed request.
+ * @param {string} ticker The ticker symbol.
+ * @param {string} multiplier Size of each bar in timespans.
+ * @param {string} timespan The bar timespan.
+ * @param {string} from Range start.
+ * @param {string} to Range end.
+ * @returns {Object} The aggregates body.
+ */
+function getAggregates(request, ticker, multiplier, timespan, from, to) {
+  if (!TIMESPANS.includes(timespan)) {
+    throw new MockError(400, `Invalid timespan '${timespan}'.`);
+  }
+  const fromTime = parseBound(from, false);
+  const toTime = parseBound(to, true);
+  const sort = request.query.sort === "desc" ? "desc" : "asc";
+  const limit = Math.min(Math.max(parseInt(request.query.limit, 10) || 5000, 1), 50000);
+
+  let bars = marketData.getAggregates(
+    ticker,
+    Math.max(parseInt(multiplier, 10), 1),
+    timespan,
+    fromTime,
+    toTime,
+    request.now
+  );
+  if (sort === "desc") {
+    bars.reverse();
+  }
+
+  const body = ok(request, {
+    ticker,
+    queryCount: bars.length,
+    adjusted: request.query.adjusted !== "false",
+  });
+  if (bars.length > limit) {
+    // Like Polygon, continue from the first bar that did not fit by moving the range bound.
+    const nextBar = bars[limit].t;
+    const nextFrom = sort === "asc" ? nextBar : from;
+    const nextTo = sort === "asc" ? to : nextBar;
+    const query = new URLSearchParams(request.query).toString();
+    body.next_url = `${request.origin}/v2/aggs/ticker/${ticker}/range/${multiplier}/${timespan}/${nextFrom}/${nextTo}?${query}`;
+    bars = bars.slice(0, limit);
+  }
+  body.resultsCount = bars.length;
+  if (bars.length > 0) {
+    body.results = bars;
+  }
+  return body;
+}
+
+/**
+ * Technical indicators worked out from the generated bars. Values in range are fully warmed up,
+ * as Polygon's are: the bars before timestamp.gte are loaded too. EMAs start from the SMA of
+ * their first window and RSI uses Wilder's smoothing.
+ * @param {Object} request The parsed request.
+ * @param {string} name "sma", "ema", "rsi" or "macd".
+ * @param {string} ticker The ticker symbol.
+ * @returns {Object} The indicator body, with results.values newest first unless order=asc.
+ */
+function getIndicator(request, name, ticker) {
+  const { query } = request;
+  const timespan = query.timespan || "day";
+  if (!TIMESPANS.includes(timespan)) {
+    throw new MockError(400, `Invalid timespan '${timespan}'.`);
+  }
+  const field = SERIES_FIELDS[query.series_type || "close"];
+  if (!field) {
+    throw new MockError(400, `Invalid series_type '${query.series_type}'.`);
+  }
+  const window = parseInt(query.window, 10) || (name === "rsi" ? 14 : 50);
+  const fast = parseInt(query.short_window, 10) || 12;
+  const slow = parseInt(query.long_window, 10) || 26;
+  const signal = parseInt(query.signal_window, 10) || 9;
+
+  const toTime = query["timestamp.lte"] ? parseBound(query["timestamp.lte"], true) : request.now;
+  const fromTime = query["timestamp.gte"]
+    ? parseBound(query["timestamp.gte"], false)
+    : toTime - 30 * TIMESPAN_MS.day;
+  // Enough bars to settle the averages, with room for nights, weekends and holidays; intraday
+  // bars reach back at least a week so the first session of the range is covered.
+  const warmUp = name === "macd" ? 5 * (slow + signal) : 5 * window;
+  const bars = marketData.getAggregates(
+    ticker,
+    1,
+    timespan,
+    fromTime - Math.max(3 * warmUp * TIMESPAN_MS[timespan], 7 * TIMESPAN_MS.day),
+    toTime,
+    request.now
+  );
+  const prices = bars.map((bar) => bar[field]);
+
+  let rows;
+  if (name === "sma") {
+    rows = movingAverage(prices, window).map((value) => value !== null && { value });
+  } else if (name === "ema") {
+    rows = exponentialAverage(prices, 2 / (window + 1), window).map(
+      (value) => value !== null && { value }
+    );
+  } else if (name === "rsi") {
+    const changes = prices.map((price, i) => (i === 0 ? null : price - prices[i - 1]));
+    const gains = changes.map((change) => (change === null ? null : Math.max(change, 0)));
+    const losses = changes.map((change) => (change === null ? null : Math.max(-change, 0)));
+    const averageGains = exponentialAverage(gains, 1 / window, window);
+    const averageLosses = exponentialAverage(losses, 1 / window, window);
+    rows = averageGains.map(
+      (gain, i) =>
+        gain !== null && {
+          value: averageLosses[i] === 0 ? 100 : 100 - 100 / (1 + gain / averageLosses[i]),
+        }
+    );
+  } else {
+    const fastLine = exponentialAverage(prices, 2 / (fast + 1), fast);
+    const slowLine = exponentialAverage(prices, 2 / (slow + 1), slow);
+    const macd = slowLine.map((value, i) => (value === null ? null : fastLine[i] - value));
+    const signalLine = exponentialAverage(macd, 2 / (signal + 1), signal);
+    rows = macd.map(
+      (value, i) =>
+        signalLine[i] !== null && {
+          value,
+          signal: signalLine[i],
+          histogram: value - signalLine[i],
+        }
+    );
+  }
+
+  const values = bars
+    .map((bar, i) => rows[i] && { timestamp: bar.t, ...rows[i] })
+    .filter((row) => row && row.timestamp >= fromTime);
+  if (query.order !== "asc") {
+    values.reverse();
+  }
+  const page = paginate(request, values, 10, 5000);
+  const body = ok(request, {
+    results: {
+      underlying: {
+        url: `${request.origin}/v2/aggs/ticker/${ticker}/range/1/${timespan}/${fromTime}/${toTime}`,
+      },
+      values: page.results,
+    },
+  });
+  if (page.next_url) {
+    body.next_url = page.next_url;
+  }
+  return body;
+}
+
+/**
+ * @param {Array<number|null>} values A series that may start with nulls.
+ * @param {number} window The window.
+ * @returns {Array<number|null>} The simple moving average, once a window of values is available.
+ */
+function movingAverage(values, window) {
+  return values.map((value, i) => {
+    const slice = values.slice(Math.max(i - window + 1, 0), i + 1);
+    return slice.length < window || slice.includes(null)
+      ? null
+      : slice.reduce((sum, item) => sum + item, 0) / window;
+  });
+}
+
+/**
+ * @param {Array<number|null>} values A series that may start with nulls.
+ * @param {number} alpha The weight of each new value.
+ * @param {number} window The window of the simple average the series starts from.
+ * @returns {Array<number|null>} The exponential average, once a window of values is available.
+ */
+function exponentialAverage(values, alpha, window) {
+  const seed = movingAverage(values, window);
+  let average = null;
+  return values.map((value, i) => {
+    average = average === null ? seed[i] : average + alpha * (value - average);
+    return average;
+  });
+}
+
+/**
+ * @param {Object} request The parsed request.
+ * @param {string} ticker The ticker symbol.
+ * @returns {Object} The previous close body.
+ */
+function getPreviousClose(request, ticker) {
+  return ok(request, {
+    ticker,
+    queryCount: 1,
+    resultsCount: 1,
+    adjusted: true,
+    results: [marketData.getPreviousClose(ticker, request.now)],
+  });
+}
+
+/**
+ * @param {Object} request The parsed request.
+ * @param {string} locale "us" or "global".
+ * @param {string} market "stocks", "fx" or "crypto".
+ * @param {string} date A date in YYYY-MM-DD format.
+ * @returns {Object} The grouped daily body.
+ */
+function getGroupedDaily(request, locale, market, date) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    throw new MockError(400, `Could not parse the date parameter: '${date}'.`);
+  }
+  const results = marketData.getGroupedDaily(market, date, request.now);
+  const body = ok(request, {
+    queryCount: results.length,
+    resultsCount: results.length,
+    adjusted: true,
+  });
+  if (results.length > 0) {
+    body.results = results;
+  }
+  return body;
+}
+
+/**
+ * @param {Object} request The parsed request.
+ * @param {string} ticker The ticker symbol.
+ * @param {string} date A date in YYYY-MM-DD format.
+ * @returns {Object} The daily open/close body.
+ */
+function getOpenClose(request, ticker, date) {
+  const summary = /^\d{4}-\d{2}-\d{2}$/.test(date)
+    ? marketData.getOpenClose(ticker, date, request.now)
+    : null;
+  if (!summary) {
+    throw new MockError(404, "Data not found.");
+  }
+  return summary;
+}
+
+/**
+ * @param {Object} request The parsed request.
+ * @returns {Object} Snapshots for the tickers parameter, or for every stock fixture.
+ */
+function listTickerSnapshots(request) {
+  const tickers = request.query.tickers
+    ? request.query.tickers.split(",").map((ticker) => ticker.trim())
+    : fixtures.tickers.filter((item) => item.market === "stocks").map((item) => item.ticker);
+  const snapshots = tickers.map((ticker) => marketData.getTickerSnapshot(ticker, request.now));
+  return ok(request, { count: snapshots.length, tickers: snapshots });
+}
+
+/**
+ * @param {Object} request The parsed request.
+ * @returns {Object} Universal snapshots for ticker, ticker.any or ticker.any_of.
+ */
+function listUniversalSnapshots(request) {
+  const list =
+    request.query["ticker.any_of"] || request.query["ticker.any"] || request.query.ticker;
+  if (!list) {
+    throw new MockError(400, "A ticker, ticker.any or ticker.any_of parameter is required.");
+  }
+  const status = getEquityStatus(request.now);
+  const results = list.split(",").map((ticker) => {
+    const fixture = fixtures.tickers.find((item) => item.ticker === ticker.trim());
+    return marketData.getUniversalSnapshot(
+      ticker.trim(),
+      fixture ? fixture.name : ticker.trim(),
+      status,
+      request.now
+    );
+  });
+  return ok(request, { results });
+}
+
+/**
+ * Checks a request against MOCK_PLAN, using the same endpoint families as the add-in.
+ * @param {URL} url The request URL.
+ * @returns {boolean} Whether the plan includes the endpoint.
+ */
+function isEntitled(url) {
+  const path = decodeURIComponent(url.pathname);
+  const ticker =
+    path === "/v3/snapshot"
+      ? url.searchParams.get("ticker.any") || url.searchParams.get("ticker.any_of") || ""
+      : path.split("/").pop();
+  const asset =
+    { "O:": "options", "I:": "indices", "C:": "fx", "X:": "crypto" }[ticker.slice(0, 2)] ||
+    "stocks";
+
+  let kind = null;
+  if (path.startsWith("/v2/snapshot/locale/us/markets/stocks/") || path === "/v3/snapshot") {
+    kind = "Snapshot";
+  } else if (path.startsWith("/v2/last/trade/")) {
+    kind = "Trades";
+  } else if (path.startsWith("/v2/last/nbbo/")) {
+    kind = "Quotes";
+  } else if (path === "/vX/reference/financials") {
+    kind = "Financials";
+  }
+  if (!kind || asset === "fx" || asset === "crypto") {
+    return true;
+  }
+  return (PLAN_FAMILIES[plan] || []).includes(`${asset}${kind}`);
+}
+
+/**
+ * Checks a WebSocket cluster against MOCK_PLAN. A plan with any stocks or options endpoint
+ * includes that cluster; forex and crypto are not gated, as with the REST endpoints.
+ * @param {string} cluster "stocks", "options", "forex" or "crypto".
+ * @returns {boolean} Whether the plan includes the cluster.
+ */
+function isClusterEntitled(cluster) {
+  if (!plan || cluster === "forex" || cluster === "crypto") {
+    return true;
+  }
+  return (PLAN_FAMILIES[plan] || []).some((family) => family.startsWith(cluster));
+}
+
+/**
+ * @param {string} cluster "stocks", "options", "forex" or "crypto".
+ * @param {number} now Unix time in milliseconds.
+ * @returns {boolean} Whether the cluster's market is trading, so its stream has events.
+ */
+function isClusterTrading(cluster, now) {
+  const status = getMarketStatus(now);
+  if (cluster === "stocks") {
+    return status.market !== "closed";
+  }
+  if (cluster === "options") {
+    return status.market === "open";
+  }
+  return status.currencies[cluster === "forex" ? "fx" : "crypto"] === "open";
+}
+
+/**
+ * Records a request against the optional per-minute budget.
+ * @param {number} now Unix time in milliseconds.
+ * @returns {number} Seconds to wait when the budget is used up, otherwise 0.
+ */
+function checkRateLimit(now) {
+  if (!requestsPerMinute) {
+    return 0;
+  }
+  while (recentRequests.length > 0 && now - recentRequests[0] >= 60000) {
+    recentRequests.shift();
+  }
+  if (recentRequests.length >= requestsPerMinute) {
+    return Math.ceil((60000 - (now - recentRequests[0])) / 1000);
+  }
+  recentRequests.push(now);
+  return 0;
+}
+
+/**
+ * @param {string} name A command line flag such as "--port".
+ * @returns {string|undefined} The value following the flag.
+ */
+function getArgument(name) {
+  const index = args.indexOf(name);
+  return index >= 0 ? args[index + 1] : undefined;
+}
+
+/**
+ * Starts the server, over HTTPS with the Office add-in development certificate when asked.
+ */
+async function start() {
+  const server = useHttps
+    ? https.createServer(await require("office-addin-dev-certs").getHttpsServerOptions(), handler)
+    : http.createServer(handler);
+  attachStreamServer(server, {
+    apiKey,
+    intervalMs: streamIntervalMs,
+    isEntitled: isClusterEntitled,
+    isTrading: isClusterTrading,
+  });
+  server.listen(port, () => {
+    console.log(
+      `Mock Polygon.io API listening on ${useHttps ? "https" : "http"}://localhost:${port}`
+    );
+  });
+}
+
+start();
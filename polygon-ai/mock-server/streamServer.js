@@ -0,0 +1,331 @@
+/* global BigInt, Buffer, clearInterval, console, module, require, setInterval, URL */
+
+// A stand-in for Polygon.io's WebSocket feeds, served on the mock server's own port. Clients
+// connect to /stocks, /options, /forex or /crypto, authenticate and subscribe with the same
+// messages socket.polygon.io expects, and receive trades and quotes every interval plus a minute
+// bar when each minute closes. Only the parts of the WebSocket protocol a browser client needs
+// are implemented: unfragmented text frames, ping/pong and close.
+
+const crypto = require("crypto");
+const marketData = require("./marketData");
+
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MINUTE_MS = 60 * 1000;
+
+// Event types each cluster serves, in Polygon's naming.
+const CLUSTER_EVENTS = {
+  stocks: ["T", "Q", "AM"],
+  options: ["T", "Q", "AM"],
+  forex: ["C", "CA"],
+  crypto: ["XT", "XQ", "XA"],
+};
+
+const OPCODE_TEXT = 0x1;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xa;
+
+/**
+ * Serves the WebSocket clusters on an HTTP server's upgrade requests.
+ * @param {http.Server} server The mock HTTP server.
+ * @param {Object} options
+ * @param {string} options.apiKey Key clients must authenticate with; empty accepts any key.
+ * @param {number} options.intervalMs Milliseconds between trade and quote events.
+ * @param {function(string): boolean} options.isEntitled Whether the mock plan includes a cluster.
+ * @param {function(string, number): boolean} options.isTrading Whether a cluster's market is
+ * trading at a time; nothing is streamed while it is not.
+ */
+function attachStreamServer(server, options) {
+  server.on("upgrade", (req, socket) => {
+    const cluster = new URL(req.url, "ws://localhost").pathname.replace(/^\/+|\/+$/g, "");
+    const key = req.headers["sec-websocket-key"];
+    if (!CLUSTER_EVENTS[cluster] || !key || req.headers.upgrade.toLowerCase() !== "websocket") {
+      socket.end("HTTP/1.1 404 Not Found\r\n\r\n");
+      return;
+    }
+    const accept = crypto
+      .createHash("sha1")
+      .update(key + WEBSOCKET_GUID)
+      .digest("base64");
+    socket.write(
+      "HTTP/1.1 101 Switching Protocols\r\n" +
+        "Upgrade: websocket\r\n" +
+        "Connection: Upgrade\r\n" +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+    console.log(`WS /${cluster} connected`);
+    serveConnection(socket, cluster, options);
+  });
+}
+
+/**
+ * Runs the Polygon protocol on one connection: auth, subscribe and unsubscribe actions, and a
+ * timer that pushes events for the subscriptions.
+ * @param {net.Socket} socket The upgraded socket.
+ * @param {string} cluster The cluster connected to.
+ * @param {Object} options The attachStreamServer options.
+ */
+function serveConnection(socket, cluster, options) {
+  const subscriptions = new Set();
+  let authenticated = false;
+  let lastMinute = Math.floor(Date.now() / MINUTE_MS);
+
+  const send = (events) => sendFrame(socket, OPCODE_TEXT, Buffer.from(JSON.stringify(events)));
+  const status = (state, message) => send([{ ev: "status", status: state, message }]);
+
+  const timer = setInterval(() => {
+    const now = Date.now();
+    const minute = Math.floor(now / MINUTE_MS);
+    const events = [];
+    if (authenticated && options.isTrading(cluster, now)) {
+      subscriptions.forEach((subscription) => {
+        const [type, symbol] = splitSubscription(subscription);
+        const event = makeEvent(type, symbol, now, (minute - 1) * MINUTE_MS, minute !== lastMinute);
+        if (event) {
+          events.push(event);
+        }
+      });
+    }
+    lastMinute = minute;
+    if (events.length > 0) {
+      send(events);
+    }
+  }, options.intervalMs);
+
+  readFrames(socket, (text) => {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch {
+      status("error", "Invalid JSON");
+      return;
+    }
+    const params = String(message.params || "");
+
+    if (message.action === "auth") {
+      if (options.apiKey && params !== options.apiKey) {
+        status("auth_failed", "authentication failed");
+        sendFrame(socket, OPCODE_CLOSE, Buffer.alloc(0));
+        socket.end();
+      } else if (!options.isEntitled(cluster)) {
+        status(
+          "auth_failed",
+          "Your plan doesn't include websocket access. Visit https://polygon.io/pricing to upgrade."
+        );
+        sendFrame(socket, OPCODE_CLOSE, Buffer.alloc(0));
+        socket.end();
+      } else {
+        authenticated = true;
+        status("auth_success", "authenticated");
+      }
+    } else if (message.action === "subscribe" || message.action === "unsubscribe") {
+      if (!authenticated) {
+        status("error", "not authorized");
+        return;
+      }
+      params
+        .split(",")
+        .map((param) => param.trim())
+        .filter((param) => param)
+        .forEach((param) => {
+          const [type, symbol] = splitSubscription(param);
+          if (!CLUSTER_EVENTS[cluster].includes(type) || !symbol) {
+            status("error", `invalid subscription: ${param}`);
+          } else if (message.action === "subscribe") {
+            subscriptions.add(param);
+            status("success", `subscribed to: ${param}`);
+          } else {
+            subscriptions.delete(param);
+            status("success", `unsubscribed to: ${param}`);
+          }
+        });
+    } else {
+      status("error", `unknown action: ${message.action}`);
+    }
+  });
+
+  socket.on("close", () => {
+    clearInterval(timer);
+    console.log(`WS /${cluster} closed`);
+  });
+  socket.on("error", () => socket.destroy());
+
+  status("connected", "Connected Successfully");
+}
+
+/**
+ * @param {string} subscription A subscription such as "T.AAPL" or "XQ.BTC-USD".
+ * @returns {string[]} The event type and the symbol.
+ */
+function splitSubscription(subscription) {
+  const dot = subscription.indexOf(".");
+  return dot < 0 ? [subscription, ""] : [subscription.slice(0, dot), subscription.slice(dot + 1)];
+}
+
+/**
+ * Builds one event for a subscription. Minute bars are only sent when a minute has just closed.
+ * @param {string} type The event type (e.g., "T", "CA").
+ * @param {string} symbol The symbol in the cluster's format (e.g., "AAPL", "EUR/USD", "BTC-USD").
+ * @param {number} now Unix time in milliseconds.
+ * @param {number} barStart Start of the minute that just closed.
+ * @param {boolean} minuteClosed Whether a minute closed since the last tick.
+ * @returns {Object|null} The event, or null when there is nothing to send.
+ */
+function makeEvent(type, symbol, now, barStart, minuteClosed) {
+  // Forex and crypto streams name pairs "EUR/USD" and "BTC-USD"; the REST tickers are C: and X:.
+  const ticker = /^[A-Z]+\/[A-Z]+$/.test(symbol)
+    ? `C:${symbol.replace("/", "")}`
+    : /^[A-Z]+-[A-Z]+$/.test(symbol)
+      ? `X:${symbol.replace("-", "")}`
+      : symbol;
+
+  if (["AM", "CA", "XA"].includes(type)) {
+    if (!minuteClosed) {
+      return null;
+    }
+    const bar = marketData.getAggregates(ticker, 1, "minute", barStart, barStart, now)[0];
+    if (!bar) {
+      return null;
+    }
+    const fields = { v: bar.v, vw: bar.vw, o: bar.o, c: bar.c, h: bar.h, l: bar.l, z: 100 };
+    return type === "AM"
+      ? { ev: type, sym: symbol, ...fields, a: bar.vw, s: bar.t, e: bar.t + MINUTE_MS }
+      : { ev: type, pair: symbol, ...fields, s: bar.t, e: bar.t + MINUTE_MS };
+  }
+
+  const tick = marketData.getTick(ticker, now);
+  switch (type) {
+    case "T":
+      return {
+        ev: "T",
+        sym: symbol,
+        i: tick.id,
+        x: 4,
+        p: tick.price,
+        s: tick.size,
+        c: [14, 41],
+        t: now,
+        z: 3,
+      };
+    case "Q":
+      return {
+        ev: "Q",
+        sym: symbol,
+        bx: 11,
+        bp: tick.bid,
+        bs: tick.bidSize,
+        ax: 12,
+        ap: tick.ask,
+        as: tick.askSize,
+        c: 1,
+        t: now,
+        z: 3,
+      };
+    case "C":
+      return { ev: "C", p: symbol, x: 48, a: tick.ask, b: tick.bid, t: now };
+    case "XT":
+      return {
+        ev: "XT",
+        pair: symbol,
+        i: tick.id,
+        x: 1,
+        p: tick.price,
+        s: tick.size / 1000,
+        c: [1],
+        t: now,
+        r: now,
+      };
+    case "XQ":
+      return {
+        ev: "XQ",
+        pair: symbol,
+        bp: tick.bid,
+        bs: tick.bidSize / 10,
+        ap: tick.ask,
+        as: tick.askSize / 10,
+        x: 1,
+        t: now,
+        r: now,
+      };
+    default:
+      return null;
+  }
+}
+
+/**
+ * Reads client frames from a socket, answering pings and close frames itself.
+ * @param {net.Socket} socket The upgraded socket.
+ * @param {function(string): void} onText Called with each text message.
+ */
+function readFrames(socket, onText) {
+  let buffer = Buffer.alloc(0);
+  socket.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    while (buffer.length >= 2) {
+      const opcode = buffer[0] & 0x0f;
+      const masked = (buffer[1] & 0x80) !== 0;
+      let length = buffer[1] & 0x7f;
+      let offset = 2;
+      if (length === 126) {
+        if (buffer.length < 4) return;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+      } else if (length === 127) {
+        if (buffer.length < 10) return;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+      }
+      const maskOffset = offset;
+      if (masked) offset += 4;
+      if (buffer.length < offset + length) return;
+
+      // Clients always mask their frames; the mask is XORed over the payload.
+      const payload = Buffer.from(buffer.subarray(offset, offset + length));
+      if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+          payload[i] ^= buffer[maskOffset + (i % 4)];
+        }
+      }
+      buffer = buffer.subarray(offset + length);
+
+      if (opcode === OPCODE_TEXT) {
+        onText(payload.toString("utf8"));
+      } else if (opcode === OPCODE_PING) {
+        sendFrame(socket, OPCODE_PONG, payload);
+      } else if (opcode === OPCODE_CLOSE) {
+        sendFrame(socket, OPCODE_CLOSE, Buffer.alloc(0));
+        socket.end();
+        return;
+      }
+    }
+  });
+}
+
+/**
+ * Writes an unmasked server frame.
+ * @param {net.Socket} socket The upgraded socket.
+ * @param {number} opcode The frame opcode.
+ * @param {Buffer} payload The frame payload.
+ */
+function sendFrame(socket, opcode, payload) {
+  if (!socket.writable) {
+    return;
+  }
+  let header;
+  if (payload.length < 126) {
+    header = Buffer.from([0x80 | opcode, payload.length]);
+  } else if (payload.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(payload.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(payload.length), 2);
+  }
+  socket.write(Buffer.concat([header, payload]));
+}
+
+module.exports = { attachStreamServer };
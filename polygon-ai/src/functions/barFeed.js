@@ -0,0 +1,146 @@
+import { getTimezone, getToday, toTime } from "./dates";
+import { polygonGetAll } from "./polygonClient";
+import { subscribe } from "./streaming";
+import { getLatestSession, loadTradingCalendar } from "./tradingCalendar";
+
+// Completed intraday bars for a ticker: the session so far from the aggregates endpoint, then
+// each bar as it closes from the WebSocket minute bars. Both arrive as one-minute bars and are
+// rolled up here, so the bar in progress when the backfill ends is completed by the live feed.
+
+export const BAR_MINUTES = [1, 5, 15, 30, 60];
+
+const MINUTE_MS = 60 * 1000;
+
+// Requests made for the task pane's live bars are counted together in the usage meter.
+const FEED_CALLER = "(live bars)";
+
+/**
+ * Watches a ticker's completed bars.
+ * @param {string} ticker A stock, options ("O:"), forex ("C:") or crypto ("X:") ticker.
+ * @param {number} minutes The bar size in minutes, one of BAR_MINUTES.
+ * @param {{onBars: function(Object[]): void, onError: function(string): void}} listener Receives
+ * the backfilled bars in one call, then each bar as it closes, as {t, o, h, l, c, v, vw} in time
+ * order; and a message when the backfill fails or the stream is refused.
+ * @returns {function(): void} Stops watching.
+ */
+export function watchBars(ticker, minutes, listener) {
+  if (!BAR_MINUTES.includes(minutes)) {
+    throw new RangeError(`Bar size must be one of ${BAR_MINUTES.join(", ")} minutes.`);
+  }
+  const bucketMs = minutes * MINUTE_MS;
+  let pending = null;
+  let lastMinute = -Infinity;
+  let queued = [];
+  let stopped = false;
+
+  // Rolls a one-minute bar into its bucket and returns the bars it completes.
+  const addMinuteBar = (bar) => {
+    const completed = [];
+    if (bar.t <= lastMinute) {
+      return completed;
+    }
+    lastMinute = bar.t;
+    const start = Math.floor(bar.t / bucketMs) * bucketMs;
+    if (pending && pending.t !== start) {
+      completed.push(pending);
+      pending = null;
+    }
+    pending = pending ? mergeBars(pending, bar) : { ...bar, t: start };
+    if (bar.t + MINUTE_MS >= start + bucketMs) {
+      completed.push(pending);
+      pending = null;
+    }
+    return completed;
+  };
+
+  // Minute bars streamed while the backfill is loading wait in the queue.
+  const unsubscribe = subscribe(ticker, "minuteBar", {
+    onEvent: (event) => {
+      const bar = {
+        t: event.s,
+        o: event.o,
+        h: event.h,
+        l: event.l,
+        c: event.c,
+        v: event.v,
+        vw: event.vw,
+      };
+      if (queued) {
+        queued.push(bar);
+        return;
+      }
+      const completed = addMinuteBar(bar);
+      if (completed.length > 0) {
+        listener.onBars(completed);
+      }
+    },
+    onError: listener.onError,
+  });
+
+  loadSessionBars(ticker)
+    .then((bars) => {
+      if (stopped) {
+        return;
+      }
+      const completed = [...bars, ...queued].flatMap(addMinuteBar);
+      queued = null;
+      listener.onBars(completed);
+    })
+    .catch((error) => {
+      if (!stopped) {
+        queued = null;
+        listener.onError(`Could not load today's bars: ${error.message}`);
+      }
+    });
+
+  return () => {
+    stopped = true;
+    unsubscribe();
+  };
+}
+
+/**
+ * Fetches the one-minute bars of the latest session up to now: for US stocks and options the
+ * latest trading day, and for forex and crypto today in the ticker's timezone.
+ * @param {string} ticker The ticker.
+ * @returns {Promise<Object[]>} The bars in time order.
+ */
+async function loadSessionBars(ticker) {
+  const timezone = getTimezone(ticker);
+  const isExchangeTraded = !/^[CX]:/i.test(ticker);
+  const date = isExchangeTraded
+    ? getLatestSession(await loadTradingCalendar(FEED_CALLER))
+    : getToday(timezone);
+  const from = toTime(date, 0, timezone);
+  const now = Date.now();
+  const data = await polygonGetAll(
+    `/v2/aggs/ticker/${ticker}/range/1/minute/${from}/${now}`,
+    { adjusted: true, sort: "asc", limit: 50000 },
+    Infinity,
+    FEED_CALLER
+  );
+  // The minute under way is left to the stream, which sends it once it is complete.
+  return (data.results || []).filter((bar) => bar.t + MINUTE_MS <= now);
+}
+
+/**
+ * @param {Object} bar The bar so far.
+ * @param {Object} next The following bar.
+ * @returns {Object} The two bars as one, with a volume-weighted VWAP.
+ */
+function mergeBars(bar, next) {
+  const v = (bar.v || 0) + (next.v || 0);
+  const vw =
+    bar.vw !== undefined && next.vw !== undefined && v > 0
+      ? (bar.vw * (bar.v || 0) + next.vw * (next.v || 0)) / v
+      : (next.vw ?? bar.vw);
+  return {
+    t: bar.t,
+    o: bar.o,
+    h: Math.max(bar.h, next.h),
+    l: Math.min(bar.l, next.l),
+    c: next.c,
+    v,
+    vw,
+  };
+}
@@ -0,0 +1,83 @@
+// Bar sizes for the aggregates endpoint, written as a timespan with an optional multiplier in
+// front: "day", "15minute", "4hour", "2week". Polygon builds any multiple of a timespan itself,
+// so a 15-minute bar is one bar in the response rather than fifteen to roll up.
+
+import { addDays, addMonths, formatBarTime, formatDate } from "./dates";
+
+export const TIMESPANS = ["second", "minute", "hour", "day", "week", "month", "quarter", "year"];
+
+// The longest each timespan lasts, for working out how much history a number of bars covers.
+const TIMESPAN_MINUTES = {
+  second: 1 / 60,
+  minute: 1,
+  hour: 60,
+  day: 24 * 60,
+  week: 7 * 24 * 60,
+  month: 31 * 24 * 60,
+  quarter: 92 * 24 * 60,
+  year: 366 * 24 * 60,
+};
+
+// Calendar timespans counted in months, whose bars run to the day before the next one opens.
+const TIMESPAN_MONTHS = { month: 1, quarter: 3, year: 12 };
+
+const BAR_SIZE_PATTERN = /^(\d+)?\s*([a-z]+?)s?$/i;
+
+/**
+ * Reads a bar size.
+ * @param {string} [barSize] A timespan with an optional multiplier (e.g., "day", "15minute",
+ * "4hour"); defaults to "day".
+ * @param {string[]} [timespans] The timespans allowed; defaults to all of them.
+ * @returns {{multiplier: number, timespan: string}} The bar size.
+ * @throws {RangeError} When the bar size is not a multiple of an allowed timespan.
+ */
+export function parseBarSize(barSize = "day", timespans = TIMESPANS) {
+  const match = BAR_SIZE_PATTERN.exec(String(barSize).trim());
+  const timespan = match ? match[2].toLowerCase() : "";
+  if (!timespans.includes(timespan)) {
+    throw new RangeError(
+      `Invalid timespan "${barSize}". Use ${timespans.join(", ")}, ` +
+        `optionally with a multiplier (e.g., "15minute").`
+    );
+  }
+  const multiplier = match[1] === undefined ? 1 : Number(match[1]);
+  if (multiplier < 1) {
+    throw new RangeError(`The multiplier in "${barSize}" must be at least 1.`);
+  }
+  return { multiplier, timespan };
+}
+
+/**
+ * @param {{multiplier: number, timespan: string}} barSize A bar size from parseBarSize.
+ * @returns {string} The range part of an aggregates path (e.g., "range/15/minute").
+ */
+export function getRangePath({ multiplier, timespan }) {
+  return `range/${multiplier}/${timespan}`;
+}
+
+/**
+ * @param {{multiplier: number, timespan: string}} barSize A bar size from parseBarSize.
+ * @returns {number} The longest a bar lasts, in minutes.
+ */
+export function getBarMinutes({ multiplier, timespan }) {
+  return multiplier * TIMESPAN_MINUTES[timespan];
+}
+
+/**
+ * Finds the last day a bar covers, so a range can keep the bars that run into its start date: a
+ * weekly bar runs to six days after the date it is stamped with, and a monthly bar to month end.
+ * @param {number} time The bar's t value, in milliseconds.
+ * @param {{multiplier: number, timespan: string}} barSize A bar size from parseBarSize.
+ * @param {string} [timezone] The timezone intraday bars are dated in; defaults to New York.
+ * @returns {string} The last day in YYYY-MM-DD format.
+ */
+export function getBarLastDay(time, { multiplier, timespan }, timezone) {
+  if (TIMESPAN_MINUTES[timespan] < TIMESPAN_MINUTES.day) {
+    return formatDate(time + getBarMinutes({ multiplier, timespan }) * 60 * 1000 - 1, timezone);
+  }
+  const date = formatBarTime(time, timespan);
+  if (TIMESPAN_MONTHS[timespan]) {
+    return addDays(addMonths(date, multiplier * TIMESPAN_MONTHS[timespan]), -1);
+  }
+  return addDays(date, multiplier * (timespan === "week" ? 7 : 1) - 1);
+}
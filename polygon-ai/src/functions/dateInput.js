@@ -0,0 +1,114 @@
+import { addDays, addMonths, getDayOfWeek, getToday } from "./dates";
+import { loadTradingCalendar, shiftTradingDays } from "./tradingCalendar";
+
+// Date arguments as users type them. Besides YYYY-MM-DD, a date can be an Excel date (a cell
+// formatted as a date reaches the function as its serial number) or an expression relative to
+// today: "-30d", "-2w", "-6m", "-1y" (an unsigned count such as "1Y" also counts back), the start
+// of the period with "WTD", "MTD", "QTD" or "YTD", and "T", "T-5" or "T+1" in trading days.
+
+// Excel counts days from 1899-12-30; serial 61 is 1900-03-01, after Excel's phantom 1900-02-29.
+const EXCEL_EPOCH = "1899-12-30";
+const FIRST_EXCEL_SERIAL = 61;
+const LAST_EXCEL_SERIAL = 2958465;
+
+const OFFSET_PATTERN = /^([+-]?)(\d+)([dwmqy])$/i;
+const PERIOD_START_PATTERN = /^([wmqy])td$/i;
+const TRADING_DAY_PATTERN = /^t(?:([+-])(\d+))?$/i;
+
+/**
+ * Turns a date argument into a YYYY-MM-DD date.
+ * @param {string|number} value The date: YYYY-MM-DD, an Excel serial date or a relative expression.
+ * @param {Object} [options]
+ * @param {string} [options.functionName] The custom function, for the usage meter when trading
+ * days need the market calendar.
+ * @param {string} [options.timezone] The timezone whose "today" relative dates count from;
+ * defaults to New York.
+ * @returns {Promise<string>} The date in YYYY-MM-DD format.
+ */
+export async function parseDate(value, { functionName, timezone } = {}) {
+  const text = String(value ?? "").trim();
+
+  if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+    if (addDays(text, 0) !== text) {
+      throw invalidDate(value);
+    }
+    return text;
+  }
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const serial = Math.floor(Number(text));
+    if (serial < FIRST_EXCEL_SERIAL || serial > LAST_EXCEL_SERIAL) {
+      throw invalidDate(value);
+    }
+    return addDays(EXCEL_EPOCH, serial);
+  }
+
+  const today = getToday(timezone);
+
+  const offset = OFFSET_PATTERN.exec(text);
+  if (offset) {
+    const count = (offset[1] === "+" ? 1 : -1) * Number(offset[2]);
+    switch (offset[3].toLowerCase()) {
+      case "d":
+        return addDays(today, count);
+      case "w":
+        return addDays(today, count * 7);
+      case "m":
+        return addMonths(today, count);
+      case "q":
+        return addMonths(today, count * 3);
+      default:
+        return addMonths(today, count * 12);
+    }
+  }
+
+  const periodStart = PERIOD_START_PATTERN.exec(text);
+  if (periodStart) {
+    const month = Number(today.slice(5, 7));
+    switch (periodStart[1].toLowerCase()) {
+      case "w":
+        // Weeks start on Monday.
+        return addDays(today, -((getDayOfWeek(today) + 6) % 7));
+      case "m":
+        return `${today.slice(0, 8)}01`;
+      case "q":
+        return `${today.slice(0, 5)}${String(month - ((month - 1) % 3)).padStart(2, "0")}-01`;
+      default:
+        return `${today.slice(0, 5)}01-01`;
+    }
+  }
+
+  const tradingDay = TRADING_DAY_PATTERN.exec(text);
+  if (tradingDay) {
+    const count = (tradingDay[1] === "-" ? -1 : 1) * Number(tradingDay[2] || 0);
+    if (count === 0) {
+      return today;
+    }
+    return shiftTradingDays(today, count, await loadTradingCalendar(functionName));
+  }
+
+  throw invalidDate(value);
+}
+
+/**
+ * Turns the from and to arguments of a date range into YYYY-MM-DD dates.
+ * @param {string|number} from The start date, in any form parseDate accepts.
+ * @param {string|number} to The end date, in any form parseDate accepts.
+ * @param {Object} [options] The parseDate options.
+ * @returns {Promise<string[]>} The start and end dates.
+ */
+export async function parseDateRange(from, to, options) {
+  return [await parseDate(from, options), await parseDate(to, options)];
+}
+
+/**
+ * @param {*} value The rejected date argument.
+ * @returns {RangeError} The error to show in the cell.
+ */
+function invalidDate(value) {
+  const shown = value === undefined || value === null || value === "" ? "(empty)" : `"${value}"`;
+  return new RangeError(
+    `Invalid date ${shown}. Use YYYY-MM-DD, an Excel date, or a relative date such as -30d, -6m, ` +
+      "YTD, MTD, 1Y or T-5."
+  );
+}
@@ -0,0 +1,191 @@
+import { getAsOfTime } from "./fixtureStore";
+import { getStringSetting } from "./settings";
+
+// Dates and times as the exchange sees them. US stocks, options and indices trade on New York
+// time, so "today" and intraday bar times are worked out there rather than in UTC or the
+// computer's own timezone. FX and crypto trade around the clock; their timezone is a setting
+// that defaults to UTC, and the functions for them also take a timezone argument.
+
+export const EXCHANGE_TIMEZONE = "America/New_York";
+export const TIMEZONE_SETTING = "polygonTimezone";
+export const DEFAULT_FX_CRYPTO_TIMEZONE = "UTC";
+
+const INTRADAY_TIMESPANS = ["second", "minute", "hour"];
+
+const formatters = new Map();
+
+/**
+ * Returns the timezone to use for a ticker's dates and times.
+ * @param {string} [ticker] The ticker; FX ("C:") and crypto ("X:") pairs use the timezone setting.
+ * @param {string} [timezone] An IANA timezone name that overrides the default (e.g., "Europe/London").
+ * @returns {string} The timezone name.
+ */
+export function getTimezone(ticker, timezone) {
+  if (timezone) {
+    checkTimezone(timezone);
+    return timezone;
+  }
+  if (/^[CX]:/.test(ticker || "")) {
+    return getStringSetting(TIMEZONE_SETTING, DEFAULT_FX_CRYPTO_TIMEZONE);
+  }
+  return EXCHANGE_TIMEZONE;
+}
+
+/**
+ * Throws when a timezone name is not one the runtime knows.
+ * @param {string} timezone An IANA timezone name.
+ */
+export function checkTimezone(timezone) {
+  try {
+    getFormatter(timezone);
+  } catch {
+    throw new RangeError(`Unknown timezone "${timezone}". Use a name such as "Europe/London".`);
+  }
+}
+
+/**
+ * Returns today's date in a timezone, following the replay clock when fixtures are replayed.
+ * @param {string} [timezone] The timezone; defaults to New York.
+ * @returns {string} The date in YYYY-MM-DD format.
+ */
+export function getToday(timezone = EXCHANGE_TIMEZONE) {
+  return formatDate(getAsOfTime(), timezone);
+}
+
+/**
+ * @param {number} time A Polygon timestamp in nanoseconds, microseconds or milliseconds.
+ * @param {string} [timezone] The timezone; defaults to New York.
+ * @returns {string} The calendar date in YYYY-MM-DD format.
+ */
+export function formatDate(time, timezone = EXCHANGE_TIMEZONE) {
+  const parts = getParts(time, timezone);
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * @param {number} time A Polygon timestamp in nanoseconds, microseconds or milliseconds.
+ * @param {string} [timezone] The timezone; defaults to New York.
+ * @returns {string} The wall-clock time in "YYYY-MM-DD HH:mm:ss" format.
+ */
+export function formatDateTime(time, timezone = EXCHANGE_TIMEZONE) {
+  const parts = getParts(time, timezone);
+  return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}:${parts.second}`;
+}
+
+/**
+ * Labels an aggregate bar. Intraday bars show their start time in the timezone. Daily and longer
+ * bars show their date: Polygon stamps them at midnight in the market's own timezone, which is
+ * the same calendar day in UTC, so they are labelled the same wherever the user is.
+ * @param {number} time The bar's t value, in milliseconds.
+ * @param {string} timespan The bar timespan (e.g., "minute", "day").
+ * @param {string} [timezone] The timezone for intraday bars; defaults to New York.
+ * @returns {string} The bar date or date and time.
+ */
+export function formatBarTime(time, timespan, timezone = EXCHANGE_TIMEZONE) {
+  return INTRADAY_TIMESPANS.includes(timespan)
+    ? formatDateTime(time, timezone)
+    : formatDate(time, "UTC");
+}
+
+/**
+ * @param {string} date A date in YYYY-MM-DD format.
+ * @param {number} days Days to add; may be negative.
+ * @returns {string} The shifted date in YYYY-MM-DD format.
+ */
+export function addDays(date, days) {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days)).toISOString().split("T")[0];
+}
+
+/**
+ * Shifts a date by whole months, keeping the day of the month where it exists and otherwise
+ * using the month's last day (e.g., March 31 minus one month is February 28 or 29).
+ * @param {string} date A date in YYYY-MM-DD format.
+ * @param {number} months Months to add; may be negative.
+ * @returns {string} The shifted date in YYYY-MM-DD format.
+ */
+export function addMonths(date, months) {
+  const [year, month, day] = date.split("-").map(Number);
+  const lastDay = new Date(Date.UTC(year, month + months, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month - 1 + months, Math.min(day, lastDay)))
+    .toISOString()
+    .split("T")[0];
+}
+
+/**
+ * Converts a wall-clock time in a timezone to a timestamp (e.g., 9:30 in New York on a date).
+ * @param {string} date A date in YYYY-MM-DD format.
+ * @param {number} minutes Minutes past midnight.
+ * @param {string} [timezone] The timezone; defaults to New York.
+ * @returns {number} Unix time in milliseconds.
+ */
+export function toTime(date, minutes, timezone = EXCHANGE_TIMEZONE) {
+  const [year, month, day] = date.split("-").map(Number);
+  // The zone's offset at noon holds all day except across a 2 a.m. daylight saving change.
+  const noon = Date.UTC(year, month - 1, day, 12);
+  const parts = getParts(noon, timezone);
+  const offset =
+    Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour)) -
+    noon;
+  return Date.UTC(year, month - 1, day) + minutes * 60000 - offset;
+}
+
+/**
+ * @param {string} date A date in YYYY-MM-DD format.
+ * @returns {number} The day of the week, 0 for Sunday to 6 for Saturday.
+ */
+export function getDayOfWeek(date) {
+  const [year, month, day] = date.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day)).getUTCDay();
+}
+
+/**
+ * Converts a Polygon timestamp to milliseconds. Aggregates use milliseconds, but trades and
+ * quotes are stamped in nanoseconds (and some older responses in microseconds).
+ * @param {number} time The timestamp.
+ * @returns {number} Unix time in milliseconds.
+ */
+export function toMilliseconds(time) {
+  if (time > 1e17) {
+    return Math.floor(time / 1e6);
+  }
+  if (time > 1e14) {
+    return Math.floor(time / 1e3);
+  }
+  return time;
+}
+
+/**
+ * @param {number} time A Polygon timestamp.
+ * @param {string} timezone The timezone.
+ * @returns {Object<string, string>} Zero-padded year, month, day, hour, minute and second.
+ */
+function getParts(time, timezone) {
+  const parts = {};
+  getFormatter(timezone)
+    .formatToParts(new Date(toMilliseconds(time)))
+    .forEach((part) => (parts[part.type] = part.value));
+  return parts;
+}
+
+/**
+ * @param {string} timezone The timezone.
+ * @returns {Intl.DateTimeFormat} A formatter for the timezone's wall-clock time, reused per zone.
+ */
+function getFormatter(timezone) {
+  let formatter = formatters.get(timezone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone: timezone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+    formatters.set(timezone, formatter);
+  }
+  return formatter;
+}
@@ -0,0 +1,176 @@
+/* global localStorage */
+
+// Which Polygon.io endpoint families the API key's plan includes. Reference data and daily bars
+// are available on every plan; the families below need a paid plan. The task pane probes them
+// when a key is saved, and the request layer refuses requests the key is known not to cover.
+// Entitlements are kept per key fingerprint, so switching between API keys does not mix up what
+// each of them was found to cover.
+
+const ENTITLEMENTS_KEY = "polygonEntitlements";
+
+const PROBE_OPTION = "O:SPY261218C00600000";
+
+/**
+ * Endpoint families that need a paid plan, with the cheapest request that proves access.
+ */
+export const ENDPOINT_FAMILIES = {
+  stocksSnapshot: {
+    label: "stock snapshots",
+    plan: "Stocks Starter",
+    probe: { path: "/v2/snapshot/locale/us/markets/stocks/tickers/AAPL" },
+  },
+  stocksFinancials: {
+    label: "company financials",
+    plan: "Stocks Starter",
+    probe: { path: "/vX/reference/financials", params: { ticker: "AAPL", limit: 1 } },
+  },
+  stocksTrades: {
+    label: "stock trades",
+    plan: "Stocks Developer",
+    probe: { path: "/v2/last/trade/AAPL" },
+  },
+  stocksQuotes: {
+    label: "stock quotes",
+    plan: "Stocks Advanced",
+    probe: { path: "/v2/last/nbbo/AAPL" },
+  },
+  optionsSnapshot: {
+    label: "options snapshots",
+    plan: "Options Starter",
+    probe: { path: "/v3/snapshot", params: { "ticker.any": PROBE_OPTION } },
+  },
+  optionsTrades: {
+    label: "options trades",
+    plan: "Options Developer",
+    probe: { path: `/v2/last/trade/${PROBE_OPTION}` },
+  },
+  optionsQuotes: {
+    label: "options quotes",
+    plan: "Options Advanced",
+    probe: { path: `/v2/last/nbbo/${PROBE_OPTION}` },
+  },
+  indicesSnapshot: {
+    label: "index snapshots",
+    plan: "Indices Starter",
+    probe: { path: "/v3/snapshot", params: { "ticker.any": "I:SPX" } },
+  },
+};
+
+/**
+ * Endpoint families each custom function depends on, keyed by function name.
+ */
+export const FUNCTION_FAMILIES = {
+  getCompanyFinancials: ["stocksFinancials"],
+  getIndexSnapshot: ["indicesSnapshot"],
+  getLastQuote: ["stocksQuotes"],
+  getLastTrade: ["stocksTrades"],
+  getOptionsLastQuote: ["optionsQuotes"],
+  getOptionsLastTrade: ["optionsTrades"],
+  getOptionsSnapshot: ["optionsSnapshot"],
+  getSnapshotTicker: ["stocksSnapshot"],
+  streamLatestPrice: ["stocksSnapshot"],
+  streamSnapshotTicker: ["stocksSnapshot"],
+};
+
+/**
+ * Works out which paid endpoint family a request belongs to.
+ * @param {string} request The request path and query (e.g., "/v2/last/trade/AAPL").
+ * @returns {string|null} The family id, or null when every plan includes the endpoint.
+ */
+export function getEndpointFamily(request) {
+  const decoded = decodeURIComponent(request);
+  const ticker = /^\/v3\/snapshot/.test(decoded)
+    ? (/[?&]ticker(?:\.any(?:_of)?)?=([^&]*)/.exec(decoded) || [])[1] || ""
+    : decoded.split("?")[0].split("/").pop();
+  // Forex and crypto tickers map to no family: their endpoints are not gated here.
+  const asset =
+    { "O:": "options", "I:": "indices", "C:": "fx", "X:": "crypto" }[ticker.slice(0, 2)] ||
+    "stocks";
+
+  let kind = null;
+  if (/^\/v2\/snapshot\/locale\/us\/markets\/stocks\/|^\/v3\/snapshot\?/.test(decoded)) {
+    kind = "Snapshot";
+  } else if (/^\/v2\/last\/trade\//.test(decoded)) {
+    kind = "Trades";
+  } else if (/^\/v2\/last\/nbbo\//.test(decoded)) {
+    kind = "Quotes";
+  } else if (/^\/vX\/reference\/financials/.test(decoded)) {
+    kind = "Financials";
+  }
+  const family = kind && `${asset}${kind}`;
+  return family && ENDPOINT_FAMILIES[family] ? family : null;
+}
+
+/**
+ * Returns the entitlements recorded for a key.
+ * @param {string} keyFingerprint Fingerprint of the API key and server, from getKeyFingerprint.
+ * @returns {Object<string, boolean>} Availability by family id; unchecked families are missing.
+ */
+export function getEntitlements(keyFingerprint) {
+  const saved = readEntitlements()[keyFingerprint];
+  return saved ? saved.families : {};
+}
+
+/**
+ * Records whether the key can use an endpoint family.
+ * @param {string} keyFingerprint Fingerprint of the API key and server, from getKeyFingerprint.
+ * @param {string} family The family id.
+ * @param {boolean} available Whether the key's plan includes the family.
+ */
+export function recordEntitlement(keyFingerprint, family, available) {
+  const byKey = readEntitlements();
+  const families = { ...(byKey[keyFingerprint] || {}).families, [family]: available };
+  byKey[keyFingerprint] = { checkedAt: Date.now(), families };
+  localStorage.setItem(ENTITLEMENTS_KEY, JSON.stringify(byKey));
+}
+
+/**
+ * Forgets the entitlements recorded for a key, before it is probed again.
+ * @param {string} keyFingerprint Fingerprint of the API key and server, from getKeyFingerprint.
+ */
+export function clearEntitlements(keyFingerprint) {
+  const byKey = readEntitlements();
+  delete byKey[keyFingerprint];
+  localStorage.setItem(ENTITLEMENTS_KEY, JSON.stringify(byKey));
+}
+
+/**
+ * Returns a short hash identifying an API key on a server, so entitlements recorded for one key
+ * are not applied to another and the key itself is not stored twice.
+ * @param {string|null} apiKey The API key.
+ * @param {string} baseUrl The API base URL.
+ * @returns {string} The fingerprint.
+ */
+export function getKeyFingerprint(apiKey, baseUrl) {
+  const text = `${apiKey || ""}@${baseUrl}`;
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16);
+}
+
+/**
+ * Lists the plans a function needs that the key is known to lack.
+ * @param {string} functionName The custom function name (e.g., "getLastTrade").
+ * @param {Object<string, boolean>} entitlements Availability by family id.
+ * @returns {string[]} Names of the missing plans; empty when the function is usable.
+ */
+export function getMissingPlans(functionName, entitlements) {
+  return (FUNCTION_FAMILIES[functionName] || [])
+    .filter((family) => entitlements[family] === false)
+    .map((family) => ENDPOINT_FAMILIES[family].plan);
+}
+
+/**
+ * @returns {Object<string, {checkedAt: number, families: Object<string, boolean>}>} The recorded
+ * entitlements by key fingerprint.
+ */
+function readEntitlements() {
+  try {
+    return JSON.parse(localStorage.getItem(ENTITLEMENTS_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
@@ -0,0 +1,107 @@
+/* global CustomFunctions */
+
+// Error types raised by the request layer, and helpers that turn failures into Excel error
+// values so IFERROR, ISERROR and friends can tell them apart from data.
+
+/**
+ * Error raised when Polygon.io answers with a non-success HTTP status.
+ */
+export class PolygonHttpError extends Error {
+  /**
+   * @param {number} status The HTTP status code.
+   * @param {string} [message] Optional message; defaults to the HTTP status.
+   */
+  constructor(status, message) {
+    super(message || `HTTP error! status: ${status}`);
+    this.name = "PolygonHttpError";
+    this.status = status;
+  }
+}
+
+/**
+ * Error raised when Polygon.io could not be reached or did not answer in time.
+ */
+export class PolygonNetworkError extends Error {
+  /**
+   * @param {string} message Description of the network failure.
+   */
+  constructor(message) {
+    super(message);
+    this.name = "PolygonNetworkError";
+  }
+}
+
+/**
+ * Error raised for an endpoint the API key's Polygon.io plan does not include.
+ */
+export class PlanRequiredError extends Error {
+  /**
+   * @param {{label: string, plan: string}} family The endpoint family from ENDPOINT_FAMILIES.
+   */
+  constructor(family) {
+    super(`Requires a Polygon.io ${family.plan} plan or higher for ${family.label}.`);
+    this.name = "PlanRequiredError";
+    this.plan = family.plan;
+  }
+}
+
+/**
+ * Error raised in replay mode for a request that was never recorded in the fixture store.
+ */
+export class ReplayMissError extends Error {
+  /**
+   * @param {string} storeName The fixture store being replayed.
+   * @param {string} key The request path and query.
+   */
+  constructor(storeName, key) {
+    super(`Not recorded in fixture store "${storeName}": ${key}`);
+    this.name = "ReplayMissError";
+  }
+}
+
+/**
+ * Creates a #N/A error for an unknown ticker or a request that returned no data.
+ * @param {string} message Message shown in the error tooltip.
+ * @returns {CustomFunctions.Error} The Excel error.
+ */
+export function notAvailable(message) {
+  return new CustomFunctions.Error(CustomFunctions.ErrorCode.notAvailable, message);
+}
+
+/**
+ * Creates a #VALUE! error for a bad argument.
+ * @param {string} message Message shown in the error tooltip.
+ * @returns {CustomFunctions.Error} The Excel error.
+ */
+export function invalidValue(message) {
+  return new CustomFunctions.Error(CustomFunctions.ErrorCode.invalidValue, message);
+}
+
+/**
+ * Converts any failure caught in a custom function into an Excel error value.
+ * The custom functions runtime has no #BUSY! or #CONNECT! error code, so network problems are
+ * reported as #N/A ("service isn't available") with the cause in the tooltip.
+ * @param {Error} error The caught error.
+ * @returns {CustomFunctions.Error} The Excel error.
+ */
+export function toExcelError(error) {
+  if (error instanceof CustomFunctions.Error) {
+    return error;
+  }
+  if (error instanceof PlanRequiredError || error instanceof ReplayMissError) {
+    return notAvailable(error.message);
+  }
+  if (error instanceof PolygonNetworkError) {
+    return notAvailable(`Network error: ${error.message}`);
+  }
+  if (error instanceof PolygonHttpError) {
+    if (error.status === 400 || error.status === 422) {
+      return invalidValue(error.message);
+    }
+    if (error.status === 404) {
+      return notAvailable(`No data found: ${error.message}`);
+    }
+    return notAvailable(error.message);
+  }
+  return invalidValue(error.message);
+}
@@ -0,0 +1,235 @@
+/* global console, indexedDB */
+
+import { getNumberSetting, getStringSetting, setSetting } from "./settings";
+
+// Named fixture stores for reproducible workbooks. In record mode every response the custom
+// functions consume is saved to the active store; in replay mode responses come from that store
+// and the network is never used. Stores can be exported to and imported from JSON files.
+
+const DB_NAME = "polygon-ai-fixtures";
+const STORE_NAME = "responses";
+const EXPORT_FORMAT = "polygon-ai-fixtures";
+const EXPORT_VERSION = 1;
+
+export const FIXTURE_MODE_SETTING = "polygonFixtureMode";
+export const FIXTURE_STORE_SETTING = "polygonFixtureStore";
+export const REPLAY_AS_OF_SETTING = "polygonReplayAsOf";
+
+export const FIXTURE_MODES = ["off", "record", "replay"];
+export const DEFAULT_FIXTURE_STORE = "default";
+
+let dbPromise = null;
+
+/**
+ * @returns {string} "off", "record" or "replay".
+ */
+export function getFixtureMode() {
+  const mode = getStringSetting(FIXTURE_MODE_SETTING, "off");
+  return FIXTURE_MODES.includes(mode) ? mode : "off";
+}
+
+/**
+ * @returns {string} The name of the fixture store being recorded to or replayed from.
+ */
+export function getFixtureStoreName() {
+  return getStringSetting(FIXTURE_STORE_SETTING, DEFAULT_FIXTURE_STORE);
+}
+
+/**
+ * Returns the time functions should treat as now. While replaying, this is the time the store was
+ * last recorded, so functions that default to "the last 30 days" ask for the same range again.
+ * @returns {number} Unix time in milliseconds.
+ */
+export function getAsOfTime() {
+  return getFixtureMode() === "replay"
+    ? getNumberSetting(REPLAY_AS_OF_SETTING, Date.now())
+    : Date.now();
+}
+
+/**
+ * Switches the fixture mode and store. Entering replay pins the clock to the store's last
+ * recording.
+ * @param {string} mode "off", "record" or "replay".
+ * @param {string} storeName The fixture store to use.
+ * @returns {Promise<void>}
+ */
+export async function setFixtureMode(mode, storeName) {
+  setSetting(FIXTURE_MODE_SETTING, mode === "off" ? "" : mode);
+  setSetting(FIXTURE_STORE_SETTING, storeName === DEFAULT_FIXTURE_STORE ? "" : storeName);
+  if (mode === "replay") {
+    const summary = (await listFixtureStores()).find((store) => store.name === storeName);
+    setSetting(REPLAY_AS_OF_SETTING, summary ? summary.lastRecordedAt : "");
+  } else {
+    setSetting(REPLAY_AS_OF_SETTING, "");
+  }
+}
+
+/**
+ * Saves a response to the active fixture store.
+ * @param {string} key The request path and query, without the base URL or API key.
+ * @param {any} data The parsed response body.
+ * @returns {Promise<void>}
+ */
+export async function recordResponse(key, data) {
+  try {
+    await runRequest("readwrite", (store) =>
+      store.put({ store: getFixtureStoreName(), key, data, recordedAt: Date.now() })
+    );
+  } catch (error) {
+    // A failed recording should not fail the formula that asked for the data.
+    console.warn("Could not record response:", error);
+  }
+}
+
+/**
+ * Looks up a response in the active fixture store.
+ * @param {string} key The request path and query, without the base URL or API key.
+ * @returns {Promise<any>} The recorded body, or undefined if it was never recorded.
+ */
+export async function getRecordedResponse(key) {
+  const entry = await runRequest("readonly", (store) => store.get([getFixtureStoreName(), key]));
+  return entry ? entry.data : undefined;
+}
+
+/**
+ * Summarizes every fixture store.
+ * @returns {Promise<Object[]>} Stores with name, count, size and lastRecordedAt, sorted by name.
+ */
+export async function listFixtureStores() {
+  const entries = (await runRequest("readonly", (store) => store.getAll())) || [];
+  const stores = {};
+  entries.forEach((entry) => {
+    const summary = stores[entry.store] || {
+      name: entry.store,
+      count: 0,
+      size: 0,
+      lastRecordedAt: 0,
+    };
+    summary.count++;
+    summary.size += JSON.stringify(entry.data).length;
+    summary.lastRecordedAt = Math.max(summary.lastRecordedAt, entry.recordedAt);
+    stores[entry.store] = summary;
+  });
+  return Object.values(stores).sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Builds the JSON document for a fixture store.
+ * @param {string} name The fixture store name.
+ * @returns {Promise<Object>} The export document.
+ */
+export async function exportFixtureStore(name) {
+  const entries = await getStoreEntries(name);
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    name,
+    exportedAt: new Date().toISOString(),
+    responses: entries.map(({ key, data, recordedAt }) => ({ key, recordedAt, data })),
+  };
+}
+
+/**
+ * Replaces a fixture store with the responses in an exported document.
+ * @param {Object} exported A document created by exportFixtureStore.
+ * @param {string} [name] Store to import into; defaults to the name in the export.
+ * @returns {Promise<{name: string, count: number}>} The store name and number of responses.
+ */
+export async function importFixtureStore(exported, name) {
+  if (!exported || exported.format !== EXPORT_FORMAT || !Array.isArray(exported.responses)) {
+    throw new Error("Not a Polygon fixture store export.");
+  }
+  if (exported.version > EXPORT_VERSION) {
+    throw new Error(`Fixture store version ${exported.version} is not supported.`);
+  }
+  const storeName = name || exported.name || DEFAULT_FIXTURE_STORE;
+  await deleteFixtureStore(storeName);
+  await runTransaction((store) =>
+    exported.responses.forEach(({ key, data, recordedAt }) =>
+      store.put({ store: storeName, key, data, recordedAt: recordedAt || Date.now() })
+    )
+  );
+  return { name: storeName, count: exported.responses.length };
+}
+
+/**
+ * Deletes every response in a fixture store.
+ * @param {string} name The fixture store name.
+ * @returns {Promise<void>}
+ */
+export async function deleteFixtureStore(name) {
+  const entries = await getStoreEntries(name);
+  await runTransaction((store) => entries.forEach((entry) => store.delete([name, entry.key])));
+}
+
+/**
+ * @param {string} name The fixture store name.
+ * @returns {Promise<Object[]>} The store's entries, sorted by key.
+ */
+async function getStoreEntries(name) {
+  const entries =
+    (await runRequest("readonly", (store) => store.index("store").getAll(name))) || [];
+  return entries.sort((a, b) => a.key.localeCompare(b.key));
+}
+
+/**
+ * Opens the fixture database, resolving to null where IndexedDB is unavailable.
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === "undefined") {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () =>
+        request.result
+          .createObjectStore(STORE_NAME, { keyPath: ["store", "key"] })
+          .createIndex("store", "store");
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn("Fixture stores are unavailable:", request.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Runs a single request against the responses store.
+ * @param {IDBTransactionMode} mode "readonly" or "readwrite".
+ * @param {function(IDBObjectStore): IDBRequest} operation Creates the request to run.
+ * @returns {Promise<any>} The request result.
+ */
+async function runRequest(mode, operation) {
+  const db = await openDatabase();
+  if (!db) {
+    return undefined;
+  }
+  return new Promise((resolve, reject) => {
+    const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Runs several writes in one transaction and resolves once they are committed.
+ * @param {function(IDBObjectStore): void} operations Queues the writes.
+ * @returns {Promise<void>}
+ */
+async function runTransaction(operations) {
+  const db = await openDatabase();
+  if (!db) {
+    throw new Error("Fixture stores need IndexedDB, which is not available here.");
+  }
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, "readwrite");
+    operations(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+  });
+}
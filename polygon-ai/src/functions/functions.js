@@ -1,28 +1,56 @@
-﻿/* global clearInterval, console, setInterval */
-
-let apiKey = null;
-
-function getApiKey() {
-  return apiKey || localStorage.getItem("polygonApiKey");
-}
+﻿import { invalidValue, notAvailable, toExcelError } from "./errors";
+import { addDays, addMonths, formatBarTime, formatDateTime, getDayOfWeek, getTimezone, getToday } from "./dates";
+import { parseDate, parseDateRange } from "./dateInput";
+import { getFixtureMode } from "./fixtureStore";
+import { getBarLastDay, getBarMinutes, getRangePath, parseBarSize } from "./barSize";
+import { BAR_STUDIES, checkBars, getSettlingBars, getWarmUpBars, parseStudy } from "./indicators";
+import { PIVOT_METHODS, PIVOT_TIMEFRAMES, getPeriodStart, resampleBars } from "./pivots";
+import { watchMarketStatus, watchSnapshot } from "./pollingFeed";
+import { polygonGet, polygonGetAll } from "./polygonClient";
+import { fetchServerStudy } from "./serverIndicators";
+import { listKeyProfiles, setWorkbookKeyProfile } from "./settings";
+import { subscribe } from "./streaming";
+import {
+  countTradingDays,
+  getLastClosedSession,
+  getLatestSession,
+  listHolidays,
+  listSessions,
+  loadTradingCalendar,
+  shiftTradingDays
+} from "./tradingCalendar";
+import * as barFeed from "./barFeed";
+import * as pollingFeed from "./pollingFeed";
+import * as polygonClient from "./polygonClient";
+import * as responseCache from "./responseCache";
+import { publishSharedModules } from "./sharedModules";
+import * as streaming from "./streaming";
+import * as usageMeter from "./usageMeter";
+
+// The task pane uses these modules through the shared runtime rather than importing its own copies.
+publishSharedModules({ barFeed, pollingFeed, polygonClient, responseCache, streaming, usageMeter });
 
 /**
- * Sets the Polygon.io API key for use in all functions.
+ * Uses a saved API key profile for this workbook. Keys are entered in the task pane, so only the
+ * profile name appears in the formula.
  * @customfunction
- * @param {string} key The Polygon.io API key.
- * @returns {string} Confirmation message.
+ * @param {string} profile Name of a key profile saved in the task pane (e.g., "team").
+ * @returns {Promise<string>} Confirmation message.
  */
-export function setPolygonApiKey(key) {
+export async function setPolygonApiKey(profile) {
   try {
-    if (!key) {
-      return "No API key provided.";
+    if (!profile) {
+      throw invalidValue("No key profile provided.");
     }
-    
-    apiKey = key;
-    localStorage.setItem("polygonApiKey", key);
-    return "API key set successfully.";
+    if (!listKeyProfiles().some((saved) => saved.name === profile)) {
+      // Not echoed back: it may be a key pasted into the formula.
+      throw invalidValue("Not a saved key profile. Add API keys in the task pane and pass the profile name.");
+    }
+
+    await setWorkbookKeyProfile(profile);
+    return `Using key profile "${profile}".`;
   } catch (error) {
-    return `Error setting API key: ${error.message}`;
+    throw toExcelError(error);
   }
 }
 
@@ -35,22 +63,10 @@ export function setPolygonApiKey(key) {
  */
 export async function searchTickers(searchTerm, limit = 10) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) {
-      return [["API key not set. Please set your Polygon.io API key."]];
-    }
-
-    limit = Math.min(Math.max(1, limit), 50);
-    const url = `https://api.polygon.io/v3/reference/tickers?search=${encodeURIComponent(searchTerm)}&active=true&limit=${limit}&apiKey=${apiKey}`;
-    
-    const response = await fetch(url);
-    if (!response.ok) {
-      return [[`HTTP error! status: ${response.status}`]];
-    }
-
-    const data = await response.json();
+    limit = Math.max(1, limit);
+    const data = await polygonGetAll("/v3/reference/tickers", { search: searchTerm, active: true, limit: Math.min(limit, 1000) }, limit, "searchTickers");
     if (!data.results) {
-      return [["No data returned from API."]];
+      throw notAvailable("No data returned from API.");
     }
     if (data.results.length > 0) {
       const results = [["Symbol", "Name", "Market", "Type", "Primary Exchange"]];
@@ -65,10 +81,10 @@ export async function searchTickers(searchTerm, limit = 10) {
       });
       return results;
     } else {
-      return [["No matching tickers found."]];
+      throw notAvailable("No matching tickers found.");
     }
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -77,26 +93,14 @@ export async function searchTickers(searchTerm, limit = 10) {
  * @customfunction
  * @param {string} ticker The stock ticker symbol (e.g., "AAPL")
  * @param {number} [limit=10] Maximum number of splits to return
- * @returns {Promise<string[][]>} Array of stock split data
+ * @returns {Promise<any[][]>} Array of stock split data
  */
 export async function getStockSplits(ticker, limit = 10) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) {
-      return [["API key not set. Please set your Polygon.io API key."]];
-    }
-
-    limit = Math.min(Math.max(1, limit), 50);
-    const url = `https://api.polygon.io/v3/reference/splits?ticker=${ticker}&limit=${limit}&apiKey=${apiKey}`;
-    
-    const response = await fetch(url);
-    if (!response.ok) {
-      return [[`HTTP error! status: ${response.status}`]];
-    }
-
-    const data = await response.json();
+    limit = Math.max(1, limit);
+    const data = await polygonGetAll("/v3/reference/splits", { ticker, limit: Math.min(limit, 1000) }, limit, "getStockSplits");
     if (!data.results) {
-      return [["No data returned from API."]];
+      throw notAvailable("No data returned from API.");
     }
     if (data.results.length > 0) {
       const results = [["Ticker", "Ex-Date", "Payment Date", "Ratio", "To Factor", "From Factor"]];
@@ -106,16 +110,16 @@ export async function getStockSplits(ticker, limit = 10) {
           split.execution_date || "N/A",
           split.payment_date || "N/A",
           `${split.split_to}:${split.split_from}`,
-          split.split_to || "N/A",
-          split.split_from || "N/A"
+          orNotAvailable(split.split_to),
+          orNotAvailable(split.split_from)
         ]);
       });
       return results;
     } else {
-      return [["No stock splits found for this ticker."]];
+      throw notAvailable("No stock splits found for this ticker.");
     }
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -123,58 +127,43 @@ export async function getStockSplits(ticker, limit = 10) {
  * Retrieves historical OHLC data for a specific date range
  * @customfunction
  * @param {string} ticker The stock ticker symbol (e.g., "AAPL")
- * @param {string} fromDate Start date in YYYY-MM-DD format
- * @param {string} toDate End date in YYYY-MM-DD format
- * @param {string} [timespan="day"] Timespan between data points ("day", "week", "month", "quarter", "year")
- * @returns {Promise<string[][]>} Array of OHLC data
+ * @param {string} fromDate Start date: YYYY-MM-DD, an Excel date, or relative (e.g., "-30d", "-6m", "YTD", "1Y", "T-5")
+ * @param {string} toDate End date: YYYY-MM-DD, an Excel date, or relative (e.g., "T", "-1d", "T-1")
+ * @param {string} [timespan="day"] Bar size: a timespan ("minute", "hour", "day", "week", "month", "quarter", "year") with an optional multiplier (e.g., "15minute", "4hour", "2week")
+ * @param {number} [maxRows=50000] Maximum number of bars to return; further pages are fetched as needed
+ * @returns {Promise<any[][]>} Array of OHLC data
  */
-export async function getHistoricalOHLC(ticker, fromDate, toDate, timespan = "day") {
+export async function getHistoricalOHLC(ticker, fromDate, toDate, timespan = "day", maxRows = 50000) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) {
-      return [["API key not set. Please set your Polygon.io API key."]];
-    }
-
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(fromDate) || !/^\d{4}-\d{2}-\d{2}$/.test(toDate)) {
-      return [["Date format must be YYYY-MM-DD"]];
-    }
+    [fromDate, toDate] = await parseDateRange(fromDate, toDate, { functionName: "getHistoricalOHLC" });
 
-    const validTimespans = ["day", "week", "month", "quarter", "year"];
-    if (!validTimespans.includes(timespan)) {
-      return [[`Invalid timespan. Valid options are: ${validTimespans.join(", ")}`]];
-    }
-
-    const url = `https://api.polygon.io/v2/aggs/ticker/${ticker}/range/1/${timespan}/${fromDate}/${toDate}?adjusted=true&sort=asc&apiKey=${apiKey}`;
-    
-    const response = await fetch(url);
-    if (!response.ok) {
-      return [[`HTTP error! status: ${response.status}`]];
-    }
+    const barSize = parseBarSize(timespan);
 
-    const data = await response.json();
+    maxRows = Math.max(1, maxRows);
+    const data = await polygonGetAll(`/v2/aggs/ticker/${ticker}/${getRangePath(barSize)}/${fromDate}/${toDate}`, { adjusted: true, sort: "asc", limit: Math.min(maxRows, 50000) }, maxRows, "getHistoricalOHLC");
     if (!data.results) {
-      return [["No data returned from API."]];
+      throw notAvailable("No data returned from API.");
     }
     if (data.results.length > 0) {
       const results = [["Date", "Open", "High", "Low", "Close", "Volume", "VWAP"]];
       data.results.forEach(bar => {
-        const date = new Date(bar.t).toISOString().split('T')[0];
+        const date = formatBarTime(bar.t, barSize.timespan);
         results.push([
           date,
-          bar.o?.toFixed(2) || "N/A",
-          bar.h?.toFixed(2) || "N/A",
-          bar.l?.toFixed(2) || "N/A",
-          bar.c?.toFixed(2) || "N/A",
-          bar.v || "N/A",
-          bar.vw?.toFixed(2) || "N/A"
+          orNotAvailable(bar.o),
+          orNotAvailable(bar.h),
+          orNotAvailable(bar.l),
+          orNotAvailable(bar.c),
+          orNotAvailable(bar.v),
+          orNotAvailable(bar.vw)
         ]);
       });
       return results;
     } else {
-      return [["No data found for this ticker and date range."]];
+      throw notAvailable("No data found for this ticker and date range.");
     }
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -186,26 +175,14 @@ export async function getHistoricalOHLC(ticker, fromDate, toDate, timespan = "da
  */
 export async function getExchanges(exchangeType = "exchange") {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) {
-      return [["API key not set. Please set your Polygon.io API key."]];
-    }
-
     const validTypes = ["exchange", "otc", "index"];
     if (!validTypes.includes(exchangeType)) {
-      return [[`Invalid exchange type. Valid options are: ${validTypes.join(", ")}`]];
+      throw invalidValue(`Invalid exchange type. Valid options are: ${validTypes.join(", ")}`);
     }
 
-    const url = `https://api.polygon.io/v3/reference/exchanges?asset_class=stocks&apiKey=${apiKey}`;
-    
-    const response = await fetch(url);
-    if (!response.ok) {
-      return [[`HTTP error! status: ${response.status}`]];
-    }
-
-    const data = await response.json();
+    const data = await polygonGet("/v3/reference/exchanges", { asset_class: "stocks" }, "getExchanges");
     if (!data.results) {
-      return [["No data returned from API."]];
+      throw notAvailable("No data returned from API.");
     }
     if (data.results.length > 0) {
       const filteredExchanges = data.results.filter(exchange => 
@@ -214,7 +191,7 @@ export async function getExchanges(exchangeType = "exchange") {
       );
 
       if (filteredExchanges.length === 0) {
-        return [[`No ${exchangeType} exchanges found.`]];
+        throw notAvailable(`No ${exchangeType} exchanges found.`);
       }
 
       const results = [["Name", "Market Identifier Code (MIC)", "Type", "Market", "Country", "Operating MIC"]];
@@ -230,68 +207,150 @@ export async function getExchanges(exchangeType = "exchange") {
       });
       return results;
     } else {
-      return [["No exchanges found."]];
+      throw notAvailable("No exchanges found.");
     }
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
 /**
- * Gets upcoming market holidays and trading hours
+ * Gets US market holidays and early closes for a year
  * @customfunction
  * @param {number} [year=current] The year to get holidays for
  * @returns {Promise<string[][]>} Array of market holidays and status
  */
 export async function getMarketHolidays(year) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) {
-      return [["API key not set. Please set your Polygon.io API key."]];
-    }
-
     if (!year) {
-      year = new Date().getFullYear();
-    }
-    
-    const url = `https://api.polygon.io/v1/marketstatus/upcoming?apiKey=${apiKey}`;
-    
-    const response = await fetch(url);
-    if (!response.ok) {
-      return [[`HTTP error! status: ${response.status}`]];
+      year = Number(getToday().slice(0, 4));
     }
+    checkCalendarYear(year);
 
-    const holidays = await response.json();
-    if (!holidays) {
-      return [["No data returned from API."]];
+    const calendar = await loadTradingCalendar("getMarketHolidays");
+    const holidays = listHolidays(year, calendar);
+    if (holidays.length === 0) {
+      throw notAvailable(`No market holidays found for ${year}.`);
     }
-    if (holidays.length > 0) {
-      const filteredHolidays = holidays.filter(holiday => {
-        const holidayDate = new Date(holiday.date);
-        return holidayDate.getFullYear() === year;
-      });
 
-      if (filteredHolidays.length === 0) {
-        return [[`No market holidays found for ${year}.`]];
-      }
+    const results = [["Date", "Holiday", "Status", "Open", "Close"]];
+    holidays.forEach(holiday => {
+      results.push([
+        holiday.date,
+        holiday.name,
+        holiday.status,
+        holiday.open ? formatDateTime(holiday.open) : "Closed",
+        holiday.close ? formatDateTime(holiday.close) : "Closed"
+      ]);
+    });
+    return results;
+  } catch (error) {
+    throw toExcelError(error);
+  }
+}
 
-      const results = [["Date", "Holiday", "Status", "Open", "Close"]];
-      filteredHolidays.forEach(holiday => {
-        const date = new Date(holiday.date).toISOString().split('T')[0];
-        results.push([
-          date,
-          holiday.name || "N/A",
-          holiday.status || "N/A",
-          holiday.open || "Closed",
-          holiday.close || "Closed"
-        ]);
-      });
-      return results;
-    } else {
-      return [["No market holidays found."]];
+/**
+ * Returns the US stock market trading day before a date, skipping weekends, holidays and closures
+ * @customfunction
+ * @param {string} [date] Date: YYYY-MM-DD, an Excel date, or relative (e.g., "-1m"); defaults to today in New York
+ * @param {number} [count=1] Number of trading days to go back
+ * @returns {Promise<string>} The trading day in YYYY-MM-DD format
+ */
+export async function previousTradingDay(date, count = 1) {
+  try {
+    checkTradingDayCount(count);
+    date = await parseDate(date || "T", { functionName: "previousTradingDay" });
+    const calendar = await loadTradingCalendar("previousTradingDay");
+    return shiftTradingDays(date, -count, calendar);
+  } catch (error) {
+    throw toExcelError(error);
+  }
+}
+
+/**
+ * Returns the US stock market trading day after a date, skipping weekends, holidays and closures
+ * @customfunction
+ * @param {string} [date] Date: YYYY-MM-DD, an Excel date, or relative (e.g., "-1m"); defaults to today in New York
+ * @param {number} [count=1] Number of trading days to go forward
+ * @returns {Promise<string>} The trading day in YYYY-MM-DD format
+ */
+export async function nextTradingDay(date, count = 1) {
+  try {
+    checkTradingDayCount(count);
+    date = await parseDate(date || "T", { functionName: "nextTradingDay" });
+    const calendar = await loadTradingCalendar("nextTradingDay");
+    return shiftTradingDays(date, count, calendar);
+  } catch (error) {
+    throw toExcelError(error);
+  }
+}
+
+/**
+ * Counts US stock market trading days after a start date up to and including an end date
+ * @customfunction
+ * @param {string} fromDate Start date, not counted: YYYY-MM-DD, an Excel date, or relative (e.g., "YTD")
+ * @param {string} toDate End date, counted when it is a trading day: YYYY-MM-DD, an Excel date, or relative (e.g., "T")
+ * @returns {Promise<number>} Number of trading days; negative when toDate is before fromDate
+ */
+export async function tradingDaysBetween(fromDate, toDate) {
+  try {
+    [fromDate, toDate] = await parseDateRange(fromDate, toDate, { functionName: "tradingDaysBetween" });
+    const calendar = await loadTradingCalendar("tradingDaysBetween");
+    return countTradingDays(fromDate, toDate, calendar);
+  } catch (error) {
+    throw toExcelError(error);
+  }
+}
+
+/**
+ * Lists every US stock market trading session in a year with its open and close times in New York time
+ * @customfunction
+ * @param {number} [year=current] The year to list sessions for
+ * @returns {Promise<any[][]>} Array of sessions with date, open, close and early close flag
+ */
+export async function tradingSessions(year) {
+  try {
+    if (!year) {
+      year = Number(getToday().slice(0, 4));
     }
+    checkCalendarYear(year);
+
+    const calendar = await loadTradingCalendar("tradingSessions");
+    const results = [["Date", "Open", "Close", "Early Close", "Note"]];
+    listSessions(year, calendar).forEach(session => {
+      results.push([
+        session.date,
+        formatDateTime(session.open),
+        formatDateTime(session.close),
+        session.earlyClose,
+        session.name
+      ]);
+    });
+    return results;
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
+  }
+}
+
+/**
+ * Validates a year for the trading calendar functions
+ * @private
+ * @param {number} year The year
+ */
+function checkCalendarYear(year) {
+  if (!Number.isInteger(year) || year < 1970 || year > 2100) {
+    throw invalidValue("Year must be a whole number between 1970 and 2100.");
+  }
+}
+
+/**
+ * Validates the count argument of previousTradingDay and nextTradingDay
+ * @private
+ * @param {number} count Number of trading days to move
+ */
+function checkTradingDayCount(count) {
+  if (!Number.isInteger(count) || count < 1) {
+    throw invalidValue("Count must be a whole number of at least 1.");
   }
 }
 
@@ -299,16 +358,11 @@ export async function getMarketHolidays(year) {
  * Analyzes and compares performance of major market sectors
  * @customfunction
  * @param {string} [timespan="day"] Time period to analyze ("day", "week", "month", "quarter", "year")
- * @returns {Promise<string[][]>} Array of sector performance data
+ * @returns {Promise<any[][]>} Array of sector performance data
  * @note Approximates sector performance using sector ETFs
  */
 export async function getSectorPerformance(timespan = "day") {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) {
-      return [["API key not set. Please set your Polygon.io API key."]];
-    }
-
     const sectorETFs = {
       "Technology": "XLK",
       "Financial": "XLF",
@@ -324,79 +378,68 @@ export async function getSectorPerformance(timespan = "day") {
     };
 
     const spyTicker = "SPY";
-    const endDate = new Date();
-    const startDate = new Date();
+    const toDate = getToday();
+    let fromDate;
     
     switch(timespan) {
-      case "day": startDate.setDate(startDate.getDate() - 1); break;
-      case "week": startDate.setDate(startDate.getDate() - 7); break;
-      case "month": startDate.setMonth(startDate.getMonth() - 1); break;
-      case "quarter": startDate.setMonth(startDate.getMonth() - 3); break;
-      case "year": startDate.setFullYear(startDate.getFullYear() - 1); break;
-      default: startDate.setDate(startDate.getDate() - 1);
+      case "week": fromDate = addDays(toDate, -7); break;
+      case "month": fromDate = addMonths(toDate, -1); break;
+      case "quarter": fromDate = addMonths(toDate, -3); break;
+      case "year": fromDate = addMonths(toDate, -12); break;
+      default: {
+        // "day": the latest session's change, from the close of the trading day before it.
+        const calendar = await loadTradingCalendar("getSectorPerformance");
+        fromDate = shiftTradingDays(getLatestSession(calendar), -1, calendar);
+      }
     }
 
-    const fromDate = startDate.toISOString().split('T')[0];
-    const toDate = endDate.toISOString().split('T')[0];
-
-    const spyUrl = `https://api.polygon.io/v2/aggs/ticker/${spyTicker}/range/1/day/${fromDate}/${toDate}?adjusted=true&sort=asc&apiKey=${apiKey}`;
-    const spyResponse = await fetch(spyUrl);
-    if (!spyResponse.ok) {
-      return [[`HTTP error! status: ${spyResponse.status}`]];
-    }
-    
-    const spyData = await spyResponse.json();
+    const spyData = await polygonGet(`/v2/aggs/ticker/${spyTicker}/range/1/day/${fromDate}/${toDate}`, { adjusted: true, sort: "asc" }, "getSectorPerformance");
     if (!spyData.results || spyData.results.length < 2) {
-      return [["Insufficient S&P 500 data for the selected timespan."]];
+      throw notAvailable("Insufficient S&P 500 data for the selected timespan.");
     }
 
     const spyStartPrice = spyData.results[0].c;
     const spyEndPrice = spyData.results[spyData.results.length - 1].c;
-    const spyPerformance = ((spyEndPrice / spyStartPrice) - 1) * 100;
+    const spyPerformance = (spyEndPrice / spyStartPrice) - 1;
 
     const results = [["Sector", "Performance (%)", "Relative to S&P 500", "Ticker"]];
     for (const [sector, ticker] of Object.entries(sectorETFs)) {
       try {
-        const url = `https://api.polygon.io/v2/aggs/ticker/${ticker}/range/1/day/${fromDate}/${toDate}?adjusted=true&sort=asc&apiKey=${apiKey}`;
-        const response = await fetch(url);
-        if (!response.ok) {
-          results.push([sector, "Error", "Error", ticker]);
-          continue;
-        }
-        
-        const data = await response.json();
+        const data = await polygonGet(`/v2/aggs/ticker/${ticker}/range/1/day/${fromDate}/${toDate}`, { adjusted: true, sort: "asc" }, "getSectorPerformance");
         if (!data.results || data.results.length < 2) {
-          results.push([sector, "Insufficient data", "N/A", ticker]);
+          const insufficientData = notAvailable("Insufficient data");
+          results.push([sector, insufficientData, insufficientData, ticker]);
           continue;
         }
         
         const startPrice = data.results[0].c;
         const endPrice = data.results[data.results.length - 1].c;
-        const performance = ((endPrice / startPrice) - 1) * 100;
+        const performance = (endPrice / startPrice) - 1;
         const relativePerformance = performance - spyPerformance;
         
         results.push([
           sector,
-          performance.toFixed(2) + "%",
-          (relativePerformance > 0 ? "+" : "") + relativePerformance.toFixed(2) + "%",
+          performance,
+          relativePerformance,
           ticker
         ]);
       } catch (error) {
-        results.push([sector, `Error: ${error.message}`, "N/A", ticker]);
+        const excelError = toExcelError(error);
+        results.push([sector, excelError, excelError, ticker]);
       }
     }
     
     results.sort((a, b) => {
       if (a[0] === "Sector") return -1;
       if (b[0] === "Sector") return 1;
-      const aPerf = parseFloat(a[1]);
-      const bPerf = parseFloat(b[1]);
-      return isNaN(aPerf) || isNaN(bPerf) ? 0 : bPerf - aPerf;
+      const aPerf = a[1];
+      const bPerf = b[1];
+      return typeof aPerf !== "number" || typeof bPerf !== "number" ? 0 : bPerf - aPerf;
     });
     
     return results;
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -410,32 +453,18 @@ export async function getSectorPerformance(timespan = "day") {
  */
 export async function getStockCorrelation(ticker1, ticker2, days = 30) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) {
-      return "API key not set. Please set your Polygon.io API key.";
-    }
-
     days = Math.min(Math.max(5, days), 365);
-    const endDate = new Date();
-    const startDate = new Date();
-    startDate.setDate(startDate.getDate() - (days * 2));
-    
-    const fromDate = startDate.toISOString().split('T')[0];
-    const toDate = endDate.toISOString().split('T')[0];
+    const calendar = await loadTradingCalendar("getStockCorrelation");
+    const toDate = getToday();
+    const fromDate = shiftTradingDays(getLatestSession(calendar), -days, calendar);
 
-    const responses = await Promise.all([
-      fetch(`https://api.polygon.io/v2/aggs/ticker/${ticker1}/range/1/day/${fromDate}/${toDate}?adjusted=true&sort=asc&apiKey=${apiKey}`),
-      fetch(`https://api.polygon.io/v2/aggs/ticker/${ticker2}/range/1/day/${fromDate}/${toDate}?adjusted=true&sort=asc&apiKey=${apiKey}`)
+    const data = await Promise.all([
+      polygonGet(`/v2/aggs/ticker/${ticker1}/range/1/day/${fromDate}/${toDate}`, { adjusted: true, sort: "asc" }, "getStockCorrelation"),
+      polygonGet(`/v2/aggs/ticker/${ticker2}/range/1/day/${fromDate}/${toDate}`, { adjusted: true, sort: "asc" }, "getStockCorrelation")
     ]);
-
-    if (!responses[0].ok || !responses[1].ok) {
-      return `HTTP error! status: ${responses[0].status || responses[1].status}`;
-    }
-
-    const data = await Promise.all([responses[0].json(), responses[1].json()]);
     if (!data[0].results || !data[1].results || 
         data[0].results.length < days || data[1].results.length < days) {
-      return "Insufficient price data for correlation calculation.";
+      throw notAvailable("Insufficient price data for correlation calculation.");
     }
 
     const prices1 = data[0].results.slice(-days).map(bar => bar.c);
@@ -449,9 +478,9 @@ export async function getStockCorrelation(ticker1, ticker2, days = 30) {
     }
 
     const correlation = calculateCorrelation(returns1, returns2);
-    return parseFloat(correlation.toFixed(4));
+    return correlation;
   } catch (error) {
-    return `Error: ${error.message}`;
+    throw toExcelError(error);
   }
 }
 
@@ -487,17 +516,12 @@ function calculateCorrelation(x, y) {
  * Creates a simple portfolio tracker with current values and returns
  * @customfunction
  * @param {string[][]} portfolioData 2D array of [ticker, shares]
- * @returns {Promise<string[][]>} Portfolio summary with current value and performance
+ * @returns {Promise<any[][]>} Portfolio summary with current value and performance
  */
 export async function getPortfolioSummary(portfolioData) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) {
-      return [["API key not set. Please set your Polygon.io API key."]];
-    }
-
     if (!Array.isArray(portfolioData) || !portfolioData.every(row => Array.isArray(row) && row.length >= 2)) {
-      return [["Invalid portfolio data. Expected format: [[ticker, shares], ...]"]];
+      throw invalidValue("Invalid portfolio data. Expected format: [[ticker, shares], ...]");
     }
 
     const results = [["Symbol", "Shares", "Current Price", "Market Value", "Day Change %"]];
@@ -508,21 +532,16 @@ export async function getPortfolioSummary(portfolioData) {
       const shares = parseFloat(sharesInput);
       
       if (isNaN(shares) || shares <= 0) {
-        results.push([ticker, "Invalid shares", "N/A", "N/A", "N/A"]);
+        const invalidShares = invalidValue("Invalid shares");
+        results.push([ticker, invalidShares, invalidShares, invalidShares, invalidShares]);
         continue;
       }
       
       try {
-        const url = `https://api.polygon.io/v2/aggs/ticker/${ticker}/prev?adjusted=true&apiKey=${apiKey}`;
-        const response = await fetch(url);
-        if (!response.ok) {
-          results.push([ticker, shares, "Error", "Error", "Error"]);
-          continue;
-        }
-        
-        const data = await response.json();
+        const data = await polygonGet(`/v2/aggs/ticker/${ticker}/prev`, { adjusted: true }, "getPortfolioSummary");
         if (!data.results || data.results.length === 0) {
-          results.push([ticker, shares, "No data", "N/A", "N/A"]);
+          const noData = notAvailable("No price data found.");
+          results.push([ticker, shares, noData, noData, noData]);
           continue;
         }
         
@@ -530,26 +549,27 @@ export async function getPortfolioSummary(portfolioData) {
         const currentPrice = priceData.c;
         const previousClose = priceData.o;
         const marketValue = currentPrice * shares;
-        const dayChange = ((currentPrice / previousClose) - 1) * 100;
+        const dayChange = (currentPrice / previousClose) - 1;
         
         totalValue += marketValue;
         
         results.push([
           ticker,
-          shares.toString(),
-          "$" + currentPrice.toFixed(2),
-          "$" + marketValue.toFixed(2),
-          (dayChange > 0 ? "+" : "") + dayChange.toFixed(2) + "%"
+          shares,
+          currentPrice,
+          marketValue,
+          dayChange
         ]);
       } catch (error) {
-        results.push([ticker, shares, `Error: ${error.message}`, "N/A", "N/A"]);
+        const excelError = toExcelError(error);
+        results.push([ticker, shares, excelError, excelError, excelError]);
       }
     }
     
-    results.push(["Total", "", "", "$" + totalValue.toFixed(2), ""]);
+    results.push(["Total", "", "", totalValue, ""]);
     return results;
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -562,33 +582,25 @@ export async function getPortfolioSummary(portfolioData) {
  */
 export async function getTickerDetails(ticker, property) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) {
-      return "API key not set. Please set your Polygon.io API key.";
-    }
-
-    const url = `https://api.polygon.io/v3/reference/tickers?ticker=${ticker}&active=true&limit=100&apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) {
-      return `HTTP error! status: ${response.status}`;
-    }
-
-    const data = await response.json();
+    const data = await polygonGet("/v3/reference/tickers", { ticker, active: true, limit: 100 }, "getTickerDetails");
     if (!data.results) {
-      return "No data returned from API.";
+      throw notAvailable("No data returned from API.");
     }
     if (data.results.length > 0) {
       const details = data.results[0];
       if (property) {
-        return details[property] || "Property not found.";
+        if (details[property] === undefined) {
+          throw invalidValue("Property not found.");
+        }
+        return details[property];
       } else {
         return `${details.ticker} - ${details.name} (${details.market})`;
       }
     } else {
-      return "No ticker details found.";
+      throw notAvailable("No ticker details found.");
     }
   } catch (error) {
-    return `Error: ${error.message}`;
+    throw toExcelError(error);
   }
 }
 
@@ -601,20 +613,10 @@ export async function getTickerDetails(ticker, property) {
  */
 export async function getTickerNews(ticker, limit = 10) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) {
-      return [["API key not set. Please set your Polygon.io API key."]];
-    }
     limit = Math.max(1, Math.min(limit, 50));
-    const url = `https://api.polygon.io/v2/reference/news?ticker=${ticker}&limit=${limit}&apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) {
-      return [[`HTTP error! status: ${response.status}`]];
-    }
-
-    const data = await response.json();
+    const data = await polygonGet("/v2/reference/news", { ticker, limit }, "getTickerNews");
     if (!data.results) {
-      return [["No data returned from API."]];
+      throw notAvailable("No data returned from API.");
     }
     if (data.results.length > 0) {
       const newsArticles = data.results.map(article => [
@@ -624,10 +626,10 @@ export async function getTickerNews(ticker, limit = 10) {
       ]);
       return newsArticles;
     } else {
-      return [["No news articles found."]];
+      throw notAvailable("No news articles found.");
     }
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -640,35 +642,24 @@ export async function getTickerNews(ticker, limit = 10) {
  */
 export async function getLatestPrice(ticker, property) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) {
-      return "API key not set. Please set your Polygon.io API key.";
-    }
-
-    const url = `https://api.polygon.io/v2/aggs/ticker/${ticker}/prev?adjusted=true&apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) {
-      return `HTTP error! status: ${response.status}`;
-    }
-
-    const data = await response.json();
+    const data = await polygonGet(`/v2/aggs/ticker/${ticker}/prev`, { adjusted: true }, "getLatestPrice");
     if (!data.results) {
-      return "No data returned from API.";
+      throw notAvailable("No data returned from API.");
     }
     if (data.results.length > 0) {
       const priceData = data.results[0];
       if (property && priceData[property] !== undefined) {
         return priceData[property];
       } else if (property) {
-        return "Property not found.";
+        throw invalidValue("Property not found.");
       } else {
         return priceData.c;
       }
     } else {
-      return "No price data found.";
+      throw notAvailable("No price data found.");
     }
   } catch (error) {
-    return `Error: ${error.message}`;
+    throw toExcelError(error);
   }
 }
 
@@ -680,31 +671,30 @@ export async function getLatestPrice(ticker, property) {
  */
 export async function getMarketStatus(market = "us") {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) {
-      return "API key not set. Please set your Polygon.io API key.";
-    }
-
-    const url = `https://api.polygon.io/v1/marketstatus/now?apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) {
-      return `HTTP error! status: ${response.status}`;
-    }
-
-    const data = await response.json();
+    const data = await polygonGet("/v1/marketstatus/now", {}, "getMarketStatus");
     if (!data) {
-      return "No data returned from API.";
-    }
-    
-    if (market.toLowerCase() === "us") {
-      return data.market || "Status unknown";
-    } else if (data.exchanges && data.exchanges[market.toLowerCase()]) {
-      return data.exchanges[market.toLowerCase()] || "Status unknown";
-    } else {
-      return "Market not found or status unknown";
+      throw notAvailable("No data returned from API.");
     }
+    return pickMarketStatus(data, market);
   } catch (error) {
-    return `Error: ${error.message}`;
+    throw toExcelError(error);
+  }
+}
+
+/**
+ * Picks one market's status out of a /v1/marketstatus/now response
+ * @private
+ * @param {Object} data The market status response
+ * @param {string} market The market to check (e.g., "us", "nyse")
+ * @returns {string} The market's status
+ */
+function pickMarketStatus(data, market) {
+  if (market.toLowerCase() === "us") {
+    return data.market || "Status unknown";
+  } else if (data.exchanges && data.exchanges[market.toLowerCase()]) {
+    return data.exchanges[market.toLowerCase()] || "Status unknown";
+  } else {
+    throw notAvailable("Market not found or status unknown");
   }
 }
 
@@ -713,25 +703,14 @@ export async function getMarketStatus(market = "us") {
  * @customfunction
  * @param {string} ticker The stock ticker symbol (e.g., "AAPL").
  * @param {number} [limit=4] The number of dividends to retrieve.
- * @returns {Promise<string[][]>} A 2D array of dividend data.
+ * @returns {Promise<any[][]>} A 2D array of dividend data.
  */
 export async function getDividends(ticker, limit = 4) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) {
-      return [["API key not set. Please set your Polygon.io API key."]];
-    }
-
-    limit = Math.max(1, Math.min(limit, 50));
-    const url = `https://api.polygon.io/v3/reference/dividends?ticker=${ticker}&limit=${limit}&apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) {
-      return [[`HTTP error! status: ${response.status}`]];
-    }
-
-    const data = await response.json();
+    limit = Math.max(1, limit);
+    const data = await polygonGetAll("/v3/reference/dividends", { ticker, limit: Math.min(limit, 1000) }, limit, "getDividends");
     if (!data.results) {
-      return [["No data returned from API."]];
+      throw notAvailable("No data returned from API.");
     }
     if (data.results.length > 0) {
       const results = [["Ex-Dividend Date", "Payment Date", "Record Date", "Cash Amount", "Declaration Date", "Frequency"]];
@@ -740,17 +719,17 @@ export async function getDividends(ticker, limit = 4) {
           dividend.ex_dividend_date || "N/A",
           dividend.pay_date || "N/A",
           dividend.record_date || "N/A",
-          dividend.cash_amount || "N/A",
+          orNotAvailable(dividend.cash_amount),
           dividend.declaration_date || "N/A",
           dividend.frequency || "N/A"
         ]);
       });
       return results;
     } else {
-      return [["No dividend data found."]];
+      throw notAvailable("No dividend data found.");
     }
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -758,239 +737,193 @@ export async function getDividends(ticker, limit = 4) {
  * Calculates technical indicators for a stock.
  * @customfunction
  * @param {string} ticker The stock ticker symbol (e.g., "AAPL").
- * @param {string} indicator The indicator to calculate ("SMA", "EMA", "RSI", "MACD").
- * @param {number} [period=14] The period to use for SMA, EMA, or RSI calculation.
- * @param {string} [from] The start date in YYYY-MM-DD format. Defaults to 30 days ago.
- * @param {string} [to] The end date in YYYY-MM-DD format. Defaults to today.
- * @returns {string[][]} A 2D array of indicator values with dates or an error message.
- * @note MACD uses fixed periods (12, 26, 9) and ignores the period parameter.
- */
-export async function getTechnicalIndicator(ticker, indicator, period = 14, from, to) {
+ * @param {string} indicator The indicator to calculate: "SMA", "EMA", "RSI", "MACD"; from volume "OBV", "VWAP" (session), "AVWAP" (anchored at the start date), "MFI", "AD" (accumulation/distribution), "CMF" (Chaikin money flow) or "VOLSMA" (volume SMA); for trend "ADX" (with +DI/-DI, also "DMI"), "PSAR", "SUPERTREND" or "ICHIMOKU"; or oscillators "STOCH" (slow), "STOCHF" (fast), "WILLR" (Williams %R), "CCI", "ROC" or "STOCHRSI". Parameters can follow in parentheses, e.g. "MACD(8,21,5)", "RSI(14,wilder)", "EMA(50,hlc3)", "PSAR(0.02,0.2)" or "ICHIMOKU(9,26,52)". SMA, EMA, RSI and MACD take a price source (close, hl2, hlc3, ohlc4 or vwap), and RSI a smoothing (sma, wilder or ema).
+ * @param {number} [period=14] The period to use for SMA, EMA, RSI, MFI, CMF, VOLSMA, ADX, SUPERTREND or the oscillators (SUPERTREND defaults to 10, CCI to 20 and ROC to 12).
+ * @param {string} [from] The start date: YYYY-MM-DD, an Excel date, or relative (e.g., "-6m", "YTD", "T-5"). Defaults to 30 days ago.
+ * @param {string} [to] The end date: YYYY-MM-DD, an Excel date, or relative (e.g., "T-1"). Defaults to today.
+ * @param {string} [timespan="day"] The bar size: a timespan ("minute", "hour", "day", "week", "month", "quarter", "year") with an optional multiplier (e.g., "15minute", "4hour", "2week").
+ * @param {string} [source="local"] Where values come from: "local" calculates them from price bars, "polygon" uses Polygon's indicator endpoints (SMA, EMA, RSI and MACD on closing prices), and "compare" spills both side by side.
+ * @returns {Promise<any[][]>} A 2D array of indicator values with dates or an error message.
+ * @note Polygon's RSI has its own smoothing, so an RSI smoothing option only applies to the local values.
+ * @note History before the start date is loaded as needed so the first rows are fully warmed up; rows start at the start date.
+ * @note MACD defaults to periods 12, 26 and 9 and ignores the period parameter, as do OBV, VWAP, AVWAP, AD, PSAR and ICHIMOKU.
+ */
+export async function getTechnicalIndicator(ticker, indicator, period, from, to, timespan = "day", source = "local") {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) {
-      return [["API key not set. Please set your Polygon.io API key."]];
-    }
-
     if (!ticker) {
-      return [["Missing required parameter: ticker"]];
+      throw invalidValue("Missing required parameter: ticker");
     }
     if (!indicator) {
-      return [["Missing required parameter: indicator"]];
+      throw invalidValue("Missing required parameter: indicator");
     }
 
-    if (!from) {
-      const thirtyDaysAgo = new Date();
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-      from = thirtyDaysAgo.toISOString().split('T')[0];
-    }
-    if (!to) {
-      to = new Date().toISOString().split('T')[0];
+    const barStudy = parseStudy(indicator, period);
+    if (!barStudy) {
+      throw invalidValue(`Unsupported indicator: ${indicator}. Available options: ${Object.keys(BAR_STUDIES).join(", ")}`);
     }
 
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(from) || !/^\d{4}-\d{2}-\d{2}$/.test(to)) {
-      return [["Date format must be YYYY-MM-DD"]];
+    const mode = String(source || "local").toLowerCase();
+    const validSources = ["local", "polygon", "compare"];
+    if (!validSources.includes(mode)) {
+      throw invalidValue(`Invalid source. Valid options are: ${validSources.join(", ")}`);
     }
 
-    const url = `https://api.polygon.io/v2/aggs/ticker/${ticker}/range/1/day/${from}/${to}?adjusted=true&sort=asc&apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) {
-      return [[`HTTP error! status: ${response.status}`]];
+    const barSize = parseBarSize(timespan);
+    const timeZone = getTimezone(ticker);
+    [from, to] = await parseDateRange(from || "-30d", to || "T", { functionName: "getTechnicalIndicator" });
+    let serverRows = null;
+    if (mode !== "local") {
+      const values = await fetchServerStudy(ticker, barStudy, barSize, from, to, "getTechnicalIndicator");
+      serverRows = layOutServerStudy(values, barStudy, barSize.timespan, timeZone);
+      if (mode === "polygon") {
+        return serverRows;
+      }
     }
 
-    const data = await response.json();
+    const start = await getWarmUpStart(ticker, from, getWarmUpBars(barStudy), barSize, "getTechnicalIndicator");
+    const data = await polygonGetAll(`/v2/aggs/ticker/${ticker}/${getRangePath(barSize)}/${start}/${to}`, { adjusted: true, sort: "asc", limit: 50000 }, Infinity, "getTechnicalIndicator");
     if (!data.results || data.results.length === 0) {
-      return [["Insufficient price data to calculate indicator."]];
-    }
-    
-    const prices = data.results.map(bar => bar.c);
-    const dates = data.results.map(bar => new Date(bar.t).toISOString().split('T')[0]);
-    
-    if (!prices.every(price => typeof price === 'number' && !isNaN(price))) {
-      return [["Invalid price data received"]];
-    }
-
-    if (period <= 0 || period >= prices.length) {
-      return [[`Invalid period: ${period}. Must be between 1 and ${prices.length-1}`]];
-    }
-
-    let result = [];
-    let indicatorValues = [];
-    let startIndex = 0;
-    
-    switch (indicator.toUpperCase()) {
-      case "SMA":
-        indicatorValues = calculateSMA(prices, period);
-        startIndex = period - 1;
-        result.push(["Date", `SMA(${period})`]);
-        break;
-      case "EMA":
-        indicatorValues = calculateEMA(prices, period);
-        startIndex = period - 1;
-        result.push(["Date", `EMA(${period})`]);
-        break;
-      case "RSI":
-        indicatorValues = calculateRSI(prices, period);
-        startIndex = period;
-        result.push(["Date", `RSI(${period})`]);
-        break;
-      case "MACD":
-        const macdResult = calculateMACD(prices, 12, 26, 9);
-        const [macdLine, signalLine, histogram] = macdResult;
-        startIndex = prices.length - macdLine.length;
-        result.push(["Date", "MACD Line", "Signal Line", "Histogram"]);
-        for (let i = 0; i < macdLine.length; i++) {
-          const dateIndex = startIndex + i;
-          if (dateIndex < dates.length) {
-            result.push([
-              dates[dateIndex],
-              macdLine[i].toFixed(4),
-              signalLine[i].toFixed(4),
-              histogram[i].toFixed(4)
-            ]);
-          }
-        }
-        return result;
-      default:
-        return [[`Unsupported indicator: ${indicator}. Available options: SMA, EMA, RSI, MACD`]];
-    }
-    
-    for (let i = 0; i < indicatorValues.length; i++) {
-      const dateIndex = startIndex + i;
-      if (dateIndex < dates.length) {
-        result.push([dates[dateIndex], indicatorValues[i].toFixed(4)]);
-      }
+      throw notAvailable("Insufficient price data to calculate indicator.");
     }
-    
-    return result;
+    const localRows = calculateBarStudy(data.results, barStudy, barSize, from, timeZone);
+    return serverRows ? compareStudyRows(localRows, serverRows) : localRows;
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
 /**
- * Calculates Simple Moving Average.
- * @param {number[]} prices Array of price data.
- * @param {number} period The period to calculate SMA.
- * @returns {number[]} Array of SMA values.
+ * Runs a study on the bars and lays out its values by date from the start date on
+ * @private
+ * @param {Object[]} bars The aggregate bars, including the warm-up before the start date
+ * @param {{name: string, study: Object, params: number[]}} barStudy The study and its parameters, from parseStudy
+ * @param {{multiplier: number, timespan: string}} barSize The bar size, from parseBarSize
+ * @param {string} from The first date to return, in YYYY-MM-DD format
+ * @param {string} timezone The timezone of the ticker's trading days
+ * @returns {any[][]} Header row and a row per date with values
  */
-function calculateSMA(prices, period) {
-  if (!Array.isArray(prices) || prices.length === 0) throw new Error("Invalid prices array");
-  if (period <= 0 || period > prices.length) throw new Error(`Invalid period: ${period}`);
-  
-  const result = [];
-  for (let i = period - 1; i < prices.length; i++) {
-    let sum = 0;
-    for (let j = 0; j < period; j++) {
-      const price = prices[i - j];
-      if (typeof price !== 'number' || isNaN(price)) throw new Error(`Invalid price at position ${i-j}: ${price}`);
-      sum += price;
-    }
-    result.push(sum / period);
+function calculateBarStudy(bars, { name, study, params }, barSize, from, timezone) {
+  checkBars(bars, study.usesVolume);
+  const minBars = study.minBars(params);
+  if (bars.length < minBars) {
+    throw invalidValue(`${name} needs at least ${minBars} bars of history but the range has ${bars.length}. Use an earlier start date.`);
+  }
+
+  const values = study.calculate(bars, params, timezone);
+  const result = [["Date", ...study.columns(params)]];
+  bars.forEach((bar, i) => {
+    if (values[i] !== null && isBarInRange(bar, barSize, from, timezone)) {
+      const date = formatBarTime(bar.t, barSize.timespan, timezone);
+      const row = Array.isArray(values[i]) ? values[i] : [values[i]];
+      result.push([date, ...row.map(value => value ?? notAvailable("Not enough data for this value."))]);
+    }
+  });
+  if (result.length === 1) {
+    throw notAvailable(`Not enough data to calculate ${name}. Use an earlier start date.`);
   }
   return result;
 }
 
 /**
- * Calculates Exponential Moving Average with improved error handling.
- * @param {number[]} prices Array of price data.
- * @param {number} period The period to calculate EMA.
- * @returns {number[]} Array of EMA values.
+ * Tells whether a bar belongs in a range that begins at the start date, which is when the bar's last day is on or after it,
+ * so a weekly or monthly bar that opens before the start date but runs into it is kept
+ * @private
+ * @param {Object} bar The aggregate bar
+ * @param {{multiplier: number, timespan: string}} barSize The bar size, from parseBarSize
+ * @param {string} from The first date of the range, in YYYY-MM-DD format
+ * @param {string} timezone The timezone intraday bars are dated in
+ * @returns {boolean} True when the bar covers the start date or a later day
  */
-function calculateEMA(prices, period) {
-  if (!Array.isArray(prices) || prices.length === 0) throw new Error("Invalid prices array");
-  if (period <= 0 || period > prices.length) throw new Error(`Invalid period: ${period}`);
-  
-  const result = [];
-  const multiplier = 2 / (period + 1);
-  
-  for (let i = 0; i < prices.length; i++) {
-    if (typeof prices[i] !== 'number' || isNaN(prices[i])) throw new Error(`Invalid price at position ${i}: ${prices[i]}`);
-  }
-  
-  let ema = prices.slice(0, period).reduce((a, b) => a + b, 0) / period;
-  result.push(ema);
-  
-  for (let i = period; i < prices.length; i++) {
-    ema = (prices[i] - ema) * multiplier + ema;
-    result.push(ema);
-  }
-  return result;
+function isBarInRange(bar, barSize, from, timezone) {
+  return getBarLastDay(bar.t, barSize, timezone) >= from;
 }
 
 /**
- * Calculates Relative Strength Index with improved error handling.
- * @param {number[]} prices Array of price data.
- * @param {number} period The period to calculate RSI.
- * @returns {number[]} Array of RSI values.
+ * Lays out values from Polygon's indicator endpoints the same way as calculateBarStudy
+ * @private
+ * @param {Array<{t: number, values: number[]}>} values The values from fetchServerStudy
+ * @param {{name: string, study: Object, params: number[]}} barStudy The study and its parameters, from parseStudy
+ * @param {string} timespan The bar timespan, for labelling intraday bars with their time
+ * @param {string} timezone The timezone of the ticker's trading days
+ * @returns {any[][]} Header row and a row per date with values
  */
-function calculateRSI(prices, period) {
-  if (!Array.isArray(prices) || prices.length === 0) throw new Error("Invalid prices array");
-  if (period <= 0 || period > prices.length - 1) throw new Error(`Invalid period: ${period}`);
-  
-  const result = [];
-  const gains = [];
-  const losses = [];
-  
-  for (let i = 1; i < prices.length; i++) {
-    if (typeof prices[i] !== 'number' || isNaN(prices[i]) || typeof prices[i-1] !== 'number' || isNaN(prices[i-1])) {
-      throw new Error(`Invalid price at positions ${i-1} or ${i}`);
-    }
-    const change = prices[i] - prices[i-1];
-    gains.push(change > 0 ? change : 0);
-    losses.push(change < 0 ? -change : 0);
-  }
-  
-  for (let i = period; i < gains.length; i++) {
-    let avgGain = gains.slice(i - period, i).reduce((a, b) => a + b, 0) / period;
-    let avgLoss = losses.slice(i - period, i).reduce((a, b) => a + b, 0) / period;
-    if (avgLoss === 0) {
-      result.push(100);
-    } else {
-      const rs = avgGain / avgLoss;
-      result.push(100 - (100 / (1 + rs)));
-    }
+function layOutServerStudy(values, { name, study, params }, timespan, timezone) {
+  if (values.length === 0) {
+    throw notAvailable(`Polygon returned no ${name} values for this range.`);
   }
-  return result;
+  return [
+    ["Date", ...study.columns(params)],
+    ...values.map(({ t, values: row }) => [formatBarTime(t, timespan, timezone), ...row.map(value => value ?? notAvailable("Polygon returned no value for this date."))])
+  ];
 }
 
 /**
- * Calculates Moving Average Convergence Divergence with improved error handling.
- * @param {number[]} prices Array of price data.
- * @param {number} fastPeriod Fast EMA period.
- * @param {number} slowPeriod Slow EMA period.
- * @param {number} signalPeriod Signal line period.
- * @returns {number[][]} Array containing MACD line, signal line, and histogram.
+ * Puts local and Polygon values of a study side by side, column by column, for every date either has
+ * @private
+ * @param {any[][]} localRows The rows from calculateBarStudy
+ * @param {any[][]} serverRows The rows from layOutServerStudy
+ * @returns {any[][]} Header row and a row per date with each local value followed by Polygon's
  */
-function calculateMACD(prices, fastPeriod, slowPeriod, signalPeriod) {
-  if (!Array.isArray(prices) || prices.length === 0) throw new Error("Invalid prices array");
-  if (fastPeriod <= 0 || slowPeriod <= 0 || signalPeriod <= 0) throw new Error("Periods must be positive numbers");
-  if (slowPeriod <= fastPeriod) throw new Error("Slow period must be greater than fast period");
-  if (prices.length <= slowPeriod) throw new Error(`Not enough price data for the specified periods. Need at least ${slowPeriod + signalPeriod} points.`);
-  
-  const fastEMA = calculateEMA(prices, fastPeriod);
-  const slowEMA = calculateEMA(prices, slowPeriod);
-  
-  const macdLine = [];
-  const offset = slowPeriod - fastPeriod;
-  for (let i = 0; i < slowEMA.length; i++) {
-    macdLine.push(fastEMA[i + offset] - slowEMA[i]);
+function compareStudyRows(localRows, serverRows) {
+  const columns = localRows[0].slice(1);
+  const local = new Map(localRows.slice(1).map(row => [row[0], row.slice(1)]));
+  const server = new Map(serverRows.slice(1).map(row => [row[0], row.slice(1)]));
+  const dates = [...new Set([...local.keys(), ...server.keys()])].sort();
+  return [
+    ["Date", ...columns.flatMap(column => [`${column} (local)`, `${column} (Polygon)`])],
+    ...dates.map(date => [
+      date,
+      ...columns.flatMap((column, i) => [
+        local.has(date) ? local.get(date)[i] : notAvailable("No local value for this date."),
+        server.has(date) ? server.get(date)[i] : notAvailable("No Polygon value for this date.")
+      ])
+    ])
+  ];
+}
+
+const DAY_MINUTES = 24 * 60;
+// Intraday warm-up is counted against the regular session, which leaves room for extended hours.
+const REGULAR_SESSION_MINUTES = 390;
+
+/**
+ * Finds the date to load bars from so an indicator is warmed up by the start date
+ * @private
+ * @param {string} ticker The ticker: crypto ("X:") trades every day, forex ("C:") on weekdays, and everything else on US market trading days
+ * @param {string} from The first date the indicator is wanted for, in YYYY-MM-DD format
+ * @param {number} bars The number of bars needed before it
+ * @param {{multiplier: number, timespan: string}} barSize The bar size, from parseBarSize
+ * @param {string} functionName The custom function, for the usage meter
+ * @returns {Promise<string>} The date in YYYY-MM-DD format
+ */
+async function getWarmUpStart(ticker, from, bars, barSize, functionName) {
+  if (bars <= 0) {
+    return from;
   }
-  
-  if (macdLine.length < signalPeriod) throw new Error("Insufficient data to calculate signal line");
-  
-  const signalLine = calculateEMA(macdLine, signalPeriod);
-  const histogram = [];
-  const histOffset = macdLine.length - signalLine.length;
-  
-  for (let i = 0; i < signalLine.length; i++) {
-    histogram.push(macdLine[i + histOffset] - signalLine[i]);
+  const barMinutes = getBarMinutes(barSize);
+  let days;
+  if (barSize.timespan === "day") {
+    days = bars * barSize.multiplier;
+  } else if (barMinutes < DAY_MINUTES) {
+    days = Math.ceil(bars * barMinutes / (/^[CX]:/i.test(ticker) ? DAY_MINUTES : REGULAR_SESSION_MINUTES));
+  } else {
+    // Weekly and longer bars are calendar periods.
+    return addDays(from, -Math.ceil(bars * barMinutes / DAY_MINUTES));
   }
-  
-  const minLength = Math.min(histogram.length, signalLine.length);
-  const macdLineAligned = macdLine.slice(macdLine.length - minLength);
-  
-  return [macdLineAligned, signalLine.slice(0, minLength), histogram.slice(0, minLength)];
+
+  if (/^X:/i.test(ticker)) {
+    return addDays(from, -days);
+  }
+  if (/^C:/i.test(ticker)) {
+    let day = from;
+    for (let remaining = days; remaining > 0; ) {
+      day = addDays(day, -1);
+      if (getDayOfWeek(day) !== 0 && getDayOfWeek(day) !== 6) {
+        remaining--;
+      }
+    }
+    return day;
+  }
+  return shiftTradingDays(from, -days, await loadTradingCalendar(functionName));
 }
 
 /**
@@ -999,43 +932,34 @@ function calculateMACD(prices, fastPeriod, slowPeriod, signalPeriod) {
  * @param {string} ticker The stock ticker symbol (e.g., "AAPL")
  * @param {number} [period=20] Period for SMA calculation
  * @param {number} [stdDev=2] Number of standard deviations
- * @param {string} [from] Start date in YYYY-MM-DD format
- * @param {string} [to] End date in YYYY-MM-DD format
- * @returns {Promise<string[][]>} Array containing dates and Bollinger Bands values
+ * @param {string} [from] Start date: YYYY-MM-DD, an Excel date, or relative (e.g., "-6m", "YTD", "T-5"); defaults to 30 days ago
+ * @param {string} [to] End date: YYYY-MM-DD, an Excel date, or relative (e.g., "T-1"); defaults to today
+ * @param {string} [timespan="day"] Bar size: a timespan ("minute", "hour", "day", "week", "month", "quarter", "year") with an optional multiplier (e.g., "15minute", "4hour", "2week")
+ * @returns {Promise<any[][]>} Array containing dates and Bollinger Bands values
+ * @note History before the start date is loaded for the first period, so rows start at the start date.
  */
-export async function getBollingerBands(ticker, period = 20, stdDev = 2, from, to) {
+export async function getBollingerBands(ticker, period = 20, stdDev = 2, from, to, timespan = "day") {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) {
-      return [["API key not set. Please set your Polygon.io API key."]];
-    }
+    checkPeriod(period);
+    const barSize = parseBarSize(timespan);
+    [from, to] = await parseDateRange(from || "-30d", to || "T", { functionName: "getBollingerBands" });
+    const start = await getWarmUpStart(ticker, from, period - 1, barSize, "getBollingerBands");
 
-    if (!from) {
-      const thirtyDaysAgo = new Date();
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-      from = thirtyDaysAgo.toISOString().split('T')[0];
-    }
-    if (!to) {
-      to = new Date().toISOString().split('T')[0];
-    }
-
-    const url = `https://api.polygon.io/v2/aggs/ticker/${ticker}/range/1/day/${from}/${to}?adjusted=true&sort=asc&apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) {
-      return [[`HTTP error! status: ${response.status}`]];
-    }
-
-    const data = await response.json();
+    const data = await polygonGetAll(`/v2/aggs/ticker/${ticker}/${getRangePath(barSize)}/${start}/${to}`, { adjusted: true, sort: "asc", limit: 50000 }, Infinity, "getBollingerBands");
     if (!data.results || data.results.length === 0) {
-      return [["Insufficient price data to calculate Bollinger Bands."]];
+      throw notAvailable("Insufficient price data to calculate Bollinger Bands.");
     }
 
     const prices = data.results.map(bar => bar.c);
-    const dates = data.results.map(bar => new Date(bar.t).toISOString().split('T')[0]);
+    const timeZone = getTimezone(ticker);
+    const dates = data.results.map(bar => formatBarTime(bar.t, barSize.timespan, timeZone));
     
     const results = [["Date", "Middle Band (SMA)", "Upper Band", "Lower Band"]];
     
     for (let i = period - 1; i < prices.length; i++) {
+      if (!isBarInRange(data.results[i], barSize, from, timeZone)) {
+        continue;
+      }
       const slice = prices.slice(i - period + 1, i + 1);
       const sma = slice.reduce((a, b) => a + b) / period;
       
@@ -1048,15 +972,18 @@ export async function getBollingerBands(ticker, period = 20, stdDev = 2, from, t
       
       results.push([
         dates[i],
-        sma.toFixed(4),
-        upperBand.toFixed(4),
-        lowerBand.toFixed(4)
+        sma,
+        upperBand,
+        lowerBand
       ]);
     }
+    if (results.length === 1) {
+      throw notAvailable("Not enough data to calculate Bollinger Bands. Use an earlier start date.");
+    }
     
     return results;
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -1065,39 +992,29 @@ export async function getBollingerBands(ticker, period = 20, stdDev = 2, from, t
  * @customfunction
  * @param {string} ticker The stock ticker symbol (e.g., "AAPL")
  * @param {number} [period=14] Period for ATR calculation
- * @param {string} [from] Start date in YYYY-MM-DD format
- * @param {string} [to] End date in YYYY-MM-DD format
- * @returns {Promise<string[][]>} Array containing dates and ATR values
+ * @param {string} [from] Start date: YYYY-MM-DD, an Excel date, or relative (e.g., "-6m", "YTD", "T-5"); defaults to 30 days ago
+ * @param {string} [to] End date: YYYY-MM-DD, an Excel date, or relative (e.g., "T-1"); defaults to today
+ * @param {string} [timespan="day"] Bar size: a timespan ("minute", "hour", "day", "week", "month", "quarter", "year") with an optional multiplier (e.g., "15minute", "4hour", "2week")
+ * @returns {Promise<any[][]>} Array containing dates and ATR values
+ * @note History before the start date is loaded as needed so the first rows are fully warmed up; rows start at the start date.
  */
-export async function getATR(ticker, period = 14, from, to) {
+export async function getATR(ticker, period = 14, from, to, timespan = "day") {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) {
-      return [["API key not set. Please set your Polygon.io API key."]];
-    }
-
-    if (!from) {
-      const thirtyDaysAgo = new Date();
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-      from = thirtyDaysAgo.toISOString().split('T')[0];
-    }
-    if (!to) {
-      to = new Date().toISOString().split('T')[0];
-    }
-
-    const url = `https://api.polygon.io/v2/aggs/ticker/${ticker}/range/1/day/${from}/${to}?adjusted=true&sort=asc&apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) {
-      return [[`HTTP error! status: ${response.status}`]];
-    }
+    checkPeriod(period);
+    const barSize = parseBarSize(timespan);
+    [from, to] = await parseDateRange(from || "-30d", to || "T", { functionName: "getATR" });
+    const start = await getWarmUpStart(ticker, from, period + getSettlingBars(1 / period), barSize, "getATR");
 
-    const data = await response.json();
+    const data = await polygonGetAll(`/v2/aggs/ticker/${ticker}/${getRangePath(barSize)}/${start}/${to}`, { adjusted: true, sort: "asc", limit: 50000 }, Infinity, "getATR");
     if (!data.results || data.results.length === 0) {
-      return [["Insufficient price data to calculate ATR."]];
+      throw notAvailable("Insufficient price data to calculate ATR.");
     }
 
     const results = [["Date", "ATR"]];
     const bars = data.results;
+    if (bars.length <= period) {
+      throw invalidValue(`ATR needs at least ${period + 1} bars of history but the range has ${bars.length}. Use an earlier start date.`);
+    }
     
     // Calculate True Range series
     const trueRanges = [];
@@ -1116,17 +1033,35 @@ export async function getATR(ticker, period = 14, from, to) {
     
     // Calculate ATR
     let atr = trueRanges.slice(0, period).reduce((a, b) => a + b) / period;
-    results.push([bars[period].t, atr.toFixed(4)]);
+    const timeZone = getTimezone(ticker);
+    if (isBarInRange(bars[period], barSize, from, timeZone)) {
+      results.push([formatBarTime(bars[period].t, barSize.timespan, timeZone), atr]);
+    }
     
     for (let i = period; i < trueRanges.length; i++) {
       atr = ((atr * (period - 1)) + trueRanges[i]) / period;
-      const date = new Date(bars[i + 1].t).toISOString().split('T')[0];
-      results.push([date, atr.toFixed(4)]);
+      if (isBarInRange(bars[i + 1], barSize, from, timeZone)) {
+        results.push([formatBarTime(bars[i + 1].t, barSize.timespan, timeZone), atr]);
+      }
+    }
+    if (results.length === 1) {
+      throw notAvailable("Not enough data to calculate ATR. Use an earlier start date.");
     }
     
     return results;
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
+  }
+}
+
+/**
+ * Validates the period argument of getBollingerBands and getATR
+ * @private
+ * @param {number} period Number of bars in each calculation
+ */
+function checkPeriod(period) {
+  if (!Number.isInteger(period) || period < 1) {
+    throw invalidValue("Period must be a whole number of at least 1.");
   }
 }
 
@@ -1134,165 +1069,103 @@ export async function getATR(ticker, period = 14, from, to) {
  * Calculates Pivot Points for a stock
  * @customfunction
  * @param {string} ticker The stock ticker symbol (e.g., "AAPL")
- * @param {string} [method="standard"] Pivot point calculation method ("standard", "fibonacci", "woodie", "demark")
- * @returns {Promise<string[][]>} Array containing pivot points and support/resistance levels
+ * @param {string} [method="standard"] Pivot point calculation method ("standard", "fibonacci", "woodie", "demark", "camarilla")
+ * @param {string} [timeframe="daily"] Period the levels are built from and apply to ("daily", "weekly", "monthly"); weeks and months are rolled up from daily bars
+ * @param {string} [from] Start date for a historical series: YYYY-MM-DD, an Excel date, or relative (e.g., "-6m", "YTD"); leave empty for the current levels
+ * @param {string} [to] End date for a historical series: YYYY-MM-DD, an Excel date, or relative (e.g., "T-1"); defaults to today
+ * @returns {Promise<any[][]>} Array containing pivot points and support/resistance levels, or with a start date a row of levels per period
+ * @note Current levels come from the last completed period: the last session that has closed, or the last full week or month. In a historical series each row holds the levels in effect during the period starting on its date, from the period before it.
  */
-export async function getPivotPoints(ticker, method = "standard") {
+export async function getPivotPoints(ticker, method = "standard", timeframe = "daily", from, to) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) {
-      return [["API key not set. Please set your Polygon.io API key."]];
+    const levels = PIVOT_METHODS[String(method).toLowerCase()];
+    if (!levels) {
+      throw invalidValue(`Invalid pivot point calculation method. Valid options: ${Object.keys(PIVOT_METHODS).join(", ")}`);
+    }
+    timeframe = String(timeframe || "daily").toLowerCase();
+    if (!PIVOT_TIMEFRAMES.includes(timeframe)) {
+      throw invalidValue(`Invalid timeframe. Valid options: ${PIVOT_TIMEFRAMES.join(", ")}`);
+    }
+    const calendar = await loadTradingCalendar("getPivotPoints");
+
+    if (from) {
+      [from, to] = await parseDateRange(from, to || "T", { functionName: "getPivotPoints" });
+      // The first period's levels come from the period before it.
+      const firstPeriod = getPeriodStart(from, timeframe);
+      const start = timeframe === "daily" ? shiftTradingDays(from, -1, calendar) : getPeriodStart(addDays(firstPeriod, -1), timeframe);
+      const periods = await loadPivotBars(ticker, start, to, timeframe);
+      const rows = periods
+        .map((bar, i) => i > 0 && bar.period >= firstPeriod && [bar.date, ...levels(periods[i - 1]).map(([, value]) => value)])
+        .filter(Boolean);
+      if (rows.length === 0) {
+        throw notAvailable("Insufficient price data to calculate pivot points.");
+      }
+      return [["Date", ...levels(periods[0]).map(([label]) => label)], ...rows];
     }
 
-    // Get previous day's data
-    const yesterday = new Date();
-    yesterday.setDate(yesterday.getDate() - 1);
-    const from = yesterday.toISOString().split('T')[0];
-    const to = new Date().toISOString().split('T')[0];
-
-    const url = `https://api.polygon.io/v2/aggs/ticker/${ticker}/range/1/day/${from}/${to}?adjusted=true&sort=desc&apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) {
-      return [[`HTTP error! status: ${response.status}`]];
-    }
+    // Pivots come from the last session that has closed, which skips weekends and holidays; a
+    // week or month counts once its last session has closed
+    const session = getLastClosedSession(calendar);
+    const period = getPeriodStart(session, timeframe);
+    const isComplete = getPeriodStart(shiftTradingDays(session, 1, calendar), timeframe) !== period;
+    const sourcePeriod = isComplete ? period : getPeriodStart(addDays(period, -1), timeframe);
 
-    const data = await response.json();
-    if (!data.results || data.results.length === 0) {
-      return [["Insufficient price data to calculate pivot points."]];
+    const periods = await loadPivotBars(ticker, sourcePeriod, session, timeframe);
+    const bar = periods.find(item => item.period === sourcePeriod);
+    if (!bar) {
+      throw notAvailable("Insufficient price data to calculate pivot points.");
     }
-
-    const bar = data.results[0];
-    const high = bar.h;
-    const low = bar.l;
-    const close = bar.c;
-    
-    let results = [["Level", "Value"]];
-    
-    switch (method.toLowerCase()) {
-      case "standard": {
-        const pp = (high + low + close) / 3;
-        const r1 = (2 * pp) - low;
-        const s1 = (2 * pp) - high;
-        const r2 = pp + (high - low);
-        const s2 = pp - (high - low);
-        const r3 = high + 2 * (pp - low);
-        const s3 = low - 2 * (high - pp);
-        
-        results.push(
-          ["Pivot Point", pp.toFixed(4)],
-          ["Resistance 1", r1.toFixed(4)],
-          ["Resistance 2", r2.toFixed(4)],
-          ["Resistance 3", r3.toFixed(4)],
-          ["Support 1", s1.toFixed(4)],
-          ["Support 2", s2.toFixed(4)],
-          ["Support 3", s3.toFixed(4)]
-        );
-        break;
-      }
-      case "fibonacci": {
-        const pp = (high + low + close) / 3;
-        const r1 = pp + 0.382 * (high - low);
-        const r2 = pp + 0.618 * (high - low);
-        const r3 = pp + 1.000 * (high - low);
-        const s1 = pp - 0.382 * (high - low);
-        const s2 = pp - 0.618 * (high - low);
-        const s3 = pp - 1.000 * (high - low);
-        
-        results.push(
-          ["Pivot Point", pp.toFixed(4)],
-          ["Resistance 1 (38.2%)", r1.toFixed(4)],
-          ["Resistance 2 (61.8%)", r2.toFixed(4)],
-          ["Resistance 3 (100%)", r3.toFixed(4)],
-          ["Support 1 (38.2%)", s1.toFixed(4)],
-          ["Support 2 (61.8%)", s2.toFixed(4)],
-          ["Support 3 (100%)", s3.toFixed(4)]
-        );
-        break;
-      }
-      case "woodie": {
-        const pp = (high + low + 2 * close) / 4;
-        const r1 = 2 * pp - low;
-        const r2 = pp + high - low;
-        const s1 = 2 * pp - high;
-        const s2 = pp - high + low;
-        
-        results.push(
-          ["Pivot Point", pp.toFixed(4)],
-          ["Resistance 1", r1.toFixed(4)],
-          ["Resistance 2", r2.toFixed(4)],
-          ["Support 1", s1.toFixed(4)],
-          ["Support 2", s2.toFixed(4)]
-        );
-        break;
-      }
-      case "demark": {
-        let x;
-        if (close < bar.o) x = high + (2 * low) + close;
-        else if (close > bar.o) x = (2 * high) + low + close;
-        else x = high + low + (2 * close);
-        
-        const pp = x / 4;
-        const r1 = x / 2 - low;
-        const s1 = x / 2 - high;
-        
-        results.push(
-          ["Pivot Point", pp.toFixed(4)],
-          ["Resistance 1", r1.toFixed(4)],
-          ["Support 1", s1.toFixed(4)]
-        );
-        break;
-      }
-      default:
-        return [["Invalid pivot point calculation method. Valid options: standard, fibonacci, woodie, demark"]];
-    }
-    
-    return results;
+    return [["Level", "Value"], ...levels(bar)];
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
+  }
+}
+
+/**
+ * Loads daily bars and rolls them up into one bar per pivot period
+ * @private
+ * @param {string} ticker The stock ticker symbol
+ * @param {string} from The first date, in YYYY-MM-DD format
+ * @param {string} to The last date, in YYYY-MM-DD format
+ * @param {string} timeframe One of PIVOT_TIMEFRAMES
+ * @returns {Promise<Object[]>} A bar per period, from resampleBars
+ */
+async function loadPivotBars(ticker, from, to, timeframe) {
+  const data = await polygonGetAll(`/v2/aggs/ticker/${ticker}/range/1/day/${from}/${to}`, { adjusted: true, sort: "asc", limit: 50000 }, Infinity, "getPivotPoints");
+  if (!data.results || data.results.length === 0) {
+    throw notAvailable("Insufficient price data to calculate pivot points.");
   }
+  return resampleBars(data.results, timeframe);
 }
 
 /**
  * Retrieves the daily open and close prices for a ticker on a specific date.
  * @customfunction
  * @param {string} ticker The stock ticker symbol (e.g., "AAPL").
- * @param {string} date The date in YYYY-MM-DD format.
- * @returns {Promise<string[][]>} A 2D array with the open, close, afterHours, preMarket, and status.
+ * @param {string} date The date: YYYY-MM-DD, an Excel date, or relative (e.g., "T-1").
+ * @returns {Promise<any[][]>} A 2D array with the open, close, afterHours, preMarket, and status.
  */
 export async function getDailyOpenClose(ticker, date) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) {
-      return [["API key not set. Please set your Polygon.io API key."]];
-    }
+    date = await parseDate(date, { functionName: "getDailyOpenClose" });
 
-    if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
-      return [["Invalid date format. Use YYYY-MM-DD."]];
-    }
-
-    const url = `https://api.polygon.io/v1/open-close/${ticker}/${date}?apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) {
-      return [[`HTTP error! status: ${response.status}`]];
-    }
-
-    const data = await response.json();
+    const data = await polygonGet(`/v1/open-close/${ticker}/${date}`, {}, "getDailyOpenClose");
     if (!data) {
-      return [["No data returned from API."]];
+      throw notAvailable("No data returned from API.");
     }
 
     return [
       ["Status", "Open", "Close", "After Hours", "Pre Market"],
       [
         data.status || "N/A",
-        data.open?.toFixed(2) || "N/A",
-        data.close?.toFixed(2) || "N/A",
-        data.afterHours?.toFixed(2) || "N/A",
-        data.preMarket?.toFixed(2) || "N/A"
+        orNotAvailable(data.open),
+        orNotAvailable(data.close),
+        orNotAvailable(data.afterHours),
+        orNotAvailable(data.preMarket)
       ]
     ];
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -1300,39 +1173,28 @@ export async function getDailyOpenClose(ticker, date) {
  * Retrieves the last trade for a ticker.
  * @customfunction
  * @param {string} ticker The stock ticker symbol (e.g., "AAPL").
- * @returns {Promise<string[][]>} A 2D array with the last trade details.
+ * @returns {Promise<any[][]>} A 2D array with the last trade details.
  */
 export async function getLastTrade(ticker) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) {
-      return [["API key not set. Please set your Polygon.io API key."]];
-    }
-
-    const url = `https://api.polygon.io/v2/last/trade/${ticker}?apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) {
-      return [[`HTTP error! status: ${response.status}`]];
-    }
-
-    const data = await response.json();
+    const data = await polygonGet(`/v2/last/trade/${ticker}`, {}, "getLastTrade");
     if (!data.results) {
-      return [["No data returned from API."]];
+      throw notAvailable("No data returned from API.");
     }
 
     const trade = data.results;
     return [
       ["Price", "Size", "Exchange", "Conditions", "Timestamp"],
       [
-        trade.p?.toFixed(2) || "N/A",
-        trade.s || "N/A",
-        trade.x || "N/A",
+        orNotAvailable(trade.p),
+        orNotAvailable(trade.s),
+        orNotAvailable(trade.x),
         trade.c?.join(", ") || "N/A",
-        new Date(trade.t).toLocaleString() || "N/A"
+        orNotAvailable(trade.t && formatDateTime(trade.t))
       ]
     ];
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -1340,39 +1202,28 @@ export async function getLastTrade(ticker) {
  * Retrieves the last quote for a ticker.
  * @customfunction
  * @param {string} ticker The stock ticker symbol (e.g., "AAPL").
- * @returns {Promise<string[][]>} A 2D array with the last quote details.
+ * @returns {Promise<any[][]>} A 2D array with the last quote details.
  */
 export async function getLastQuote(ticker) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) {
-      return [["API key not set. Please set your Polygon.io API key."]];
-    }
-
-    const url = `https://api.polygon.io/v2/last/nbbo/${ticker}?apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) {
-      return [[`HTTP error! status: ${response.status}`]];
-    }
-
-    const data = await response.json();
+    const data = await polygonGet(`/v2/last/nbbo/${ticker}`, {}, "getLastQuote");
     if (!data.results) {
-      return [["No data returned from API."]];
+      throw notAvailable("No data returned from API.");
     }
 
     const quote = data.results;
     return [
       ["Bid Price", "Bid Size", "Ask Price", "Ask Size", "Timestamp"],
       [
-        quote.P?.toFixed(2) || "N/A",
-        quote.S || "N/A",
-        quote.p?.toFixed(2) || "N/A",
-        quote.s || "N/A",
-        new Date(quote.t).toLocaleString() || "N/A"
+        orNotAvailable(quote.P),
+        orNotAvailable(quote.S),
+        orNotAvailable(quote.p),
+        orNotAvailable(quote.s),
+        orNotAvailable(quote.t && formatDateTime(quote.t))
       ]
     ];
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -1380,52 +1231,56 @@ export async function getLastQuote(ticker) {
  * Retrieves a snapshot of a specific ticker.
  * @customfunction
  * @param {string} ticker The stock ticker symbol (e.g., "AAPL").
- * @returns {Promise<string[][]>} A 2D array with snapshot data.
+ * @returns {Promise<any[][]>} A 2D array with snapshot data.
  */
 export async function getSnapshotTicker(ticker) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) {
-      return [["API key not set. Please set your Polygon.io API key."]];
-    }
-
-    const url = `https://api.polygon.io/v2/snapshot/locale/us/markets/stocks/tickers/${ticker}?apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) {
-      return [[`HTTP error! status: ${response.status}`]];
-    }
-
-    const data = await response.json();
+    const data = await polygonGet(`/v2/snapshot/locale/us/markets/stocks/tickers/${ticker}`, {}, "getSnapshotTicker");
     if (!data.ticker) {
-      return [["No data returned from API."]];
+      throw notAvailable("No data returned from API.");
     }
-
-    const snapshot = data.ticker;
-    const lastTrade = snapshot.lastTrade || {};
-    const lastQuote = snapshot.lastQuote || {};
-    const dailyBar = snapshot.day || {};
-
-    return [
-      ["Last Trade Price", "Last Bid", "Last Ask", "Daily Change", "Daily Change %"],
-      [
-        lastTrade.p?.toFixed(2) || "N/A",
-        lastQuote.P?.toFixed(2) || "N/A",
-        lastQuote.p?.toFixed(2) || "N/A",
-        (dailyBar.c - dailyBar.o)?.toFixed(2) || "N/A",
-        (((dailyBar.c - dailyBar.o) / dailyBar.o) * 100)?.toFixed(2) + "%" || "N/A"
-      ]
-    ];
+    return toSnapshotRows(data.ticker);
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
+/**
+ * Lays out a ticker snapshot as the rows getSnapshotTicker returns
+ * @private
+ * @param {Object} snapshot The ticker snapshot
+ * @returns {any[][]} Header row and values
+ */
+function toSnapshotRows(snapshot) {
+  const lastTrade = snapshot.lastTrade || {};
+  const lastQuote = snapshot.lastQuote || {};
+  const dailyBar = snapshot.day || {};
+  const hasDailyBar = typeof dailyBar.c === "number" && typeof dailyBar.o === "number" && dailyBar.o !== 0;
+
+  return [
+    ["Last Trade Price", "Last Bid", "Last Ask", "Daily Change", "Daily Change %"],
+    [
+      orNotAvailable(lastTrade.p),
+      orNotAvailable(lastQuote.P),
+      orNotAvailable(lastQuote.p),
+      hasDailyBar ? dailyBar.c - dailyBar.o : notAvailable("No daily bar returned."),
+      hasDailyBar ? (dailyBar.c - dailyBar.o) / dailyBar.o : notAvailable("No daily bar returned.")
+    ]
+  ];
+}
+
 // This file contains custom functions for accessing various Polygon.io APIs, including Options, Indices, Forex, Crypto, and Reference data.
 // Each function is designed to be used in an Excel add-in and returns data in a 2D array format suitable for spreadsheets.
 
 
-function isValidDate(date) {
-  return /^\d{4}-\d{2}-\d{2}$/.test(date);
+/**
+ * Returns a value for a result cell, or a #N/A error value when Polygon left it out of the response
+ * @private
+ * @param {*} value The value from the response
+ * @returns {*} The value, or the error value
+ */
+function orNotAvailable(value) {
+  return value ?? notAvailable("No value returned for this field.");
 }
 
 // ---------------------------
@@ -1436,32 +1291,29 @@ function isValidDate(date) {
  * Retrieves historical OHLC data for an options contract.
  * @customfunction
  * @param {string} ticker The options contract ticker (e.g., "O:AAPL241025C00250000").
- * @param {string} fromDate Start date in YYYY-MM-DD format.
- * @param {string} toDate End date in YYYY-MM-DD format.
- * @param {string} [timespan="day"] Timespan ("minute", "hour", "day").
- * @returns {Promise<string[][]>} Array of OHLC data.
+ * @param {string} fromDate Start date: YYYY-MM-DD, an Excel date, or relative (e.g., "-30d", "-6m", "YTD", "1Y", "T-5").
+ * @param {string} toDate End date: YYYY-MM-DD, an Excel date, or relative (e.g., "T", "-1d", "T-1").
+ * @param {string} [timespan="day"] Bar size: a timespan ("minute", "hour", "day", "week", "month", "quarter", "year") with an optional multiplier (e.g., "15minute", "4hour", "2week").
+ * @param {number} [maxRows=50000] Maximum number of bars to return; further pages are fetched as needed.
+ * @returns {Promise<any[][]>} Array of OHLC data.
  */
-export async function getOptionsHistoricalOHLC(ticker, fromDate, toDate, timespan = "day") {
+export async function getOptionsHistoricalOHLC(ticker, fromDate, toDate, timespan = "day", maxRows = 50000) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) return [["API key not set. Please set your Polygon.io API key."]];
-    if (!isValidDate(fromDate) || !isValidDate(toDate)) return [["Invalid date format. Use YYYY-MM-DD."]];
-    
-    const url = `https://api.polygon.io/v2/aggs/ticker/${ticker}/range/1/${timespan}/${fromDate}/${toDate}?adjusted=true&sort=asc&apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) return [[`HTTP error! status: ${response.status}`]];
-    
-    const data = await response.json();
-    if (!data.results) return [["No data returned from API."]];
+    [fromDate, toDate] = await parseDateRange(fromDate, toDate, { functionName: "getOptionsHistoricalOHLC" });
+    const barSize = parseBarSize(timespan);
+    maxRows = Math.max(1, maxRows);
+    const data = await polygonGetAll(`/v2/aggs/ticker/${ticker}/${getRangePath(barSize)}/${fromDate}/${toDate}`, { adjusted: true, sort: "asc", limit: Math.min(maxRows, 50000) }, maxRows, "getOptionsHistoricalOHLC");
+    if (!data.results) throw notAvailable("No data returned from API.");
+    if (data.results.length === 0) throw notAvailable("No data found for this ticker and date range.");
     
     const results = [["Date", "Open", "High", "Low", "Close", "Volume"]];
     data.results.forEach(bar => {
-      const date = new Date(bar.t).toISOString().split('T')[0];
-      results.push([date, bar.o, bar.h, bar.l, bar.c, bar.v]);
+      const date = formatBarTime(bar.t, barSize.timespan);
+      results.push([date, orNotAvailable(bar.o), orNotAvailable(bar.h), orNotAvailable(bar.l), orNotAvailable(bar.c), orNotAvailable(bar.v)]);
     });
     return results;
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -1469,27 +1321,20 @@ export async function getOptionsHistoricalOHLC(ticker, fromDate, toDate, timespa
  * Retrieves the last trade for an options contract.
  * @customfunction
  * @param {string} ticker The options contract ticker.
- * @returns {Promise<string[][]>} Array with last trade details.
+ * @returns {Promise<any[][]>} Array with last trade details.
  */
 export async function getOptionsLastTrade(ticker) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) return [["API key not set."]];
-    
-    const url = `https://api.polygon.io/v2/last/trade/${ticker}?apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) return [[`HTTP error! status: ${response.status}`]];
-    
-    const data = await response.json();
-    if (!data.results) return [["No data returned."]];
+    const data = await polygonGet(`/v2/last/trade/${ticker}`, {}, "getOptionsLastTrade");
+    if (!data.results) throw notAvailable("No data returned.");
     
     const trade = data.results;
     return [
       ["Price", "Size", "Timestamp"],
-      [trade.p, trade.s, new Date(trade.t).toISOString()]
+      [orNotAvailable(trade.p), orNotAvailable(trade.s), orNotAvailable(trade.t && formatDateTime(trade.t))]
     ];
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -1497,27 +1342,20 @@ export async function getOptionsLastTrade(ticker) {
  * Retrieves the last quote for an options contract.
  * @customfunction
  * @param {string} ticker The options contract ticker.
- * @returns {Promise<string[][]>} Array with last quote details.
+ * @returns {Promise<any[][]>} Array with last quote details.
  */
 export async function getOptionsLastQuote(ticker) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) return [["API key not set."]];
-    
-    const url = `https://api.polygon.io/v2/last/nbbo/${ticker}?apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) return [[`HTTP error! status: ${response.status}`]];
-    
-    const data = await response.json();
-    if (!data.results) return [["No data returned."]];
+    const data = await polygonGet(`/v2/last/nbbo/${ticker}`, {}, "getOptionsLastQuote");
+    if (!data.results) throw notAvailable("No data returned.");
     
     const quote = data.results;
     return [
       ["Bid", "Ask", "Timestamp"],
-      [quote.bp, quote.ap, new Date(quote.t).toISOString()]
+      [orNotAvailable(quote.bp), orNotAvailable(quote.ap), orNotAvailable(quote.t && formatDateTime(quote.t))]
     ];
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -1525,27 +1363,22 @@ export async function getOptionsLastQuote(ticker) {
  * Retrieves a snapshot of an options contract.
  * @customfunction
  * @param {string} ticker The options contract ticker.
- * @returns {Promise<string[][]>} Array with snapshot data.
+ * @returns {Promise<any[][]>} Array with snapshot data.
  */
 export async function getOptionsSnapshot(ticker) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) return [["API key not set."]];
-    
-    const url = `https://api.polygon.io/v3/snapshot?ticker.any=${ticker}&apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) return [[`HTTP error! status: ${response.status}`]];
-    
-    const data = await response.json();
-    if (!data.results || data.results.length === 0) return [["No data returned."]];
+    const data = await polygonGet("/v3/snapshot", { "ticker.any": ticker }, "getOptionsSnapshot");
+    if (!data.results || data.results.length === 0) throw notAvailable("No data returned.");
     
     const snap = data.results[0];
+    const lastTrade = snap.lastTrade || {};
+    const dailyBar = snap.day || {};
     return [
       ["Last Price", "Open", "High", "Low", "Volume"],
-      [snap.lastTrade.p, snap.day.o, snap.day.h, snap.day.l, snap.day.v]
+      [orNotAvailable(lastTrade.p), orNotAvailable(dailyBar.o), orNotAvailable(dailyBar.h), orNotAvailable(dailyBar.l), orNotAvailable(dailyBar.v)]
     ];
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -1557,32 +1390,29 @@ export async function getOptionsSnapshot(ticker) {
  * Retrieves historical OHLC data for an index.
  * @customfunction
  * @param {string} ticker The index ticker (e.g., "I:SPX").
- * @param {string} fromDate Start date in YYYY-MM-DD format.
- * @param {string} toDate End date in YYYY-MM-DD format.
- * @param {string} [timespan="day"] Timespan ("minute", "hour", "day").
- * @returns {Promise<string[][]>} Array of OHLC data.
+ * @param {string} fromDate Start date: YYYY-MM-DD, an Excel date, or relative (e.g., "-30d", "-6m", "YTD", "1Y", "T-5").
+ * @param {string} toDate End date: YYYY-MM-DD, an Excel date, or relative (e.g., "T", "-1d", "T-1").
+ * @param {string} [timespan="day"] Bar size: a timespan ("minute", "hour", "day", "week", "month", "quarter", "year") with an optional multiplier (e.g., "15minute", "4hour", "2week").
+ * @param {number} [maxRows=50000] Maximum number of bars to return; further pages are fetched as needed.
+ * @returns {Promise<any[][]>} Array of OHLC data.
  */
-export async function getIndexHistoricalOHLC(ticker, fromDate, toDate, timespan = "day") {
+export async function getIndexHistoricalOHLC(ticker, fromDate, toDate, timespan = "day", maxRows = 50000) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) return [["API key not set."]];
-    if (!isValidDate(fromDate) || !isValidDate(toDate)) return [["Invalid date format."]];
-    
-    const url = `https://api.polygon.io/v2/aggs/ticker/${ticker}/range/1/${timespan}/${fromDate}/${toDate}?adjusted=true&sort=asc&apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) return [[`HTTP error! status: ${response.status}`]];
-    
-    const data = await response.json();
-    if (!data.results) return [["No data returned."]];
+    [fromDate, toDate] = await parseDateRange(fromDate, toDate, { functionName: "getIndexHistoricalOHLC" });
+    const barSize = parseBarSize(timespan);
+    maxRows = Math.max(1, maxRows);
+    const data = await polygonGetAll(`/v2/aggs/ticker/${ticker}/${getRangePath(barSize)}/${fromDate}/${toDate}`, { adjusted: true, sort: "asc", limit: Math.min(maxRows, 50000) }, maxRows, "getIndexHistoricalOHLC");
+    if (!data.results) throw notAvailable("No data returned.");
+    if (data.results.length === 0) throw notAvailable("No data found for this ticker and date range.");
     
     const results = [["Date", "Open", "High", "Low", "Close", "Volume"]];
     data.results.forEach(bar => {
-      const date = new Date(bar.t).toISOString().split('T')[0];
-      results.push([date, bar.o, bar.h, bar.l, bar.c, bar.v]);
+      const date = formatBarTime(bar.t, barSize.timespan);
+      results.push([date, orNotAvailable(bar.o), orNotAvailable(bar.h), orNotAvailable(bar.l), orNotAvailable(bar.c), orNotAvailable(bar.v)]);
     });
     return results;
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -1590,27 +1420,22 @@ export async function getIndexHistoricalOHLC(ticker, fromDate, toDate, timespan
  * Retrieves a snapshot of an index.
  * @customfunction
  * @param {string} ticker The index ticker.
- * @returns {Promise<string[][]>} Array with snapshot data.
+ * @returns {Promise<any[][]>} Array with snapshot data.
  */
 export async function getIndexSnapshot(ticker) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) return [["API key not set."]];
-    
-    const url = `https://api.polygon.io/v3/snapshot?ticker.any=${ticker}&apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) return [[`HTTP error! status: ${response.status}`]];
-    
-    const data = await response.json();
-    if (!data.results || data.results.length === 0) return [["No data returned."]];
+    const data = await polygonGet("/v3/snapshot", { "ticker.any": ticker }, "getIndexSnapshot");
+    if (!data.results || data.results.length === 0) throw notAvailable("No data returned.");
     
     const snap = data.results[0];
+    const lastTrade = snap.lastTrade || {};
+    const dailyBar = snap.day || {};
     return [
       ["Last Price", "Open", "High", "Low", "Volume"],
-      [snap.lastTrade.p, snap.day.o, snap.day.h, snap.day.l, snap.day.v]
+      [orNotAvailable(lastTrade.p), orNotAvailable(dailyBar.o), orNotAvailable(dailyBar.h), orNotAvailable(dailyBar.l), orNotAvailable(dailyBar.v)]
     ];
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -1622,53 +1447,46 @@ export async function getIndexSnapshot(ticker) {
  * Retrieves historical OHLC data for a forex pair.
  * @customfunction
  * @param {string} pair The forex pair (e.g., "C:EURUSD").
- * @param {string} fromDate Start date in YYYY-MM-DD format.
- * @param {string} toDate End date in YYYY-MM-DD format.
- * @param {string} [timespan="day"] Timespan ("minute", "hour", "day").
- * @returns {Promise<string[][]>} Array of OHLC data.
+ * @param {string} fromDate Start date: YYYY-MM-DD, an Excel date, or relative (e.g., "-30d", "-6m", "YTD", "1Y", "T-5").
+ * @param {string} toDate End date: YYYY-MM-DD, an Excel date, or relative (e.g., "T", "-1d", "T-1").
+ * @param {string} [timespan="day"] Bar size: a timespan ("minute", "hour", "day", "week", "month", "quarter", "year") with an optional multiplier (e.g., "15minute", "4hour", "2week").
+ * @param {number} [maxRows=50000] Maximum number of bars to return; further pages are fetched as needed.
+ * @param {string} [timezone] Timezone for the timestamps (e.g., "Europe/London"); defaults to the FX and crypto timezone setting.
+ * @returns {Promise<any[][]>} Array of OHLC data.
  */
-export async function getForexHistoricalOHLC(pair, fromDate, toDate, timespan = "day") {
+export async function getForexHistoricalOHLC(pair, fromDate, toDate, timespan = "day", maxRows = 50000, timezone) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) return [["API key not set."]];
-    if (!isValidDate(fromDate) || !isValidDate(toDate)) return [["Invalid date format."]];
-    
-    const url = `https://api.polygon.io/v2/aggs/ticker/${pair}/range/1/${timespan}/${fromDate}/${toDate}?adjusted=true&sort=asc&apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) return [[`HTTP error! status: ${response.status}`]];
-    
-    const data = await response.json();
-    if (!data.results) return [["No data returned."]];
+    const timeZone = getTimezone(pair, timezone);
+    [fromDate, toDate] = await parseDateRange(fromDate, toDate, { functionName: "getForexHistoricalOHLC", timezone: timeZone });
+    const barSize = parseBarSize(timespan);
+    maxRows = Math.max(1, maxRows);
+    const data = await polygonGetAll(`/v2/aggs/ticker/${pair}/${getRangePath(barSize)}/${fromDate}/${toDate}`, { adjusted: true, sort: "asc", limit: Math.min(maxRows, 50000) }, maxRows, "getForexHistoricalOHLC");
+    if (!data.results) throw notAvailable("No data returned.");
+    if (data.results.length === 0) throw notAvailable("No data found for this ticker and date range.");
     
     const results = [["Date", "Open", "High", "Low", "Close"]];
     data.results.forEach(bar => {
-      const date = new Date(bar.t).toISOString().split('T')[0];
-      results.push([date, bar.o, bar.h, bar.l, bar.c]);
+      const date = formatBarTime(bar.t, barSize.timespan, timeZone);
+      results.push([date, orNotAvailable(bar.o), orNotAvailable(bar.h), orNotAvailable(bar.l), orNotAvailable(bar.c)]);
     });
     return results;
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
 /**
  * Retrieves grouped daily OHLC for all forex pairs.
  * @customfunction
- * @param {string} date Date in YYYY-MM-DD format.
- * @returns {Promise<string[][]>} Array of daily OHLC data.
+ * @param {string} date Date: YYYY-MM-DD, an Excel date, or relative (e.g., "T-1").
+ * @returns {Promise<any[][]>} Array of daily OHLC data.
  */
 export async function getForexGroupedDailyBars(date) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) return [["API key not set."]];
-    if (!isValidDate(date)) return [["Invalid date format."]];
+    date = await parseDate(date, { functionName: "getForexGroupedDailyBars" });
     
-    const url = `https://api.polygon.io/v2/aggs/grouped/locale/global/market/fx/${date}?adjusted=true&apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) return [[`HTTP error! status: ${response.status}`]];
-    
-    const data = await response.json();
-    if (!data.results) return [["No data returned."]];
+    const data = await polygonGet(`/v2/aggs/grouped/locale/global/market/fx/${date}`, { adjusted: true }, "getForexGroupedDailyBars");
+    if (!data.results) throw notAvailable("No data returned.");
     
     const results = [["Ticker", "Open", "High", "Low", "Close"]];
     data.results.forEach(bar => {
@@ -1676,7 +1494,7 @@ export async function getForexGroupedDailyBars(date) {
     });
     return results;
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -1684,27 +1502,22 @@ export async function getForexGroupedDailyBars(date) {
  * Retrieves the last quote for a forex pair.
  * @customfunction
  * @param {string} pair The forex pair.
- * @returns {Promise<string[][]>} Array with last quote details.
+ * @param {string} [timezone] Timezone for the timestamps (e.g., "Europe/London"); defaults to the FX and crypto timezone setting.
+ * @returns {Promise<any[][]>} Array with last quote details.
  */
-export async function getForexLastQuote(pair) {
+export async function getForexLastQuote(pair, timezone) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) return [["API key not set."]];
-    
-    const url = `https://api.polygon.io/v2/last/nbbo/${pair}?apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) return [[`HTTP error! status: ${response.status}`]];
-    
-    const data = await response.json();
-    if (!data.results) return [["No data returned."]];
+    const timeZone = getTimezone(pair, timezone);
+    const data = await polygonGet(`/v2/last/nbbo/${pair}`, {}, "getForexLastQuote");
+    if (!data.results) throw notAvailable("No data returned.");
     
     const quote = data.results;
     return [
       ["Bid", "Ask", "Timestamp"],
-      [quote.bp, quote.ap, new Date(quote.t).toISOString()]
+      [orNotAvailable(quote.bp), orNotAvailable(quote.ap), orNotAvailable(quote.t && formatDateTime(quote.t, timeZone))]
     ];
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -1712,27 +1525,22 @@ export async function getForexLastQuote(pair) {
  * Retrieves a snapshot of a forex pair.
  * @customfunction
  * @param {string} pair The forex pair.
- * @returns {Promise<string[][]>} Array with snapshot data.
+ * @returns {Promise<any[][]>} Array with snapshot data.
  */
 export async function getForexSnapshot(pair) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) return [["API key not set."]];
-    
-    const url = `https://api.polygon.io/v3/snapshot?ticker.any=${pair}&apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) return [[`HTTP error! status: ${response.status}`]];
-    
-    const data = await response.json();
-    if (!data.results || data.results.length === 0) return [["No data returned."]];
+    const data = await polygonGet("/v3/snapshot", { "ticker.any": pair }, "getForexSnapshot");
+    if (!data.results || data.results.length === 0) throw notAvailable("No data returned.");
     
     const snap = data.results[0];
+    const lastQuote = snap.lastQuote || {};
+    const dailyBar = snap.day || {};
     return [
       ["Last Price", "Open", "High", "Low"],
-      [snap.lastQuote.p, snap.day.o, snap.day.h, snap.day.l]
+      [orNotAvailable(lastQuote.p), orNotAvailable(dailyBar.o), orNotAvailable(dailyBar.h), orNotAvailable(dailyBar.l)]
     ];
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -1744,53 +1552,46 @@ export async function getForexSnapshot(pair) {
  * Retrieves historical OHLC data for a crypto pair.
  * @customfunction
  * @param {string} pair The crypto pair (e.g., "X:BTCUSD").
- * @param {string} fromDate Start date in YYYY-MM-DD format.
- * @param {string} toDate End date in YYYY-MM-DD format.
- * @param {string} [timespan="day"] Timespan ("minute", "hour", "day").
- * @returns {Promise<string[][]>} Array of OHLC data.
+ * @param {string} fromDate Start date: YYYY-MM-DD, an Excel date, or relative (e.g., "-30d", "-6m", "YTD", "1Y", "T-5").
+ * @param {string} toDate End date: YYYY-MM-DD, an Excel date, or relative (e.g., "T", "-1d", "T-1").
+ * @param {string} [timespan="day"] Bar size: a timespan ("minute", "hour", "day", "week", "month", "quarter", "year") with an optional multiplier (e.g., "15minute", "4hour", "2week").
+ * @param {number} [maxRows=50000] Maximum number of bars to return; further pages are fetched as needed.
+ * @param {string} [timezone] Timezone for the timestamps (e.g., "Europe/London"); defaults to the FX and crypto timezone setting.
+ * @returns {Promise<any[][]>} Array of OHLC data.
  */
-export async function getCryptoHistoricalOHLC(pair, fromDate, toDate, timespan = "day") {
+export async function getCryptoHistoricalOHLC(pair, fromDate, toDate, timespan = "day", maxRows = 50000, timezone) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) return [["API key not set."]];
-    if (!isValidDate(fromDate) || !isValidDate(toDate)) return [["Invalid date format."]];
-    
-    const url = `https://api.polygon.io/v2/aggs/ticker/${pair}/range/1/${timespan}/${fromDate}/${toDate}?adjusted=true&sort=asc&apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) return [[`HTTP error! status: ${response.status}`]];
-    
-    const data = await response.json();
-    if (!data.results) return [["No data returned."]];
+    const timeZone = getTimezone(pair, timezone);
+    [fromDate, toDate] = await parseDateRange(fromDate, toDate, { functionName: "getCryptoHistoricalOHLC", timezone: timeZone });
+    const barSize = parseBarSize(timespan);
+    maxRows = Math.max(1, maxRows);
+    const data = await polygonGetAll(`/v2/aggs/ticker/${pair}/${getRangePath(barSize)}/${fromDate}/${toDate}`, { adjusted: true, sort: "asc", limit: Math.min(maxRows, 50000) }, maxRows, "getCryptoHistoricalOHLC");
+    if (!data.results) throw notAvailable("No data returned.");
+    if (data.results.length === 0) throw notAvailable("No data found for this ticker and date range.");
     
     const results = [["Date", "Open", "High", "Low", "Close", "Volume"]];
     data.results.forEach(bar => {
-      const date = new Date(bar.t).toISOString().split('T')[0];
-      results.push([date, bar.o, bar.h, bar.l, bar.c, bar.v]);
+      const date = formatBarTime(bar.t, barSize.timespan, timeZone);
+      results.push([date, orNotAvailable(bar.o), orNotAvailable(bar.h), orNotAvailable(bar.l), orNotAvailable(bar.c), orNotAvailable(bar.v)]);
     });
     return results;
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
 /**
  * Retrieves grouped daily OHLC for all crypto pairs.
  * @customfunction
- * @param {string} date Date in YYYY-MM-DD format.
- * @returns {Promise<string[][]>} Array of daily OHLC data.
+ * @param {string} date Date: YYYY-MM-DD, an Excel date, or relative (e.g., "T-1").
+ * @returns {Promise<any[][]>} Array of daily OHLC data.
  */
 export async function getCryptoGroupedDailyBars(date) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) return [["API key not set."]];
-    if (!isValidDate(date)) return [["Invalid date format."]];
-    
-    const url = `https://api.polygon.io/v2/aggs/grouped/locale/global/market/crypto/${date}?adjusted=true&apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) return [[`HTTP error! status: ${response.status}`]];
+    date = await parseDate(date, { functionName: "getCryptoGroupedDailyBars" });
     
-    const data = await response.json();
-    if (!data.results) return [["No data returned."]];
+    const data = await polygonGet(`/v2/aggs/grouped/locale/global/market/crypto/${date}`, { adjusted: true }, "getCryptoGroupedDailyBars");
+    if (!data.results) throw notAvailable("No data returned.");
     
     const results = [["Ticker", "Open", "High", "Low", "Close", "Volume"]];
     data.results.forEach(bar => {
@@ -1798,7 +1599,7 @@ export async function getCryptoGroupedDailyBars(date) {
     });
     return results;
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -1806,27 +1607,22 @@ export async function getCryptoGroupedDailyBars(date) {
  * Retrieves the last trade for a crypto pair.
  * @customfunction
  * @param {string} pair The crypto pair.
- * @returns {Promise<string[][]>} Array with last trade details.
+ * @param {string} [timezone] Timezone for the timestamps (e.g., "Europe/London"); defaults to the FX and crypto timezone setting.
+ * @returns {Promise<any[][]>} Array with last trade details.
  */
-export async function getCryptoLastTrade(pair) {
+export async function getCryptoLastTrade(pair, timezone) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) return [["API key not set."]];
-    
-    const url = `https://api.polygon.io/v2/last/trade/${pair}?apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) return [[`HTTP error! status: ${response.status}`]];
-    
-    const data = await response.json();
-    if (!data.results) return [["No data returned."]];
+    const timeZone = getTimezone(pair, timezone);
+    const data = await polygonGet(`/v2/last/trade/${pair}`, {}, "getCryptoLastTrade");
+    if (!data.results) throw notAvailable("No data returned.");
     
     const trade = data.results;
     return [
       ["Price", "Size", "Timestamp"],
-      [trade.p, trade.s, new Date(trade.t).toISOString()]
+      [orNotAvailable(trade.p), orNotAvailable(trade.s), orNotAvailable(trade.t && formatDateTime(trade.t, timeZone))]
     ];
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -1834,27 +1630,22 @@ export async function getCryptoLastTrade(pair) {
  * Retrieves the last quote for a crypto pair.
  * @customfunction
  * @param {string} pair The crypto pair.
- * @returns {Promise<string[][]>} Array with last quote details.
+ * @param {string} [timezone] Timezone for the timestamps (e.g., "Europe/London"); defaults to the FX and crypto timezone setting.
+ * @returns {Promise<any[][]>} Array with last quote details.
  */
-export async function getCryptoLastQuote(pair) {
+export async function getCryptoLastQuote(pair, timezone) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) return [["API key not set."]];
-    
-    const url = `https://api.polygon.io/v2/last/nbbo/${pair}?apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) return [[`HTTP error! status: ${response.status}`]];
-    
-    const data = await response.json();
-    if (!data.results) return [["No data returned."]];
+    const timeZone = getTimezone(pair, timezone);
+    const data = await polygonGet(`/v2/last/nbbo/${pair}`, {}, "getCryptoLastQuote");
+    if (!data.results) throw notAvailable("No data returned.");
     
     const quote = data.results;
     return [
       ["Bid", "Ask", "Timestamp"],
-      [quote.bp, quote.ap, new Date(quote.t).toISOString()]
+      [orNotAvailable(quote.bp), orNotAvailable(quote.ap), orNotAvailable(quote.t && formatDateTime(quote.t, timeZone))]
     ];
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -1862,27 +1653,22 @@ export async function getCryptoLastQuote(pair) {
  * Retrieves a snapshot of a crypto pair.
  * @customfunction
  * @param {string} pair The crypto pair.
- * @returns {Promise<string[][]>} Array with snapshot data.
+ * @returns {Promise<any[][]>} Array with snapshot data.
  */
 export async function getCryptoSnapshot(pair) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) return [["API key not set."]];
-    
-    const url = `https://api.polygon.io/v3/snapshot?ticker.any=${pair}&apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) return [[`HTTP error! status: ${response.status}`]];
-    
-    const data = await response.json();
-    if (!data.results || data.results.length === 0) return [["No data returned."]];
+    const data = await polygonGet("/v3/snapshot", { "ticker.any": pair }, "getCryptoSnapshot");
+    if (!data.results || data.results.length === 0) throw notAvailable("No data returned.");
     
     const snap = data.results[0];
+    const lastTrade = snap.lastTrade || {};
+    const dailyBar = snap.day || {};
     return [
       ["Last Price", "Open", "High", "Low", "Volume"],
-      [snap.lastTrade.p, snap.day.o, snap.day.h, snap.day.l, snap.day.v]
+      [orNotAvailable(lastTrade.p), orNotAvailable(dailyBar.o), orNotAvailable(dailyBar.h), orNotAvailable(dailyBar.l), orNotAvailable(dailyBar.v)]
     ];
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -1897,15 +1683,8 @@ export async function getCryptoSnapshot(pair) {
  */
 export async function getMarkets() {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) return [["API key not set."]];
-    
-    const url = `https://api.polygon.io/v3/reference/markets?apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) return [[`HTTP error! status: ${response.status}`]];
-    
-    const data = await response.json();
-    if (!data.results) return [["No data returned."]];
+    const data = await polygonGet("/v3/reference/markets", {}, "getMarkets");
+    if (!data.results) throw notAvailable("No data returned.");
     
     const results = [["Market", "Description"]];
     data.results.forEach(market => {
@@ -1913,7 +1692,7 @@ export async function getMarkets() {
     });
     return results;
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -1924,15 +1703,8 @@ export async function getMarkets() {
  */
 export async function getLocales() {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) return [["API key not set."]];
-    
-    const url = `https://api.polygon.io/v3/reference/locales?apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) return [[`HTTP error! status: ${response.status}`]];
-    
-    const data = await response.json();
-    if (!data.results) return [["No data returned."]];
+    const data = await polygonGet("/v3/reference/locales", {}, "getLocales");
+    if (!data.results) throw notAvailable("No data returned.");
     
     const results = [["Locale", "Name"]];
     data.results.forEach(locale => {
@@ -1940,7 +1712,7 @@ export async function getLocales() {
     });
     return results;
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -1950,30 +1722,22 @@ export async function getLocales() {
  * @param {string} ticker The stock ticker (e.g., "AAPL").
  * @param {string} [period="annual"] Period ("annual" or "quarterly").
  * @param {number} [limit=1] Number of statements to retrieve.
- * @returns {Promise<string[][]>} Array of financial data.
- * @note This function may require a paid Polygon.io plan.
+ * @returns {Promise<any[][]>} Array of financial data.
  */
 export async function getCompanyFinancials(ticker, period = "annual", limit = 1) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) return [["API key not set."]];
-    
-    const url = `https://api.polygon.io/vX/reference/financials?ticker=${ticker}&timeframe=${period}&limit=${limit}&apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) return [[`HTTP error! status: ${response.status}`]];
-    
-    const data = await response.json();
-    if (!data.results) return [["No data returned."]];
+    const data = await polygonGet("/vX/reference/financials", { ticker, timeframe: period, limit }, "getCompanyFinancials");
+    if (!data.results || data.results.length === 0) throw notAvailable("No data returned.");
     
     const financials = data.results[0].financials.income_statement;
     return [
       ["Metric", "Value"],
-      ["Revenues", financials.revenues?.value || "N/A"],
-      ["Net Income", financials.net_income?.value || "N/A"],
-      ["Operating Expenses", financials.operating_expenses?.value || "N/A"]
+      ["Revenues", orNotAvailable(financials.revenues?.value)],
+      ["Net Income", orNotAvailable(financials.net_income?.value)],
+      ["Operating Expenses", orNotAvailable(financials.operating_expenses?.value)]
     ];
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
@@ -1981,19 +1745,14 @@ export async function getCompanyFinancials(ticker, period = "annual", limit = 1)
  * Retrieves a list of trade conditions.
  * @customfunction
  * @param {string} [assetClass="stocks"] Asset class ("stocks", "options", "crypto", "fx").
- * @returns {Promise<string[][]>} Array of condition information.
+ * @param {number} [maxRows=1000] Maximum number of conditions to return.
+ * @returns {Promise<any[][]>} Array of condition information.
  */
-export async function getConditions(assetClass = "stocks") {
+export async function getConditions(assetClass = "stocks", maxRows = 1000) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) return [["API key not set."]];
-    
-    const url = `https://api.polygon.io/v3/reference/conditions?asset_class=${assetClass}&apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) return [[`HTTP error! status: ${response.status}`]];
-    
-    const data = await response.json();
-    if (!data.results) return [["No data returned."]];
+    maxRows = Math.max(1, maxRows);
+    const data = await polygonGetAll("/v3/reference/conditions", { asset_class: assetClass, limit: Math.min(maxRows, 1000) }, maxRows, "getConditions");
+    if (!data.results) throw notAvailable("No data returned.");
     
     const results = [["ID", "Name", "Type"]];
     data.results.forEach(condition => {
@@ -2001,26 +1760,21 @@ export async function getConditions(assetClass = "stocks") {
     });
     return results;
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
   }
 }
 
 /**
  * Retrieves a list of ticker types.
  * @customfunction
- * @returns {Promise<string[][]>} Array of ticker type information.
+ * @param {number} [maxRows=1000] Maximum number of ticker types to return.
+ * @returns {Promise<any[][]>} Array of ticker type information.
  */
-export async function getTickerTypes() {
+export async function getTickerTypes(maxRows = 1000) {
   try {
-    const apiKey = getApiKey();
-    if (!apiKey) return [["API key not set."]];
-    
-    const url = `https://api.polygon.io/v3/reference/ticker-types?apiKey=${apiKey}`;
-    const response = await fetch(url);
-    if (!response.ok) return [[`HTTP error! status: ${response.status}`]];
-    
-    const data = await response.json();
-    if (!data.results) return [["No data returned."]];
+    maxRows = Math.max(1, maxRows);
+    const data = await polygonGetAll("/v3/reference/ticker-types", {}, maxRows, "getTickerTypes");
+    if (!data.results) throw notAvailable("No data returned.");
     
     const results = [["Code", "Description", "Asset Class"]];
     data.results.forEach(type => {
@@ -2028,6 +1782,160 @@ export async function getTickerTypes() {
     });
     return results;
   } catch (error) {
-    return [[`Error: ${error.message}`]];
+    throw toExcelError(error);
+  }
+}
+
+// ---------------------------
+// Streaming APIs
+// ---------------------------
+
+/**
+ * Streams the latest trade for a ticker over Polygon's WebSocket feed, updating as trades happen.
+ * @customfunction
+ * @streaming
+ * @param {string} ticker A stock (e.g., "AAPL"), options contract ("O:...") or crypto pair ("X:BTCUSD").
+ * @param {CustomFunctions.StreamingInvocation<any[][]>} invocation The streaming invocation.
+ */
+export function streamTrade(ticker, invocation) {
+  const timeZone = getTimezone(ticker);
+  streamToCell(invocation, ticker, "trade", trade => [
+    ["Price", "Size", "Exchange", "Conditions", "Timestamp"],
+    [trade.p, trade.s, orNotAvailable(trade.x), trade.c?.join(", ") || "N/A", formatDateTime(trade.t, timeZone)]
+  ]);
+}
+
+/**
+ * Streams the latest bid and ask for a ticker over Polygon's WebSocket feed.
+ * @customfunction
+ * @streaming
+ * @param {string} ticker A stock (e.g., "AAPL"), options contract ("O:..."), forex pair ("C:EURUSD") or crypto pair ("X:BTCUSD").
+ * @param {CustomFunctions.StreamingInvocation<any[][]>} invocation The streaming invocation.
+ */
+export function streamQuote(ticker, invocation) {
+  const timeZone = getTimezone(ticker);
+  // Forex quotes have no sizes and name the prices a and b.
+  streamToCell(invocation, ticker, "quote", quote => [
+    ["Bid Price", "Bid Size", "Ask Price", "Ask Size", "Timestamp"],
+    [quote.bp ?? quote.b, orNotAvailable(quote.bs), quote.ap ?? quote.a, orNotAvailable(quote.as), formatDateTime(quote.t, timeZone)]
+  ]);
+}
+
+/**
+ * Streams each completed one-minute bar for a ticker over Polygon's WebSocket feed.
+ * @customfunction
+ * @streaming
+ * @param {string} ticker A stock (e.g., "AAPL"), options contract ("O:..."), forex pair ("C:EURUSD") or crypto pair ("X:BTCUSD").
+ * @param {CustomFunctions.StreamingInvocation<any[][]>} invocation The streaming invocation.
+ */
+export function streamMinuteBar(ticker, invocation) {
+  const timeZone = getTimezone(ticker);
+  streamToCell(invocation, ticker, "minuteBar", bar => [
+    ["Time", "Open", "High", "Low", "Close", "Volume", "VWAP"],
+    [formatBarTime(bar.s, "minute", timeZone), bar.o, bar.h, bar.l, bar.c, bar.v, orNotAvailable(bar.vw)]
+  ]);
+}
+
+/**
+ * Feeds a streaming cell from a WebSocket subscription until Excel cancels it
+ * @private
+ * @param {CustomFunctions.StreamingInvocation<any[][]>} invocation The streaming invocation
+ * @param {string} ticker The ticker to subscribe to
+ * @param {string} kind "trade", "quote" or "minuteBar"
+ * @param {function(Object): any[][]} toRows Turns an event into the cell's result
+ */
+function streamToCell(invocation, ticker, kind, toRows) {
+  try {
+    if (!ticker) {
+      throw invalidValue("Missing required parameter: ticker");
+    }
+    if (getFixtureMode() === "replay") {
+      throw notAvailable("Streaming is not available while replaying fixtures.");
+    }
+    invocation.onCanceled = subscribe(ticker, kind, {
+      onEvent: event => invocation.setResult(toRows(event)),
+      onError: message => invocation.setResult(notAvailable(message))
+    });
+  } catch (error) {
+    invocation.setResult(toExcelError(error));
+  }
+}
+
+// Snapshot bar fields by the names getLatestPrice documents.
+const DAY_BAR_FIELDS = { open: "o", high: "h", low: "l", close: "c", volume: "v", vwap: "vw" };
+
+/**
+ * Keeps a ticker's latest price up to date by polling Polygon's snapshot, for plans without WebSocket access. Updates pause outside market hours.
+ * @customfunction
+ * @streaming
+ * @param {string} ticker The stock ticker symbol (e.g., "AAPL").
+ * @param {string} [property] Optional field of today's bar to return instead of the last trade price ("open", "high", "low", "close", "volume" or "vwap").
+ * @param {CustomFunctions.StreamingInvocation<number>} invocation The streaming invocation.
+ */
+export function streamLatestPrice(ticker, property, invocation) {
+  const field = property ? DAY_BAR_FIELDS[String(property).toLowerCase()] || property : null;
+  pollToCell(invocation, listener => watchSnapshot(ticker, listener), snapshot => {
+    const dailyBar = snapshot.day || {};
+    if (field) {
+      if (dailyBar[field] === undefined) {
+        throw invalidValue("Property not found.");
+      }
+      return dailyBar[field];
+    }
+    const price = snapshot.lastTrade?.p ?? dailyBar.c ?? snapshot.prevDay?.c;
+    if (price === undefined) {
+      throw notAvailable("No price in the snapshot.");
+    }
+    return price;
+  });
+}
+
+/**
+ * Keeps a ticker's snapshot up to date by polling, for plans without WebSocket access. All tickers on the sheet share one request per refresh.
+ * @customfunction
+ * @streaming
+ * @param {string} ticker The stock ticker symbol (e.g., "AAPL").
+ * @param {CustomFunctions.StreamingInvocation<any[][]>} invocation The streaming invocation.
+ */
+export function streamSnapshotTicker(ticker, invocation) {
+  pollToCell(invocation, listener => watchSnapshot(ticker, listener), toSnapshotRows);
+}
+
+/**
+ * Keeps the market status up to date by polling Polygon.io.
+ * @customfunction
+ * @streaming
+ * @param {string} [market="us"] The market to check (e.g., "us", "nyse", "nasdaq").
+ * @param {CustomFunctions.StreamingInvocation<string>} invocation The streaming invocation.
+ */
+export function streamMarketStatus(market = "us", invocation) {
+  pollToCell(invocation, watchMarketStatus, data => pickMarketStatus(data, market || "us"));
+}
+
+/**
+ * Feeds a streaming cell from the polling feed until Excel cancels it
+ * @private
+ * @param {CustomFunctions.StreamingInvocation<any>} invocation The streaming invocation
+ * @param {function(Object): function(): void} watch Starts watching with a listener and returns the cancel function
+ * @param {function(Object): any} toResult Turns the polled data into the cell's result
+ */
+function pollToCell(invocation, watch, toResult) {
+  const setError = error => invocation.setResult(toExcelError(error || notAvailable("No data returned from API.")));
+  try {
+    if (getFixtureMode() === "replay") {
+      throw notAvailable("Live refresh is not available while replaying fixtures.");
+    }
+    invocation.onCanceled = watch({
+      onData: data => {
+        try {
+          invocation.setResult(toResult(data));
+        } catch (error) {
+          setError(error);
+        }
+      },
+      onError: setError
+    });
+  } catch (error) {
+    setError(error);
   }
-}
\ No newline at end of file
+}
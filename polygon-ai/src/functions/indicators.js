@@ -0,0 +1,930 @@
+import { formatDate } from "./dates";
+
+// Technical studies for getTechnicalIndicator. Each takes Polygon aggregate bars
+// ({t, o, h, l, c, v, vw}) in time order and returns a value or a row of values per bar, null
+// until the study has enough bars, so the results line up with the bars' dates.
+
+// Prices a moving average or oscillator can be computed from, by source name.
+const PRICE_SOURCES = {
+  close: (bar) => bar.c,
+  hl2: (bar) => (bar.h + bar.l) / 2,
+  hlc3: (bar) => getTypicalPrice(bar),
+  ohlc4: (bar) => (bar.o + bar.h + bar.l + bar.c) / 4,
+  vwap: (bar) => getBarPrice(bar),
+};
+
+// How RSI averages gains and losses: a simple rolling mean, Wilder's smoothing as charting
+// platforms use, or an exponential average.
+const RSI_SMOOTHING = {
+  sma: (values, period) => calculateMovingAverage(values, period),
+  wilder: (values, period) => calculateExponentialAverage(values, 1 / period, period),
+  ema: (values, period) => calculateExponentialAverage(values, 2 / (period + 1), period),
+};
+
+// An exponential average counts as warmed up once its seed weighs less than this in the value.
+const SEED_WEIGHT = 0.001;
+
+const PERIOD = { name: "period", integer: true };
+const SOURCE = { name: "source", choices: Object.keys(PRICE_SOURCES), value: "close" };
+
+const ADX_STUDY = {
+  params: [{ ...PERIOD, value: 14 }],
+  minBars: ([period]) => 2 * period,
+  warmUp: ([period]) => 2 * period - 1 + 2 * getSettlingBars(1 / period),
+  columns: ([period]) => [`ADX(${period})`, "+DI", "-DI"],
+  calculate: calculateADX,
+};
+
+/**
+ * Studies by upper-case name. params lists the parameters with their defaults: numbers follow
+ * the name in order (e.g., "MACD(8,21,5)"), and a parameter with choices takes any of them in
+ * any position (e.g., "RSI(14,wilder)"); a leading period parameter comes from the period
+ * argument when the name gives no numbers. usesVolume marks studies that need volume, minBars is
+ * the lookback the first value needs, warmUp the bars before a date that make its value the same
+ * as from a long history (minBars - 1 when not given), and columns labels the value columns.
+ * @type {Object<string, {params: Object[], usesVolume: boolean,
+ * minBars: function(Array): number, warmUp: function(Array): number,
+ * columns: function(Array): string[],
+ * calculate: function(Object[], Array, string): Array<number|Array|null>}>}
+ */
+export const BAR_STUDIES = {
+  SMA: {
+    params: [{ ...PERIOD, value: 14 }, SOURCE],
+    minBars: ([period]) => period,
+    columns: ([period, source]) => [formatSpec("SMA", period, source)],
+    calculate: (bars, [period, source]) => calculateMovingAverage(getPrices(bars, source), period),
+  },
+  EMA: {
+    params: [{ ...PERIOD, value: 14 }, SOURCE],
+    minBars: ([period]) => period,
+    warmUp: ([period]) => period - 1 + getSettlingBars(2 / (period + 1)),
+    columns: ([period, source]) => [formatSpec("EMA", period, source)],
+    calculate: (bars, [period, source]) =>
+      calculateExponentialAverage(getPrices(bars, source), 2 / (period + 1), period),
+  },
+  RSI: {
+    params: [
+      { ...PERIOD, value: 14 },
+      { name: "smoothing", choices: Object.keys(RSI_SMOOTHING), value: "sma" },
+      SOURCE,
+    ],
+    minBars: ([period]) => period + 1,
+    warmUp: ([period, smoothing]) =>
+      period + (smoothing === "sma" ? 0 : getSettlingBars(getSmoothingWeight(smoothing, period))),
+    columns: ([period, smoothing, source]) => [
+      formatSpec("RSI", period, smoothing === "sma" ? null : smoothing, source),
+    ],
+    calculate: (bars, [period, smoothing, source]) =>
+      calculateRSI(getPrices(bars, source), period, smoothing),
+  },
+  MACD: {
+    params: [
+      { name: "fast", integer: true, value: 12 },
+      { name: "slow", integer: true, value: 26 },
+      { name: "signal", integer: true, value: 9 },
+      SOURCE,
+    ],
+    minBars: ([, slow, signal]) => slow + signal - 1,
+    warmUp: ([, slow, signal]) =>
+      slow + signal - 2 + getSettlingBars(2 / (slow + 1)) + getSettlingBars(2 / (signal + 1)),
+    columns: () => ["MACD Line", "Signal Line", "Histogram"],
+    calculate: calculateMACD,
+  },
+  OBV: {
+    params: [],
+    usesVolume: true,
+    minBars: () => 1,
+    columns: () => ["OBV"],
+    calculate: calculateOBV,
+  },
+  VWAP: {
+    params: [],
+    usesVolume: true,
+    minBars: () => 1,
+    columns: () => ["VWAP"],
+    calculate: calculateSessionVWAP,
+  },
+  AVWAP: {
+    params: [],
+    usesVolume: true,
+    minBars: () => 1,
+    columns: () => ["Anchored VWAP"],
+    calculate: calculateAnchoredVWAP,
+  },
+  MFI: {
+    params: [{ ...PERIOD, value: 14 }],
+    usesVolume: true,
+    minBars: ([period]) => period + 1,
+    columns: ([period]) => [`MFI(${period})`],
+    calculate: calculateMFI,
+  },
+  AD: {
+    params: [],
+    usesVolume: true,
+    minBars: () => 1,
+    columns: () => ["A/D"],
+    calculate: calculateAD,
+  },
+  CMF: {
+    params: [{ ...PERIOD, value: 14 }],
+    usesVolume: true,
+    minBars: ([period]) => period,
+    columns: ([period]) => [`CMF(${period})`],
+    calculate: calculateCMF,
+  },
+  VOLSMA: {
+    params: [{ ...PERIOD, value: 14 }],
+    usesVolume: true,
+    minBars: ([period]) => period,
+    columns: ([period]) => [`Volume SMA(${period})`],
+    calculate: calculateVolumeSMA,
+  },
+  ADX: ADX_STUDY,
+  DMI: ADX_STUDY,
+  PSAR: {
+    params: [
+      { name: "step", value: 0.02 },
+      { name: "max", value: 0.2 },
+    ],
+    minBars: () => 2,
+    columns: ([step, max]) => [`PSAR(${step},${max})`, "Trend"],
+    calculate: calculatePSAR,
+  },
+  SUPERTREND: {
+    params: [
+      { ...PERIOD, value: 10 },
+      { name: "multiplier", value: 3 },
+    ],
+    minBars: ([period]) => period,
+    warmUp: ([period]) => period + getSettlingBars(1 / period),
+    columns: ([period, multiplier]) => [`Supertrend(${period},${multiplier})`, "Trend"],
+    calculate: calculateSupertrend,
+  },
+  ICHIMOKU: {
+    params: [
+      { name: "conversion", integer: true, value: 9 },
+      { name: "base", integer: true, value: 26 },
+      { name: "spanB", integer: true, value: 52 },
+    ],
+    minBars: ([conversion]) => conversion,
+    // Senkou Span B is plotted base periods ahead of the bars it is drawn from.
+    warmUp: ([, base, spanB]) => spanB + base - 2,
+    columns: () => ["Tenkan-sen", "Kijun-sen", "Senkou Span A", "Senkou Span B", "Chikou Span"],
+    calculate: calculateIchimoku,
+  },
+  STOCH: {
+    params: [
+      { ...PERIOD, value: 14 },
+      { name: "smoothing", integer: true, value: 3 },
+      { name: "signal", integer: true, value: 3 },
+    ],
+    minBars: ([period, smoothing, signal]) => period + smoothing + signal - 2,
+    columns: ([period, smoothing, signal]) => [
+      `Slow %K(${period},${smoothing})`,
+      `Slow %D(${signal})`,
+    ],
+    calculate: calculateSlowStochastic,
+  },
+  STOCHF: {
+    params: [
+      { ...PERIOD, value: 14 },
+      { name: "signal", integer: true, value: 3 },
+    ],
+    minBars: ([period, signal]) => period + signal - 1,
+    columns: ([period, signal]) => [`Fast %K(${period})`, `Fast %D(${signal})`],
+    calculate: calculateFastStochastic,
+  },
+  WILLR: {
+    params: [{ ...PERIOD, value: 14 }],
+    minBars: ([period]) => period,
+    columns: ([period]) => [`Williams %R(${period})`],
+    calculate: calculateWilliamsR,
+  },
+  CCI: {
+    params: [{ ...PERIOD, value: 20 }],
+    minBars: ([period]) => period,
+    columns: ([period]) => [`CCI(${period})`],
+    calculate: calculateCCI,
+  },
+  ROC: {
+    params: [{ ...PERIOD, value: 12 }],
+    minBars: ([period]) => period + 1,
+    columns: ([period]) => [`ROC(${period})`],
+    calculate: calculateROC,
+  },
+  STOCHRSI: {
+    params: [
+      { ...PERIOD, value: 14 },
+      { name: "stochPeriod", integer: true, value: 14 },
+      { name: "smoothing", integer: true, value: 3 },
+      { name: "signal", integer: true, value: 3 },
+    ],
+    minBars: ([period, stochPeriod, smoothing, signal]) =>
+      period + stochPeriod + smoothing + signal - 2,
+    warmUp: ([period, stochPeriod, smoothing, signal]) =>
+      period + stochPeriod + smoothing + signal - 3 + getSettlingBars(1 / period),
+    columns: ([period, stochPeriod]) => [`StochRSI %K(${period},${stochPeriod})`, "StochRSI %D"],
+    calculate: calculateStochasticRSI,
+  },
+};
+
+/**
+ * Looks up a study by name, with parameters in parentheses when they differ from the defaults:
+ * "MFI", "MACD(8,21,5)", "RSI(14,wilder)", "EMA(50,hlc3)".
+ * @param {string} indicator The indicator argument.
+ * @param {number} [period] The period argument, for a study whose first parameter is its period.
+ * @returns {{name: string, study: Object, params: Array}|null} The study and its parameters, or
+ * null when there is no such study.
+ * @throws {RangeError} When the parameters are not ones the study accepts.
+ */
+export function parseStudy(indicator, period) {
+  const match = /^\s*([A-Za-z]+)\s*(?:\(([^)]*)\))?\s*$/.exec(String(indicator));
+  const name = match ? match[1].toUpperCase() : "";
+  const study = BAR_STUDIES[name];
+  if (!study) {
+    return null;
+  }
+  const given = match[2] && match[2].trim() ? match[2].split(",").map((text) => text.trim()) : [];
+  const numeric = study.params.filter((param) => !param.choices);
+  const numbers = given.filter((text) => !/^[A-Za-z]/.test(text));
+  if (numbers.length > numeric.length) {
+    throw new RangeError(
+      numeric.length === 0
+        ? `${name} takes no numeric parameters.`
+        : `${name} takes up to ${numeric.length} numbers: ` +
+          `${numeric.map((param) => param.name).join(", ")}.`
+    );
+  }
+
+  const values = new Map();
+  given
+    .filter((text) => /^[A-Za-z]/.test(text))
+    .forEach((text) => {
+      const option = text.toLowerCase();
+      const param = study.params.find((item) => item.choices && item.choices.includes(option));
+      if (!param) {
+        const options = study.params.flatMap((item) => item.choices || []);
+        throw new RangeError(
+          options.length === 0
+            ? `${name} takes no options such as "${text}".`
+            : `Unknown ${name} option "${text}". Use ${options.join(", ")}.`
+        );
+      }
+      values.set(param, option);
+    });
+  numbers.forEach((text, i) => values.set(numeric[i], text === "" ? NaN : Number(text)));
+  const first = study.params[0];
+  if (numbers.length === 0 && first && first.name === "period" && period != null) {
+    values.set(first, period);
+  }
+
+  const params = study.params.map((param) => {
+    const value = values.has(param) ? values.get(param) : param.value;
+    if (!param.choices && (!(value > 0) || (param.integer && !Number.isInteger(value)))) {
+      throw new RangeError(
+        `${name} ${param.name} must be a positive ${param.integer ? "whole number" : "number"}.`
+      );
+    }
+    return value;
+  });
+  return { name, study, params };
+}
+
+/**
+ * Checks that bars have the prices, and if the study needs it the volume, the studies use.
+ * @param {Object[]} bars Aggregate bars.
+ * @param {boolean} [usesVolume] Whether the study needs volume; index bars have none.
+ * @throws {RangeError} When a bar lacks an open, high, low or close, or a needed volume.
+ */
+export function checkBars(bars, usesVolume) {
+  const index = bars.findIndex((bar) =>
+    [bar.o, bar.h, bar.l, bar.c, ...(usesVolume ? [bar.v] : [])].some(
+      (value) => typeof value !== "number" || isNaN(value)
+    )
+  );
+  if (index >= 0) {
+    throw new RangeError(`Invalid bar data at position ${index}.`);
+  }
+}
+
+/**
+ * Returns how many bars to load before the first date wanted, so its value is the same as one
+ * computed from a long history rather than still warming up.
+ * @param {{study: Object, params: Array}} barStudy The study and its parameters, from parseStudy.
+ * @returns {number} The number of bars.
+ */
+export function getWarmUpBars({ study, params }) {
+  return study.warmUp ? study.warmUp(params) : study.minBars(params) - 1;
+}
+
+/**
+ * Returns how many values it takes an exponential average to forget its seed, the simple
+ * average it starts from.
+ * @param {number} alpha The weight of each new value: 2 / (period + 1) for an EMA, 1 / period
+ * for Wilder's smoothing.
+ * @returns {number} The number of values after the seed.
+ */
+export function getSettlingBars(alpha) {
+  return Math.ceil(Math.log(SEED_WEIGHT) / Math.log(1 - alpha));
+}
+
+/**
+ * Moving average convergence/divergence: the fast EMA less the slow EMA, its EMA as the signal
+ * line, and the difference between them.
+ * @param {Object[]} bars Aggregate bars.
+ * @param {Array} params The fast, slow and signal periods and the price source.
+ * @returns {Array<number[]|null>} MACD, signal and histogram for each bar once the signal line
+ * has its lookback.
+ * @throws {RangeError} When the slow period is not longer than the fast one.
+ */
+function calculateMACD(bars, [fast, slow, signal, source]) {
+  if (slow <= fast) {
+    throw new RangeError("MACD slow period must be greater than the fast period.");
+  }
+  const prices = getPrices(bars, source);
+  const fastLine = calculateExponentialAverage(prices, 2 / (fast + 1), fast);
+  const slowLine = calculateExponentialAverage(prices, 2 / (slow + 1), slow);
+  const macd = slowLine.map((value, i) => (value === null ? null : fastLine[i] - value));
+  const signalLine = calculateExponentialAverage(macd, 2 / (signal + 1), signal);
+  return macd.map((value, i) =>
+    signalLine[i] === null ? null : [value, signalLine[i], value - signalLine[i]]
+  );
+}
+
+/**
+ * Relative strength index, from 0 to 100.
+ * @param {Array<number|null>} prices The prices.
+ * @param {number} period The period.
+ * @param {string} smoothing How gains and losses are averaged, a key of RSI_SMOOTHING.
+ * @returns {Array<number|null>} RSI for each price from the period-th change on.
+ */
+function calculateRSI(prices, period, smoothing) {
+  const changes = prices.map((price, i) =>
+    i === 0 || price === null || prices[i - 1] === null ? null : price - prices[i - 1]
+  );
+  const average = RSI_SMOOTHING[smoothing];
+  const gains = average(
+    changes.map((change) => (change === null ? null : Math.max(change, 0))),
+    period
+  );
+  const losses = average(
+    changes.map((change) => (change === null ? null : Math.max(-change, 0))),
+    period
+  );
+  return gains.map((gain, i) => {
+    if (gain === null) {
+      return null;
+    }
+    return losses[i] === 0 ? 100 : 100 - 100 / (1 + gain / losses[i]);
+  });
+}
+
+/**
+ * @param {string} smoothing A key of RSI_SMOOTHING other than sma.
+ * @param {number} period The period.
+ * @returns {number} The weight of each new value in the average.
+ */
+function getSmoothingWeight(smoothing, period) {
+  return smoothing === "wilder" ? 1 / period : 2 / (period + 1);
+}
+
+/**
+ * On-balance volume: a running total that adds the volume of up closes and subtracts that of
+ * down closes, starting from zero.
+ * @param {Object[]} bars Aggregate bars.
+ * @returns {number[]} OBV for each bar.
+ */
+function calculateOBV(bars) {
+  let obv = 0;
+  return bars.map((bar, i) => {
+    if (i > 0) {
+      obv += Math.sign(bar.c - bars[i - 1].c) * bar.v;
+    }
+    return obv;
+  });
+}
+
+/**
+ * VWAP since the start of each bar's trading day. A daily bar's VWAP is its own.
+ * @param {Object[]} bars Aggregate bars.
+ * @param {number[]} params None.
+ * @param {string} timezone The timezone whose dates divide the sessions.
+ * @returns {number[]} Session VWAP for each bar.
+ */
+function calculateSessionVWAP(bars, params, timezone) {
+  let session = null;
+  let value = 0;
+  let volume = 0;
+  return bars.map((bar) => {
+    const date = formatDate(bar.t, timezone);
+    if (date !== session) {
+      session = date;
+      value = 0;
+      volume = 0;
+    }
+    value += getBarPrice(bar) * bar.v;
+    volume += bar.v;
+    return volume > 0 ? value / volume : getBarPrice(bar);
+  });
+}
+
+/**
+ * VWAP anchored at the first bar, so it covers everything traded since the start date.
+ * @param {Object[]} bars Aggregate bars.
+ * @returns {number[]} Anchored VWAP for each bar.
+ */
+function calculateAnchoredVWAP(bars) {
+  let value = 0;
+  let volume = 0;
+  return bars.map((bar) => {
+    value += getBarPrice(bar) * bar.v;
+    volume += bar.v;
+    return volume > 0 ? value / volume : getBarPrice(bar);
+  });
+}
+
+/**
+ * Money Flow Index: RSI computed on typical price times volume, from 0 to 100.
+ * @param {Object[]} bars Aggregate bars.
+ * @param {number[]} params The lookback in bars.
+ * @returns {Array<number|null>} MFI for each bar from the period-th change on.
+ */
+function calculateMFI(bars, [period]) {
+  const typical = bars.map(getTypicalPrice);
+  return bars.map((bar, i) => {
+    if (i < period) {
+      return null;
+    }
+    let positive = 0;
+    let negative = 0;
+    for (let j = i - period + 1; j <= i; j++) {
+      const flow = typical[j] * bars[j].v;
+      if (typical[j] > typical[j - 1]) {
+        positive += flow;
+      } else if (typical[j] < typical[j - 1]) {
+        negative += flow;
+      }
+    }
+    return negative === 0 ? 100 : 100 - 100 / (1 + positive / negative);
+  });
+}
+
+/**
+ * Accumulation/Distribution line: a running total of each bar's volume weighted by where it
+ * closed within its range.
+ * @param {Object[]} bars Aggregate bars.
+ * @returns {number[]} A/D for each bar.
+ */
+function calculateAD(bars) {
+  let ad = 0;
+  return bars.map((bar) => {
+    ad += getMoneyFlowMultiplier(bar) * bar.v;
+    return ad;
+  });
+}
+
+/**
+ * Chaikin Money Flow: money flow volume over volume for the period, from -1 to 1.
+ * @param {Object[]} bars Aggregate bars.
+ * @param {number[]} params The lookback in bars.
+ * @returns {Array<number|null>} CMF for each bar from the period-th on.
+ */
+function calculateCMF(bars, [period]) {
+  return bars.map((bar, i) => {
+    if (i < period - 1) {
+      return null;
+    }
+    let flow = 0;
+    let volume = 0;
+    for (let j = i - period + 1; j <= i; j++) {
+      flow += getMoneyFlowMultiplier(bars[j]) * bars[j].v;
+      volume += bars[j].v;
+    }
+    return volume > 0 ? flow / volume : 0;
+  });
+}
+
+/**
+ * Simple moving average of volume.
+ * @param {Object[]} bars Aggregate bars.
+ * @param {number[]} params The lookback in bars.
+ * @returns {Array<number|null>} Average volume for each bar from the period-th on.
+ */
+function calculateVolumeSMA(bars, [period]) {
+  let sum = 0;
+  return bars.map((bar, i) => {
+    sum += bar.v;
+    if (i >= period) {
+      sum -= bars[i - period].v;
+    }
+    return i >= period - 1 ? sum / period : null;
+  });
+}
+
+/**
+ * Average Directional Index with the directional indicators, all smoothed the way Wilder
+ * described.
+ * @param {Object[]} bars Aggregate bars.
+ * @param {number[]} params The period.
+ * @returns {Array<number[]|null>} ADX, +DI and -DI for each bar once ADX has 2 × period - 1 bars.
+ */
+function calculateADX(bars, [period]) {
+  const rows = bars.map(() => null);
+  let trueRange = 0;
+  let plusMove = 0;
+  let minusMove = 0;
+  let dxSum = 0;
+  let adx = null;
+  for (let i = 1; i < bars.length; i++) {
+    const up = bars[i].h - bars[i - 1].h;
+    const down = bars[i - 1].l - bars[i].l;
+    const tr = getTrueRange(bars[i], bars[i - 1]);
+    const plus = up > down && up > 0 ? up : 0;
+    const minus = down > up && down > 0 ? down : 0;
+    // Sums over the first period, then Wilder's running smoothing.
+    const decay = i > period ? 1 - 1 / period : 1;
+    trueRange = trueRange * decay + tr;
+    plusMove = plusMove * decay + plus;
+    minusMove = minusMove * decay + minus;
+    if (i < period) {
+      continue;
+    }
+
+    const plusDI = trueRange > 0 ? (100 * plusMove) / trueRange : 0;
+    const minusDI = trueRange > 0 ? (100 * minusMove) / trueRange : 0;
+    const dx = plusDI + minusDI > 0 ? (100 * Math.abs(plusDI - minusDI)) / (plusDI + minusDI) : 0;
+    if (i < 2 * period - 1) {
+      dxSum += dx;
+      continue;
+    }
+    adx = adx === null ? (dxSum + dx) / period : (adx * (period - 1) + dx) / period;
+    rows[i] = [adx, plusDI, minusDI];
+  }
+  return rows;
+}
+
+/**
+ * Parabolic SAR, which trails the trend and flips sides when price crosses it.
+ * @param {Object[]} bars Aggregate bars.
+ * @param {number[]} params The acceleration step and its maximum.
+ * @returns {Array<Array|null>} SAR and trend ("Up" or "Down") for each bar from the second on.
+ */
+function calculatePSAR(bars, [step, max]) {
+  const rows = bars.map(() => null);
+  if (bars.length < 2) {
+    return rows;
+  }
+  let rising = bars[1].c >= bars[0].c;
+  let sar = rising ? bars[0].l : bars[0].h;
+  let extreme = rising ? bars[0].h : bars[0].l;
+  let acceleration = step;
+  for (let i = 1; i < bars.length; i++) {
+    const bar = bars[i];
+    const before = [bars[i - 1], bars[Math.max(i - 2, 0)]];
+    sar += acceleration * (extreme - sar);
+    if (rising) {
+      // The SAR never moves into the two bars before.
+      sar = Math.min(sar, ...before.map((previous) => previous.l));
+      if (bar.l < sar) {
+        rising = false;
+        sar = extreme;
+        extreme = bar.l;
+        acceleration = step;
+      } else if (bar.h > extreme) {
+        extreme = bar.h;
+        acceleration = Math.min(acceleration + step, max);
+      }
+    } else {
+      sar = Math.max(sar, ...before.map((previous) => previous.h));
+      if (bar.h > sar) {
+        rising = true;
+        sar = extreme;
+        extreme = bar.h;
+        acceleration = step;
+      } else if (bar.l < extreme) {
+        extreme = bar.l;
+        acceleration = Math.min(acceleration + step, max);
+      }
+    }
+    rows[i] = [sar, rising ? "Up" : "Down"];
+  }
+  return rows;
+}
+
+/**
+ * Supertrend: a band a multiple of ATR below the price in an uptrend, or above it in a
+ * downtrend, that only moves with the trend.
+ * @param {Object[]} bars Aggregate bars.
+ * @param {number[]} params The ATR period and the multiplier.
+ * @returns {Array<Array|null>} Supertrend and trend ("Up" or "Down") for each bar once ATR has
+ * a period of bars.
+ */
+function calculateSupertrend(bars, [period, multiplier]) {
+  const atr = calculateWilderATR(bars, period);
+  const rows = bars.map(() => null);
+  let upper = null;
+  let lower = null;
+  let rising = true;
+  bars.forEach((bar, i) => {
+    if (atr[i] === null) {
+      return;
+    }
+    const middle = (bar.h + bar.l) / 2;
+    const basicUpper = middle + multiplier * atr[i];
+    const basicLower = middle - multiplier * atr[i];
+    const previousClose = bars[i - 1] ? bars[i - 1].c : bar.c;
+    upper = upper === null || basicUpper < upper || previousClose > upper ? basicUpper : upper;
+    lower = lower === null || basicLower > lower || previousClose < lower ? basicLower : lower;
+    if (rising && bar.c < lower) {
+      rising = false;
+    } else if (!rising && bar.c > upper) {
+      rising = true;
+    }
+    rows[i] = [rising ? lower : upper, rising ? "Up" : "Down"];
+  });
+  return rows;
+}
+
+/**
+ * Ichimoku Kinko Hyo. The cloud spans are shown on the bar they are plotted against, base
+ * periods after the bar they were computed on, and the lagging span shows the close base
+ * periods later, so the last bars have none.
+ * @param {Object[]} bars Aggregate bars.
+ * @param {number[]} params The conversion, base and leading span B periods.
+ * @returns {Array<Array|null>} Tenkan-sen, Kijun-sen, Senkou Span A, Senkou Span B and Chikou
+ * Span for each bar once the conversion line has a period of bars; parts not yet available are
+ * null.
+ */
+function calculateIchimoku(bars, [conversion, base, spanB]) {
+  const midpoint = (i, period) => {
+    if (i < period - 1) {
+      return null;
+    }
+    const window = bars.slice(i - period + 1, i + 1);
+    return (Math.max(...window.map((bar) => bar.h)) + Math.min(...window.map((bar) => bar.l))) / 2;
+  };
+  const tenkan = bars.map((bar, i) => midpoint(i, conversion));
+  const kijun = bars.map((bar, i) => midpoint(i, base));
+  const spanA = bars.map((bar, i) =>
+    tenkan[i] === null || kijun[i] === null ? null : (tenkan[i] + kijun[i]) / 2
+  );
+  const spanBLine = bars.map((bar, i) => midpoint(i, spanB));
+
+  return bars.map((bar, i) => {
+    if (tenkan[i] === null) {
+      return null;
+    }
+    const plotted = i - base;
+    return [
+      tenkan[i],
+      kijun[i],
+      plotted >= 0 ? spanA[plotted] : null,
+      plotted >= 0 ? spanBLine[plotted] : null,
+      i + base < bars.length ? bars[i + base].c : null,
+    ];
+  });
+}
+
+/**
+ * Slow stochastic: the fast %K smoothed, and a signal line averaging that, from 0 to 100.
+ * @param {Object[]} bars Aggregate bars.
+ * @param {number[]} params The %K lookback, its smoothing and the %D period.
+ * @returns {Array<number[]|null>} Slow %K and %D for each bar once %D has its lookback.
+ */
+function calculateSlowStochastic(bars, [period, smoothing, signal]) {
+  const fastK = calculateStochastic(
+    bars.map((bar) => bar.c),
+    bars.map((bar) => bar.h),
+    bars.map((bar) => bar.l),
+    period
+  );
+  const slowK = calculateMovingAverage(fastK, smoothing);
+  return pairWithSignal(slowK, signal);
+}
+
+/**
+ * Fast stochastic: where the close sits in the lookback's range, and its moving average.
+ * @param {Object[]} bars Aggregate bars.
+ * @param {number[]} params The %K lookback and the %D period.
+ * @returns {Array<number[]|null>} Fast %K and %D for each bar once %D has its lookback.
+ */
+function calculateFastStochastic(bars, [period, signal]) {
+  const fastK = calculateStochastic(
+    bars.map((bar) => bar.c),
+    bars.map((bar) => bar.h),
+    bars.map((bar) => bar.l),
+    period
+  );
+  return pairWithSignal(fastK, signal);
+}
+
+/**
+ * Williams %R: how far the close is below the lookback's high, from -100 to 0.
+ * @param {Object[]} bars Aggregate bars.
+ * @param {number[]} params The lookback in bars.
+ * @returns {Array<number|null>} %R for each bar from the period-th on.
+ */
+function calculateWilliamsR(bars, [period]) {
+  return calculateStochastic(
+    bars.map((bar) => bar.c),
+    bars.map((bar) => bar.h),
+    bars.map((bar) => bar.l),
+    period
+  ).map((value) => (value === null ? null : value - 100));
+}
+
+/**
+ * Commodity Channel Index: the typical price's distance from its average, in units of 1.5%
+ * of the mean deviation.
+ * @param {Object[]} bars Aggregate bars.
+ * @param {number[]} params The lookback in bars.
+ * @returns {Array<number|null>} CCI for each bar from the period-th on.
+ */
+function calculateCCI(bars, [period]) {
+  const typical = bars.map(getTypicalPrice);
+  return typical.map((price, i) => {
+    if (i < period - 1) {
+      return null;
+    }
+    const window = typical.slice(i - period + 1, i + 1);
+    const mean = window.reduce((sum, value) => sum + value, 0) / period;
+    const deviation = window.reduce((sum, value) => sum + Math.abs(value - mean), 0) / period;
+    return deviation === 0 ? 0 : (price - mean) / (0.015 * deviation);
+  });
+}
+
+/**
+ * Rate of change over the period, as a fraction like the add-in's other percentages.
+ * @param {Object[]} bars Aggregate bars.
+ * @param {number[]} params The lookback in bars.
+ * @returns {Array<number|null>} The change for each bar from the period-th change on.
+ */
+function calculateROC(bars, [period]) {
+  return bars.map((bar, i) =>
+    i < period || bars[i - period].c === 0 ? null : bar.c / bars[i - period].c - 1
+  );
+}
+
+/**
+ * Stochastic RSI: the stochastic of Wilder's RSI, smoothed, with a signal line, from 0 to 100.
+ * @param {Object[]} bars Aggregate bars.
+ * @param {number[]} params The RSI period, the stochastic lookback, the %K smoothing and the %D
+ * period.
+ * @returns {Array<number[]|null>} %K and %D for each bar once %D has its lookback.
+ */
+function calculateStochasticRSI(bars, [period, stochPeriod, smoothing, signal]) {
+  const rsi = calculateRSI(
+    bars.map((bar) => bar.c),
+    period,
+    "wilder"
+  );
+  const stochastic = calculateStochastic(rsi, rsi, rsi, stochPeriod);
+  return pairWithSignal(calculateMovingAverage(stochastic, smoothing), signal);
+}
+
+/**
+ * Where each value sits within the highest high and lowest low of the lookback, from 0 to 100;
+ * 50 when the range is flat.
+ * @param {Array<number|null>} values The values placed in the range.
+ * @param {Array<number|null>} highs The highs.
+ * @param {Array<number|null>} lows The lows.
+ * @param {number} period The lookback.
+ * @returns {Array<number|null>} The position, once the lookback has no missing values.
+ */
+function calculateStochastic(values, highs, lows, period) {
+  return values.map((value, i) => {
+    const windowHighs = highs.slice(Math.max(i - period + 1, 0), i + 1);
+    const windowLows = lows.slice(Math.max(i - period + 1, 0), i + 1);
+    if (
+      i < period - 1 ||
+      value === null ||
+      windowHighs.includes(null) ||
+      windowLows.includes(null)
+    ) {
+      return null;
+    }
+    const highest = Math.max(...windowHighs);
+    const lowest = Math.min(...windowLows);
+    return highest === lowest ? 50 : (100 * (value - lowest)) / (highest - lowest);
+  });
+}
+
+/**
+ * Simple moving average of a series that starts with missing values.
+ * @param {Array<number|null>} values The series.
+ * @param {number} period The period.
+ * @returns {Array<number|null>} The average, once a period of values is available.
+ */
+function calculateMovingAverage(values, period) {
+  return values.map((value, i) => {
+    const window = values.slice(Math.max(i - period + 1, 0), i + 1);
+    if (i < period - 1 || window.includes(null)) {
+      return null;
+    }
+    return window.reduce((sum, item) => sum + item, 0) / period;
+  });
+}
+
+/**
+ * Pairs a line with its moving-average signal line.
+ * @param {Array<number|null>} line The line.
+ * @param {number} signal The signal period.
+ * @returns {Array<number[]|null>} The line and signal for each value once the signal has one.
+ */
+function pairWithSignal(line, signal) {
+  const signalLine = calculateMovingAverage(line, signal);
+  return line.map((value, i) => (signalLine[i] === null ? null : [value, signalLine[i]]));
+}
+
+/**
+ * Exponential average of a series that starts with missing values, seeded with the simple
+ * average of its first period of values.
+ * @param {Array<number|null>} values The series.
+ * @param {number} alpha The weight of each new value: 2 / (period + 1) for an EMA, 1 / period
+ * for Wilder's smoothing.
+ * @param {number} period The period of the seed average.
+ * @returns {Array<number|null>} The average, once a period of values is available.
+ */
+function calculateExponentialAverage(values, alpha, period) {
+  const seed = calculateMovingAverage(values, period);
+  let average = null;
+  return values.map((value, i) => {
+    if (average === null) {
+      average = seed[i];
+    } else if (value !== null) {
+      average += alpha * (value - average);
+    }
+    return average;
+  });
+}
+
+/**
+ * @param {Object[]} bars Aggregate bars.
+ * @param {string} source A key of PRICE_SOURCES.
+ * @returns {number[]} The source price of each bar.
+ */
+function getPrices(bars, source) {
+  return bars.map(PRICE_SOURCES[source]);
+}
+
+/**
+ * Labels a study with its parameters, leaving out the default close source.
+ * @param {string} name The study name.
+ * @param {...(number|string|null)} params The parameters; null ones are left out.
+ * @returns {string} The label (e.g., "RSI(14,wilder)").
+ */
+function formatSpec(name, ...params) {
+  return `${name}(${params.filter((param) => param !== null && param !== "close").join(",")})`;
+}
+
+/**
+ * Average true range with Wilder's smoothing, starting from the average of the first period.
+ * @param {Object[]} bars Aggregate bars.
+ * @param {number} period The period.
+ * @returns {Array<number|null>} ATR for each bar from the period-th on.
+ */
+function calculateWilderATR(bars, period) {
+  let atr = 0;
+  return bars.map((bar, i) => {
+    const tr = i === 0 ? bar.h - bar.l : getTrueRange(bar, bars[i - 1]);
+    if (i < period - 1) {
+      atr += tr;
+      return null;
+    }
+    atr = i === period - 1 ? (atr + tr) / period : (atr * (period - 1) + tr) / period;
+    return atr;
+  });
+}
+
+/**
+ * @param {Object} bar An aggregate bar.
+ * @param {Object} previous The bar before it.
+ * @returns {number} The bar's range, extended to the previous close across a gap.
+ */
+function getTrueRange(bar, previous) {
+  return Math.max(bar.h - bar.l, Math.abs(bar.h - previous.c), Math.abs(bar.l - previous.c));
+}
+
+/**
+ * @param {Object} bar An aggregate bar.
+ * @returns {number} The bar's VWAP, or its typical price when Polygon sent none.
+ */
+function getBarPrice(bar) {
+  return typeof bar.vw === "number" ? bar.vw : getTypicalPrice(bar);
+}
+
+/**
+ * @param {Object} bar An aggregate bar.
+ * @returns {number} The average of the high, low and close.
+ */
+function getTypicalPrice(bar) {
+  return (bar.h + bar.l + bar.c) / 3;
+}
+
+/**
+ * @param {Object} bar An aggregate bar.
+ * @returns {number} Where the close sits in the bar's range, from -1 at the low to 1 at the high.
+ */
+function getMoneyFlowMultiplier(bar) {
+  return bar.h === bar.l ? 0 : (bar.c - bar.l - (bar.h - bar.c)) / (bar.h - bar.l);
+}
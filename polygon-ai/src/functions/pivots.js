@@ -0,0 +1,114 @@
+import { addDays, formatBarTime, getDayOfWeek } from "./dates";
+
+// Pivot levels for getPivotPoints. Each method takes one bar's open, high, low and close (a day,
+// week or month rolled up from daily bars) and gives the levels traders use in the next period.
+
+export const PIVOT_TIMEFRAMES = ["daily", "weekly", "monthly"];
+
+/**
+ * Pivot methods by lower-case name, each returning [label, value] pairs in display order.
+ * @type {Object<string, function({o: number, h: number, l: number, c: number}): Array<Array>>}
+ */
+export const PIVOT_METHODS = {
+  standard: ({ h: high, l: low, c: close }) => {
+    const pp = (high + low + close) / 3;
+    return [
+      ["Pivot Point", pp],
+      ["Resistance 1", 2 * pp - low],
+      ["Resistance 2", pp + (high - low)],
+      ["Resistance 3", high + 2 * (pp - low)],
+      ["Support 1", 2 * pp - high],
+      ["Support 2", pp - (high - low)],
+      ["Support 3", low - 2 * (high - pp)],
+    ];
+  },
+  fibonacci: ({ h: high, l: low, c: close }) => {
+    const pp = (high + low + close) / 3;
+    return [
+      ["Pivot Point", pp],
+      ["Resistance 1 (38.2%)", pp + 0.382 * (high - low)],
+      ["Resistance 2 (61.8%)", pp + 0.618 * (high - low)],
+      ["Resistance 3 (100%)", pp + 1.0 * (high - low)],
+      ["Support 1 (38.2%)", pp - 0.382 * (high - low)],
+      ["Support 2 (61.8%)", pp - 0.618 * (high - low)],
+      ["Support 3 (100%)", pp - 1.0 * (high - low)],
+    ];
+  },
+  woodie: ({ h: high, l: low, c: close }) => {
+    const pp = (high + low + 2 * close) / 4;
+    return [
+      ["Pivot Point", pp],
+      ["Resistance 1", 2 * pp - low],
+      ["Resistance 2", pp + high - low],
+      ["Support 1", 2 * pp - high],
+      ["Support 2", pp - high + low],
+    ];
+  },
+  demark: ({ o: open, h: high, l: low, c: close }) => {
+    let x;
+    if (close < open) {
+      x = high + 2 * low + close;
+    } else if (close > open) {
+      x = 2 * high + low + close;
+    } else {
+      x = high + low + 2 * close;
+    }
+    return [
+      ["Pivot Point", x / 4],
+      ["Resistance 1", x / 2 - low],
+      ["Support 1", x / 2 - high],
+    ];
+  },
+  // Camarilla levels sit around the close at fractions of the range, the fourth at half of it.
+  camarilla: ({ h: high, l: low, c: close }) => {
+    const range = (high - low) * 1.1;
+    return [
+      ["Pivot Point", (high + low + close) / 3],
+      ["Resistance 1", close + range / 12],
+      ["Resistance 2", close + range / 6],
+      ["Resistance 3", close + range / 4],
+      ["Resistance 4", close + range / 2],
+      ["Support 1", close - range / 12],
+      ["Support 2", close - range / 6],
+      ["Support 3", close - range / 4],
+      ["Support 4", close - range / 2],
+    ];
+  },
+};
+
+/**
+ * Returns the first calendar day of the period a date falls in. Weeks start on Monday.
+ * @param {string} date A date in YYYY-MM-DD format.
+ * @param {string} timeframe One of PIVOT_TIMEFRAMES.
+ * @returns {string} The period start in YYYY-MM-DD format.
+ */
+export function getPeriodStart(date, timeframe) {
+  if (timeframe === "weekly") {
+    return addDays(date, -((getDayOfWeek(date) + 6) % 7));
+  }
+  return timeframe === "monthly" ? `${date.slice(0, 7)}-01` : date;
+}
+
+/**
+ * Rolls daily bars up into one bar per period.
+ * @param {Object[]} bars Daily aggregate bars in time order.
+ * @param {string} timeframe One of PIVOT_TIMEFRAMES.
+ * @returns {Array<{period: string, date: string, o: number, h: number, l: number, c: number}>}
+ * A bar per period in time order, with the period start and the date of its first session.
+ */
+export function resampleBars(bars, timeframe) {
+  const periods = [];
+  bars.forEach((bar) => {
+    const date = formatBarTime(bar.t, "day");
+    const period = getPeriodStart(date, timeframe);
+    const last = periods[periods.length - 1];
+    if (last && last.period === period) {
+      last.h = Math.max(last.h, bar.h);
+      last.l = Math.min(last.l, bar.l);
+      last.c = bar.c;
+    } else {
+      periods.push({ period, date, o: bar.o, h: bar.h, l: bar.l, c: bar.c });
+    }
+  });
+  return periods;
+}
@@ -0,0 +1,217 @@
+/* global clearTimeout, setTimeout */
+
+import { formatDate } from "./dates";
+import { polygonGet } from "./polygonClient";
+import { getNumberSetting } from "./settings";
+import { getSession, loadTradingCalendar } from "./tradingCalendar";
+
+// Live refresh over the REST API, for plans without WebSocket access. One timer serves every
+// watching cell: each tick fetches a single snapshot for all watched stock tickers and, when a
+// cell watches it, the market status. Outside the regular session nothing is fetched, apart from
+// first values for new cells and one last refresh after the closing bell.
+
+export const POLL_INTERVAL_SETTING = "polygonPollIntervalSeconds";
+export const DEFAULT_POLL_INTERVAL_SECONDS = 15;
+
+// Snapshots are cached for 15 seconds, so polling any faster would only return the same data.
+export const MIN_POLL_INTERVAL_SECONDS = 15;
+
+// Cells on a sheet register one after another as it calculates; wait so they share one request.
+const BATCH_DELAY_MS = 250;
+
+const SNAPSHOT_PATH = "/v2/snapshot/locale/us/markets/stocks/tickers";
+const STATUS_PATH = "/v1/marketstatus/now";
+
+// Requests made by the poller serve many cells and functions, so they are counted together.
+const POLL_CALLER = "(live refresh)";
+
+const snapshotWatchers = new Map();
+const statusWatchers = new Set();
+const awaitingFirstValue = new Set();
+
+let timer = null;
+let wasOpen = null;
+let calendar = null;
+let calendarDate = null;
+
+/**
+ * Watches a stock ticker's snapshot.
+ * @param {string} ticker A US stock ticker (e.g., "AAPL").
+ * @param {{onData: function(Object): void, onError: function(Error=): void}} listener Receives
+ * each snapshot, or an error (none when the ticker has no snapshot) until it has a first value
+ * and whenever the market hours cannot be checked.
+ * @returns {function(): void} Stops watching.
+ */
+export function watchSnapshot(ticker, listener) {
+  const symbol = String(ticker || "")
+    .trim()
+    .toUpperCase();
+  if (!symbol || symbol.includes(":")) {
+    throw new RangeError("Live refresh supports US stock tickers; use streamQuote for others.");
+  }
+  if (!snapshotWatchers.has(symbol)) {
+    snapshotWatchers.set(symbol, new Set());
+  }
+  snapshotWatchers.get(symbol).add(listener);
+  return startWatching(listener, () => {
+    const listeners = snapshotWatchers.get(symbol);
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      snapshotWatchers.delete(symbol);
+    }
+  });
+}
+
+/**
+ * Watches the /v1/marketstatus/now response.
+ * @param {{onData: function(Object): void, onError: function(Error=): void}} listener Receives
+ * each market status, or an error until it has a first value and whenever the market hours
+ * cannot be checked.
+ * @returns {function(): void} Stops watching.
+ */
+export function watchMarketStatus(listener) {
+  statusWatchers.add(listener);
+  return startWatching(listener, () => statusWatchers.delete(listener));
+}
+
+/**
+ * @returns {number} The poll interval in milliseconds.
+ */
+export function getPollInterval() {
+  const seconds = getNumberSetting(POLL_INTERVAL_SETTING, DEFAULT_POLL_INTERVAL_SECONDS);
+  return Math.max(seconds, MIN_POLL_INTERVAL_SECONDS) * 1000;
+}
+
+/**
+ * Queues a new listener for its first value and returns its cancel function.
+ * @param {Object} listener The listener.
+ * @param {function(): void} remove Removes the listener from its watcher list.
+ * @returns {function(): void} Stops watching.
+ */
+function startWatching(listener, remove) {
+  awaitingFirstValue.add(listener);
+  clearTimeout(timer);
+  timer = setTimeout(poll, BATCH_DELAY_MS);
+  return () => {
+    remove();
+    awaitingFirstValue.delete(listener);
+    if (snapshotWatchers.size === 0 && statusWatchers.size === 0) {
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+}
+
+/**
+ * Runs one tick, then schedules the next while anything is watched.
+ */
+async function poll() {
+  timer = null;
+  try {
+    const open = await isMarketOpen();
+    // Everything is refreshed while the market is open, and once more when it opens or closes.
+    const refreshAll = open || open !== wasOpen;
+    wasOpen = open;
+    await Promise.all([refreshSnapshots(refreshAll), refreshMarketStatus(refreshAll)]);
+  } catch (error) {
+    // The market hours could not be checked (e.g., the calendar failed to load), so nothing was
+    // refreshed; every cell shows why until a later tick succeeds.
+    snapshotWatchers.forEach((listeners) =>
+      listeners.forEach((listener) => listener.onError(error))
+    );
+    statusWatchers.forEach((listener) => listener.onError(error));
+  } finally {
+    if (!timer && (snapshotWatchers.size > 0 || statusWatchers.size > 0)) {
+      timer = setTimeout(poll, getPollInterval());
+    }
+  }
+}
+
+/**
+ * @returns {Promise<boolean>} Whether the US stock market's regular session is under way.
+ */
+async function isMarketOpen() {
+  const now = Date.now();
+  const today = formatDate(now);
+  if (calendarDate !== today) {
+    calendar = await loadTradingCalendar(POLL_CALLER);
+    calendarDate = today;
+  }
+  const session = getSession(today, calendar);
+  return Boolean(session && now >= session.open && now < session.close);
+}
+
+/**
+ * Fetches one snapshot covering every watched ticker, or only those still waiting for a value.
+ * @param {boolean} refreshAll Whether to refresh tickers that already have a value.
+ */
+async function refreshSnapshots(refreshAll) {
+  const tickers = [...snapshotWatchers.keys()].filter(
+    (ticker) =>
+      refreshAll ||
+      [...snapshotWatchers.get(ticker)].some((listener) => awaitingFirstValue.has(listener))
+  );
+  if (tickers.length === 0) {
+    return;
+  }
+
+  let snapshots;
+  try {
+    const data = await polygonGet(SNAPSHOT_PATH, { tickers: tickers.join(",") }, POLL_CALLER);
+    snapshots = new Map((data.tickers || []).map((snapshot) => [snapshot.ticker, snapshot]));
+  } catch (error) {
+    // Cells that already show data keep it; the next tick tries again.
+    tickers.forEach((ticker) => notifyFirstError(snapshotWatchers.get(ticker), error));
+    return;
+  }
+  tickers.forEach((ticker) => {
+    const listeners = snapshotWatchers.get(ticker);
+    if (!listeners) {
+      return;
+    }
+    const snapshot = snapshots.get(ticker);
+    if (snapshot) {
+      listeners.forEach((listener) => {
+        awaitingFirstValue.delete(listener);
+        listener.onData(snapshot);
+      });
+    } else {
+      notifyFirstError(listeners);
+    }
+  });
+}
+
+/**
+ * Fetches the market status for its watchers.
+ * @param {boolean} refreshAll Whether to refresh watchers that already have a value.
+ */
+async function refreshMarketStatus(refreshAll) {
+  const waiting = [...statusWatchers].some((listener) => awaitingFirstValue.has(listener));
+  if (statusWatchers.size === 0 || !(refreshAll || waiting)) {
+    return;
+  }
+  let status;
+  try {
+    status = await polygonGet(STATUS_PATH, {}, POLL_CALLER);
+  } catch (error) {
+    notifyFirstError(statusWatchers, error);
+    return;
+  }
+  statusWatchers.forEach((listener) => {
+    awaitingFirstValue.delete(listener);
+    listener.onData(status);
+  });
+}
+
+/**
+ * Reports a failure to the listeners that have no value to keep showing.
+ * @param {Set<Object>|undefined} listeners The listeners.
+ * @param {Error} [error] The failure; none when the data was simply missing.
+ */
+function notifyFirstError(listeners, error) {
+  (listeners || []).forEach((listener) => {
+    if (awaitingFirstValue.has(listener)) {
+      listener.onError(error);
+    }
+  });
+}
@@ -0,0 +1,448 @@
+/* global AbortController, clearTimeout, fetch, setTimeout, URL */
+
+import {
+  ENDPOINT_FAMILIES,
+  getEndpointFamily,
+  getEntitlements,
+  getKeyFingerprint,
+  recordEntitlement,
+} from "./entitlements";
+import {
+  PlanRequiredError,
+  PolygonHttpError,
+  PolygonNetworkError,
+  ReplayMissError,
+} from "./errors";
+import {
+  getFixtureMode,
+  getFixtureStoreName,
+  getRecordedResponse,
+  recordResponse,
+} from "./fixtureStore";
+import { getCachePolicy, getCachedResponse, storeResponse } from "./responseCache";
+import { getApiKey, getNumberSetting, getStringSetting } from "./settings";
+import { recordUsage } from "./usageMeter";
+
+// Central request layer for every call to the Polygon.io REST API. Requests are queued so the
+// add-in stays within a requests-per-minute budget, and 429/5xx responses are retried with
+// exponential backoff. Every request is counted by the usage meter under the custom function
+// that made it.
+
+export const API_BASE_URL_SETTING = "polygonApiBaseUrl";
+export const REQUESTS_PER_MINUTE_SETTING = "polygonRequestsPerMinute";
+export const REQUEST_TIMEOUT_SETTING = "polygonRequestTimeoutSeconds";
+
+// The base URL can point at a corporate proxy or at the local mock server in mock-server/.
+export const DEFAULT_API_BASE_URL = "https://api.polygon.io";
+
+// Polygon's free tier allows 5 requests per minute. A budget of 0 disables throttling.
+export const DEFAULT_REQUESTS_PER_MINUTE = 5;
+export const DEFAULT_REQUEST_TIMEOUT_SECONDS = 30;
+
+const MAX_RETRIES = 4;
+const BASE_BACKOFF_MS = 1000;
+const MAX_BACKOFF_MS = 60000;
+const WINDOW_MS = 60000;
+
+// Usage from callers that do not name themselves, and from the task pane's key and plan checks.
+const UNNAMED_CALLER = "(other)";
+const CHECK_CALLER = "(task pane checks)";
+
+// Market status is included in every plan, so it tells a rejected key from a missing entitlement.
+const KEY_CHECK_PATH = "/v1/marketstatus/now";
+
+const inFlight = new Map();
+const waiting = [];
+const sentTimestamps = [];
+let drainTimer = null;
+let pausedUntil = 0;
+
+/**
+ * Performs a GET request against the Polygon.io API and returns the parsed JSON body.
+ * Responses are served from the response cache when a fresh copy exists, and callers asking
+ * for a URL that is already being fetched share that request instead of starting another.
+ * @param {string} path The endpoint path (e.g., "/v3/reference/tickers").
+ * @param {Object} [params] Query parameters; undefined and null values are skipped.
+ * @param {string} [functionName] The custom function making the request, for the usage meter.
+ * @returns {Promise<any>} The parsed response body.
+ */
+export function polygonGet(path, params = {}, functionName = UNNAMED_CALLER) {
+  return getShared(path, buildUrl(path, params), functionName);
+}
+
+/**
+ * Performs a GET request against a list endpoint and follows Polygon's next_url cursor until
+ * maxResults rows have been collected or there are no more pages. The technical indicator
+ * endpoints, which list their rows in results.values, are paged the same way.
+ * @param {string} path The endpoint path (e.g., "/v3/reference/dividends").
+ * @param {Object} [params] Query parameters for the first page.
+ * @param {number} [maxResults=Infinity] Maximum number of results to collect.
+ * @param {string} [functionName] The custom function making the request, for the usage meter.
+ * @returns {Promise<any>} The first page's body with results (or results.values) holding every
+ * collected row.
+ */
+export async function polygonGetAll(
+  path,
+  params = {},
+  maxResults = Infinity,
+  functionName = UNNAMED_CALLER
+) {
+  const firstPage = await polygonGet(path, params, functionName);
+  const firstRows = getPageRows(firstPage);
+  if (!firstRows) {
+    return firstPage;
+  }
+
+  const results = firstRows.slice();
+  let nextUrl = firstPage.next_url;
+  while (nextUrl && results.length < maxResults) {
+    const page = await getNextPage(nextUrl, functionName);
+    results.push(...(getPageRows(page) || []));
+    nextUrl = page.next_url;
+  }
+
+  const collected = results.slice(0, maxResults);
+  if (!Array.isArray(firstPage.results)) {
+    return {
+      ...firstPage,
+      results: { ...firstPage.results, values: collected },
+      next_url: nextUrl,
+    };
+  }
+  return { ...firstPage, results: collected, resultsCount: collected.length, next_url: nextUrl };
+}
+
+/**
+ * @param {any} page A page of a list endpoint.
+ * @returns {Array|undefined} The page's rows, or undefined when it has none to page through.
+ */
+function getPageRows(page) {
+  if (Array.isArray(page.results)) {
+    return page.results;
+  }
+  return page.results && Array.isArray(page.results.values) ? page.results.values : undefined;
+}
+
+/**
+ * Sends a request straight to the API, bypassing the response cache and fixture stores, and
+ * reports the HTTP status. Used to probe which endpoint families the API key's plan includes.
+ * @param {string} path The endpoint path.
+ * @param {Object} [params] Query parameters.
+ * @param {string} [apiKey] The key to send; defaults to the key in use.
+ * @returns {Promise<number>} 200 on success, otherwise the error status (401 when no key is set).
+ */
+export async function checkEndpoint(path, params = {}, apiKey = getApiKey()) {
+  try {
+    await requestJson(buildUrl(path, params), { functionName: CHECK_CALLER, path }, apiKey);
+    return 200;
+  } catch (error) {
+    if (error instanceof PolygonHttpError) {
+      return error.status;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Checks that the API accepts a key, before it is saved.
+ * @param {string} apiKey The key to check.
+ * @returns {Promise<number>} 200 when the key works, 401 when it is rejected, otherwise the
+ * error status.
+ */
+export function checkApiKey(apiKey) {
+  return checkEndpoint(KEY_CHECK_PATH, {}, apiKey);
+}
+
+/**
+ * Returns the configured API base URL without a trailing slash.
+ * @returns {string} The base URL (e.g., "https://api.polygon.io").
+ */
+export function getApiBaseUrl() {
+  return getStringSetting(API_BASE_URL_SETTING, DEFAULT_API_BASE_URL).replace(/\/+$/, "");
+}
+
+/**
+ * Fetches the page a next_url cursor points to. The cursor is rebased on the configured base URL
+ * so paging keeps going through a proxy that Polygon does not know about.
+ * @param {string} nextUrl The next_url value from a previous page.
+ * @param {string} functionName The custom function paging through the results.
+ * @returns {Promise<any>} The parsed page body.
+ */
+function getNextPage(nextUrl, functionName) {
+  const parsed = new URL(nextUrl);
+  parsed.searchParams.delete("apiKey");
+  return getShared(
+    parsed.pathname,
+    `${getApiBaseUrl()}${parsed.pathname}${parsed.search}`,
+    functionName
+  );
+}
+
+/**
+ * Returns the in-flight request for a URL, or starts one. A caller that joins a request already
+ * in flight is counted as a cache hit, since it costs no extra request.
+ * @param {string} path The endpoint path, used to pick the cache policy.
+ * @param {string} url The request URL without the API key.
+ * @param {string} functionName The custom function making the request.
+ * @returns {Promise<any>} The parsed response body.
+ */
+function getShared(path, url, functionName) {
+  let pending = inFlight.get(url);
+  if (pending) {
+    recordUsage(functionName, path, { calls: 1, cacheHits: 1 });
+  } else {
+    pending = getFromCacheOrNetwork(path, url, functionName).finally(() => inFlight.delete(url));
+    inFlight.set(url, pending);
+  }
+  return pending.catch((error) => {
+    recordUsage(functionName, path, { errors: 1 });
+    throw error;
+  });
+}
+
+/**
+ * Returns a fresh cached response for a URL, or fetches and caches it. In replay mode the
+ * response comes from the fixture store instead, and in record mode it is also saved there.
+ * @param {string} path The endpoint path, used to pick the cache policy.
+ * @param {string} url The request URL without the API key.
+ * @param {string} functionName The custom function making the request.
+ * @returns {Promise<any>} The parsed response body.
+ */
+async function getFromCacheOrNetwork(path, url, functionName) {
+  const mode = getFixtureMode();
+  // Fixtures are keyed without the base URL so a store replays the same behind any proxy.
+  const requestKey = url.slice(getApiBaseUrl().length);
+
+  if (mode === "replay") {
+    const recorded = await getRecordedResponse(requestKey);
+    if (recorded === undefined) {
+      throw new ReplayMissError(getFixtureStoreName(), requestKey);
+    }
+    recordUsage(functionName, path, { calls: 1, cacheHits: 1 });
+    return recorded;
+  }
+
+  const policy = getCachePolicy(path);
+  let data;
+  if (policy.ttl > 0) {
+    data = await getCachedResponse(url);
+  }
+  recordUsage(functionName, path, {
+    calls: 1,
+    [data === undefined ? "cacheMisses" : "cacheHits"]: 1,
+  });
+  if (data === undefined) {
+    data = await requestEntitled(url, requestKey, { functionName, path });
+    storeResponse(url, policy, data);
+  }
+
+  if (mode === "record") {
+    await recordResponse(requestKey, data);
+  }
+  return data;
+}
+
+/**
+ * Fetches a URL unless the key's plan is known not to include it. A 403 for a paid endpoint
+ * family is remembered so later requests fail without spending the request budget.
+ * @param {string} url The request URL without the API key.
+ * @param {string} requestKey The request path and query.
+ * @param {{functionName: string, path: string}} usage Who the request is counted against.
+ * @returns {Promise<any>} The parsed response body.
+ */
+async function requestEntitled(url, requestKey, usage) {
+  const family = getEndpointFamily(requestKey);
+  if (!family) {
+    return requestJson(url, usage);
+  }
+
+  const fingerprint = getKeyFingerprint(getApiKey(), getApiBaseUrl());
+  if (getEntitlements(fingerprint)[family] === false) {
+    throw new PlanRequiredError(ENDPOINT_FAMILIES[family]);
+  }
+  try {
+    return await requestJson(url, usage);
+  } catch (error) {
+    if (error instanceof PolygonHttpError && error.status === 403) {
+      recordEntitlement(fingerprint, family, false);
+      throw new PlanRequiredError(ENDPOINT_FAMILIES[family]);
+    }
+    throw error;
+  }
+}
+
+/**
+ * Builds a Polygon.io URL from a path and query parameters. The base URL is part of the URL,
+ * so responses cached from one server are never served for another.
+ * @param {string} path The endpoint path.
+ * @param {Object} params Query parameters.
+ * @returns {string} The URL without the API key.
+ */
+function buildUrl(path, params) {
+  const query = Object.keys(params)
+    .filter((name) => params[name] !== undefined && params[name] !== null)
+    .map((name) => `${encodeURIComponent(name)}=${encodeURIComponent(params[name])}`)
+    .join("&");
+  return `${getApiBaseUrl()}${path}${query ? `?${query}` : ""}`;
+}
+
+/**
+ * Appends the API key to a URL. A key is only required when talking to Polygon.io directly; a
+ * proxy may add its own and the mock server accepts requests without one.
+ * @param {string} url The URL to sign.
+ * @param {string} [apiKey] The key to use; defaults to the key in use.
+ * @returns {string} The URL including the apiKey parameter when a key is set.
+ */
+function withApiKey(url, apiKey = getApiKey()) {
+  if (!apiKey) {
+    if (getApiBaseUrl() === DEFAULT_API_BASE_URL) {
+      throw new PolygonHttpError(
+        401,
+        "API key not set. Add your Polygon.io API key in the task pane."
+      );
+    }
+    return url;
+  }
+  return `${url}${url.includes("?") ? "&" : "?"}apiKey=${encodeURIComponent(apiKey)}`;
+}
+
+/**
+ * Fetches a URL through the rate-limit queue, retrying on 429 and 5xx responses. Each attempt
+ * is counted as a request, since each one counts against the plan's limits.
+ * @param {string} url The URL without the API key.
+ * @param {{functionName: string, path: string}} usage Who the request is counted against.
+ * @param {string} [apiKey] The key to use; defaults to the key in use.
+ * @returns {Promise<any>} The parsed response body.
+ */
+async function requestJson(url, usage, apiKey) {
+  const signedUrl = withApiKey(url, apiKey);
+
+  for (let attempt = 0; ; attempt++) {
+    await acquireSlot();
+    const sentAt = Date.now();
+    let response;
+    try {
+      response = await fetchWithTimeout(signedUrl);
+    } finally {
+      recordUsage(usage.functionName, usage.path, { requests: 1, latencyMs: Date.now() - sentAt });
+    }
+
+    if (response.ok) {
+      return response.json();
+    }
+
+    const retryable = response.status === 429 || response.status >= 500;
+    if (response.status === 403) {
+      throw new PolygonHttpError(
+        403,
+        "Not authorized. Your Polygon.io plan may not include this data."
+      );
+    }
+    if (!retryable || attempt >= MAX_RETRIES) {
+      throw new PolygonHttpError(response.status);
+    }
+
+    const delay = getRetryDelay(response, attempt);
+    if (response.status === 429) {
+      // The whole key is throttled, so hold back every queued request, not just this one.
+      pausedUntil = Math.max(pausedUntil, Date.now() + delay);
+    }
+    await sleep(delay);
+  }
+}
+
+/**
+ * Calls fetch and aborts it once the configured timeout elapses.
+ * @param {string} url The URL to fetch.
+ * @returns {Promise<Response>} The fetch response.
+ */
+async function fetchWithTimeout(url) {
+  const timeoutMs =
+    getNumberSetting(REQUEST_TIMEOUT_SETTING, DEFAULT_REQUEST_TIMEOUT_SECONDS) * 1000;
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { signal: controller.signal });
+  } catch (error) {
+    if (error.name === "AbortError") {
+      throw new PolygonNetworkError(`Request timed out after ${timeoutMs / 1000} seconds.`);
+    }
+    throw new PolygonNetworkError(error.message);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Works out how long to wait before retrying, honoring the Retry-After header when present.
+ * @param {Response} response The failed response.
+ * @param {number} attempt Zero-based retry attempt.
+ * @returns {number} Delay in milliseconds.
+ */
+function getRetryDelay(response, attempt) {
+  const retryAfter = response.headers.get("Retry-After");
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (!isNaN(seconds)) {
+      return Math.min(seconds * 1000, MAX_BACKOFF_MS);
+    }
+    const retryDate = Date.parse(retryAfter);
+    if (!isNaN(retryDate)) {
+      return Math.min(Math.max(retryDate - Date.now(), 0), MAX_BACKOFF_MS);
+    }
+  }
+  const jitter = Math.random() * BASE_BACKOFF_MS;
+  return Math.min(BASE_BACKOFF_MS * Math.pow(2, attempt) + jitter, MAX_BACKOFF_MS);
+}
+
+/**
+ * Resolves once a request may be sent without exceeding the requests-per-minute budget.
+ * @returns {Promise<void>}
+ */
+function acquireSlot() {
+  return new Promise((resolve) => {
+    waiting.push(resolve);
+    drainQueue();
+  });
+}
+
+/**
+ * Releases queued requests while the budget allows and schedules the next check otherwise.
+ */
+function drainQueue() {
+  if (drainTimer) {
+    return;
+  }
+
+  while (waiting.length > 0) {
+    const now = Date.now();
+    while (sentTimestamps.length > 0 && now - sentTimestamps[0] >= WINDOW_MS) {
+      sentTimestamps.shift();
+    }
+
+    let waitMs = pausedUntil - now;
+    const budget = getNumberSetting(REQUESTS_PER_MINUTE_SETTING, DEFAULT_REQUESTS_PER_MINUTE);
+    if (waitMs <= 0 && budget > 0 && sentTimestamps.length >= budget) {
+      waitMs = WINDOW_MS - (now - sentTimestamps[sentTimestamps.length - budget]);
+    }
+
+    if (waitMs > 0) {
+      drainTimer = setTimeout(() => {
+        drainTimer = null;
+        drainQueue();
+      }, waitMs);
+      return;
+    }
+
+    sentTimestamps.push(now);
+    waiting.shift()();
+  }
+}
+
+/**
+ * @param {number} ms Milliseconds to wait.
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
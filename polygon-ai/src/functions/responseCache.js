@@ -0,0 +1,286 @@
+/* global console, indexedDB, localStorage */
+
+import { formatDate, getToday } from "./dates";
+
+// Response cache for Polygon.io requests. Entries are kept in memory and, when they live long
+// enough to be worth it, in IndexedDB so they survive reloads of the workbook. How long an entry
+// lives depends on the kind of data the endpoint returns.
+
+const DB_NAME = "polygon-ai-cache";
+const STORE_NAME = "responses";
+const GENERATION_KEY = "polygonCacheGeneration";
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const MAX_MEMORY_ENTRIES = 500;
+const MIN_PERSISTED_TTL = 5 * MINUTE;
+
+/**
+ * Cache lifetimes by data class. A ttl of Infinity never expires, 0 disables caching.
+ */
+export const CACHE_POLICIES = {
+  reference: { dataClass: "reference", ttl: 24 * HOUR },
+  referenceDetails: { dataClass: "referenceDetails", ttl: 6 * HOUR },
+  news: { dataClass: "news", ttl: 15 * MINUTE },
+  historical: { dataClass: "historical", ttl: Infinity },
+  intraday: { dataClass: "intraday", ttl: MINUTE },
+  previousClose: { dataClass: "previousClose", ttl: 15 * MINUTE },
+  marketStatus: { dataClass: "marketStatus", ttl: 30 * 1000 },
+  realtime: { dataClass: "realtime", ttl: 15 * 1000 },
+  none: { dataClass: "none", ttl: 0 },
+};
+
+const memoryCache = new Map();
+let memoryGeneration = null;
+let dbPromise = null;
+
+/**
+ * Classifies an endpoint path so its responses get an appropriate lifetime.
+ * @param {string} path The endpoint path (e.g., "/v3/reference/exchanges").
+ * @returns {{dataClass: string, ttl: number}} The cache policy for the path.
+ */
+export function getCachePolicy(path) {
+  const today = getToday();
+
+  if (/^\/v3\/reference\/(exchanges|conditions|ticker-types|markets|locales)$/.test(path)) {
+    return CACHE_POLICIES.reference;
+  }
+  if (
+    /^\/v3\/reference\/(tickers|splits|dividends)$/.test(path) ||
+    /^\/vX\/reference\/financials$/.test(path)
+  ) {
+    return CACHE_POLICIES.referenceDetails;
+  }
+  if (path === "/v1/marketstatus/upcoming") {
+    return CACHE_POLICIES.referenceDetails;
+  }
+  if (path === "/v2/reference/news") {
+    return CACHE_POLICIES.news;
+  }
+
+  const range = path.match(/^\/v2\/aggs\/ticker\/[^/]+\/range\/\d+\/\w+\/([^/]+)\/([^/]+)$/);
+  if (range) {
+    // A range that ended before today is closed and its bars will not change.
+    return getRangeDate(range[2]) < today ? CACHE_POLICIES.historical : CACHE_POLICIES.intraday;
+  }
+  const dated = path.match(
+    /^\/v(?:1\/open-close\/[^/]+|2\/aggs\/grouped\/locale\/\w+\/market\/\w+)\/([^/]+)$/
+  );
+  if (dated) {
+    return dated[1] < today ? CACHE_POLICIES.historical : CACHE_POLICIES.intraday;
+  }
+
+  // Indicator dates are in the query, so the latest value may still be moving.
+  if (/^\/v1\/indicators\//.test(path)) {
+    return CACHE_POLICIES.intraday;
+  }
+  if (/^\/v2\/aggs\/ticker\/[^/]+\/prev$/.test(path)) {
+    return CACHE_POLICIES.previousClose;
+  }
+  if (path === "/v1/marketstatus/now") {
+    return CACHE_POLICIES.marketStatus;
+  }
+  if (/^\/v2\/last\//.test(path) || /^\/v2\/snapshot\//.test(path) || path === "/v3/snapshot") {
+    return CACHE_POLICIES.realtime;
+  }
+  return CACHE_POLICIES.none;
+}
+
+/**
+ * Looks up a cached response, checking memory first and then persistent storage.
+ * @param {string} url The request URL without the API key.
+ * @returns {Promise<any>} The cached body, or undefined on a miss.
+ */
+export async function getCachedResponse(url) {
+  syncGeneration();
+
+  let entry = memoryCache.get(url);
+  if (!entry) {
+    entry = await readPersisted(url);
+    if (entry) {
+      rememberEntry(entry);
+    }
+  }
+  if (!entry) {
+    return undefined;
+  }
+  if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+    memoryCache.delete(url);
+    return undefined;
+  }
+  return entry.data;
+}
+
+/**
+ * Stores a response according to its cache policy.
+ * @param {string} url The request URL without the API key.
+ * @param {{dataClass: string, ttl: number}} policy The cache policy from getCachePolicy.
+ * @param {any} data The parsed response body.
+ */
+export function storeResponse(url, policy, data) {
+  if (!(policy.ttl > 0)) {
+    return;
+  }
+  syncGeneration();
+
+  const now = Date.now();
+  const entry = {
+    url,
+    dataClass: policy.dataClass,
+    data,
+    storedAt: now,
+    expiresAt: policy.ttl === Infinity ? null : now + policy.ttl,
+    size: JSON.stringify(data).length,
+  };
+  rememberEntry(entry);
+  if (policy.ttl >= MIN_PERSISTED_TTL) {
+    writePersisted(entry);
+  }
+}
+
+/**
+ * Lists the persisted cache entries without their bodies.
+ * @returns {Promise<Object[]>} Entries with url, dataClass, storedAt, expiresAt and size.
+ */
+export async function getCacheEntries() {
+  const entries = (await runRequest("readonly", (store) => store.getAll())) || [];
+  return entries.map(({ url, dataClass, storedAt, expiresAt, size }) => ({
+    url,
+    dataClass,
+    storedAt,
+    expiresAt,
+    size,
+  }));
+}
+
+/**
+ * Removes every cached response, both in memory and in persistent storage.
+ * @returns {Promise<void>}
+ */
+export async function clearCache() {
+  memoryCache.clear();
+  const generation = (parseInt(localStorage.getItem(GENERATION_KEY), 10) || 0) + 1;
+  localStorage.setItem(GENERATION_KEY, String(generation));
+  memoryGeneration = String(generation);
+  await runRequest("readwrite", (store) => store.clear());
+}
+
+/**
+ * Reads a bound of an aggregates range, which Polygon accepts as a date or a timestamp.
+ * @param {string} bound The bound from the path (e.g., "2024-03-15" or "1710460800000").
+ * @returns {string} The date the bound falls on, in YYYY-MM-DD format.
+ */
+function getRangeDate(bound) {
+  return /^\d+$/.test(bound) ? formatDate(Number(bound)) : bound;
+}
+
+/**
+ * Drops the in-memory entries when another context (such as the task pane) cleared the cache.
+ */
+function syncGeneration() {
+  const generation = localStorage.getItem(GENERATION_KEY);
+  if (generation !== memoryGeneration) {
+    memoryCache.clear();
+    memoryGeneration = generation;
+  }
+}
+
+/**
+ * Adds an entry to the memory cache, evicting the least recently stored entry when full.
+ * @param {Object} entry The cache entry.
+ */
+function rememberEntry(entry) {
+  memoryCache.delete(entry.url);
+  memoryCache.set(entry.url, entry);
+  if (memoryCache.size > MAX_MEMORY_ENTRIES) {
+    memoryCache.delete(memoryCache.keys().next().value);
+  }
+}
+
+/**
+ * @param {string} url The request URL.
+ * @returns {Promise<Object|undefined>} The persisted entry, if any.
+ */
+async function readPersisted(url) {
+  return (await runRequest("readonly", (store) => store.get(url))) || undefined;
+}
+
+/**
+ * @param {Object} entry The cache entry to persist.
+ */
+function writePersisted(entry) {
+  runRequest("readwrite", (store) => store.put(entry));
+}
+
+/**
+ * Opens the cache database, resolving to null where IndexedDB is unavailable.
+ * @returns {Promise<IDBDatabase|null>}
+ */
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === "undefined") {
+        resolve(null);
+        return;
+      }
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () =>
+        request.result.createObjectStore(STORE_NAME, { keyPath: "url" });
+      request.onsuccess = () => {
+        removeExpired(request.result);
+        resolve(request.result);
+      };
+      request.onerror = () => {
+        console.warn("Response cache is memory-only:", request.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Deletes persisted entries whose lifetime has passed.
+ * @param {IDBDatabase} db The cache database.
+ */
+function removeExpired(db) {
+  const now = Date.now();
+  const request = db.transaction(STORE_NAME, "readwrite").objectStore(STORE_NAME).openCursor();
+  request.onsuccess = () => {
+    const cursor = request.result;
+    if (cursor) {
+      if (cursor.value.expiresAt !== null && cursor.value.expiresAt <= now) {
+        cursor.delete();
+      }
+      cursor.continue();
+    }
+  };
+}
+
+/**
+ * Runs a single request against the responses store. Storage failures are logged and treated
+ * as a cache miss so they never break a custom function.
+ * @param {IDBTransactionMode} mode "readonly" or "readwrite".
+ * @param {function(IDBObjectStore): IDBRequest} operation Creates the request to run.
+ * @returns {Promise<any>} The request result, or undefined on failure.
+ */
+async function runRequest(mode, operation) {
+  const db = await openDatabase();
+  if (!db) {
+    return undefined;
+  }
+  return new Promise((resolve) => {
+    try {
+      const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn("Response cache storage error:", request.error);
+        resolve(undefined);
+      };
+    } catch (error) {
+      console.warn("Response cache storage error:", error);
+      resolve(undefined);
+    }
+  });
+}
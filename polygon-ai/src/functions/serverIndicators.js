@@ -0,0 +1,84 @@
+import { polygonGetAll } from "./polygonClient";
+
+// Polygon's technical indicator endpoints (/v1/indicators), which work out SMA, EMA, RSI and MACD
+// on the server from the same aggregate bars, so only the values are downloaded. Polygon's RSI
+// has its own smoothing; the smoothing option of an RSI spec only applies to the local engine.
+
+// Endpoint and query parameters by study name, with the fields of each value in column order.
+const SERVER_STUDIES = {
+  SMA: { endpoint: "sma", query: ([period]) => ({ window: period }), fields: ["value"] },
+  EMA: { endpoint: "ema", query: ([period]) => ({ window: period }), fields: ["value"] },
+  RSI: { endpoint: "rsi", query: ([period]) => ({ window: period }), fields: ["value"] },
+  MACD: {
+    endpoint: "macd",
+    query: ([fast, slow, signal]) => ({
+      short_window: fast,
+      long_window: slow,
+      signal_window: signal,
+    }),
+    fields: ["value", "signal", "histogram"],
+  },
+};
+
+const PAGE_SIZE = 5000;
+
+/**
+ * Fetches a study's values from Polygon's indicator endpoints.
+ * @param {string} ticker The ticker.
+ * @param {{name: string, study: Object, params: Array}} barStudy The study and its parameters,
+ * from parseStudy.
+ * @param {{multiplier: number, timespan: string}} barSize The bar size, from parseBarSize.
+ * @param {string} from The first date, in YYYY-MM-DD format.
+ * @param {string} to The last date, in YYYY-MM-DD format.
+ * @param {string} functionName The custom function, for the usage meter.
+ * @returns {Promise<Array<{t: number, values: number[]}>>} The bar time and values of each bar,
+ * in time order.
+ * @throws {RangeError} When Polygon does not offer the study, its price source or the bar size.
+ */
+export async function fetchServerStudy(
+  ticker,
+  { name, study, params },
+  barSize,
+  from,
+  to,
+  functionName
+) {
+  const serverStudy = SERVER_STUDIES[name];
+  if (!serverStudy) {
+    throw new RangeError(
+      `Polygon does not calculate ${name}. Use ${Object.keys(SERVER_STUDIES).join(", ")}, ` +
+        `or the local source.`
+    );
+  }
+  const source = params[study.params.findIndex((param) => param.name === "source")];
+  if (source !== "close") {
+    throw new RangeError(`Polygon calculates ${name} from closing prices only, not ${source}.`);
+  }
+  if (barSize.multiplier !== 1) {
+    throw new RangeError(
+      `Polygon calculates ${name} on ${barSize.timespan} bars, not ` +
+        `${barSize.multiplier}${barSize.timespan} bars.`
+    );
+  }
+
+  const data = await polygonGetAll(
+    `/v1/indicators/${serverStudy.endpoint}/${ticker}`,
+    {
+      "timestamp.gte": from,
+      "timestamp.lte": to,
+      timespan: barSize.timespan,
+      adjusted: true,
+      series_type: "close",
+      ...serverStudy.query(params),
+      order: "asc",
+      limit: PAGE_SIZE,
+    },
+    Infinity,
+    functionName
+  );
+  const values = (data.results && data.results.values) || [];
+  return values.map((value) => ({
+    t: value.timestamp,
+    values: serverStudy.fields.map((field) => value[field] ?? null),
+  }));
+}
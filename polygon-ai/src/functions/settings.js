@@ -0,0 +1,184 @@
+/* global localStorage, Office */
+
+// Add-in settings persisted in localStorage so the task pane and the custom functions runtime
+// see the same values. API keys are kept in named profiles; a workbook can be bound to one of
+// them through its document settings, which travel with the file but never hold the key itself.
+
+const KEY_PROFILES_KEY = "polygonKeyProfiles";
+const LEGACY_API_KEY = "polygonApiKey";
+
+export const WORKBOOK_KEY_PROFILE_SETTING = "polygonKeyProfile";
+export const DEFAULT_KEY_PROFILE = "default";
+
+/**
+ * Returns the API key of the profile in use for this workbook.
+ * @returns {string|null} The API key, or null if none has been set.
+ */
+export function getApiKey() {
+  return loadKeyProfiles().keys[getKeyProfileName()] || null;
+}
+
+/**
+ * Returns the name of the key profile in use: the profile this workbook is bound to when it is
+ * set up on this computer, otherwise the default profile.
+ * @returns {string} The profile name.
+ */
+export function getKeyProfileName() {
+  const profiles = loadKeyProfiles();
+  const bound = getWorkbookKeyProfile();
+  return bound && profiles.keys[bound] ? bound : profiles.active;
+}
+
+/**
+ * Lists the saved key profiles.
+ * @returns {{name: string, maskedKey: string, isDefault: boolean}[]} Profiles sorted by name.
+ */
+export function listKeyProfiles() {
+  const profiles = loadKeyProfiles();
+  return Object.keys(profiles.keys)
+    .sort()
+    .map((name) => ({
+      name,
+      maskedKey: maskApiKey(profiles.keys[name]),
+      isDefault: name === profiles.active,
+    }));
+}
+
+/**
+ * Saves an API key under a profile name. The first key saved becomes the default profile.
+ * @param {string} name The profile name (e.g., "personal", "team").
+ * @param {string} key The Polygon.io API key.
+ */
+export function saveKeyProfile(name, key) {
+  const profiles = loadKeyProfiles();
+  profiles.keys[name] = key;
+  if (!profiles.keys[profiles.active]) {
+    profiles.active = name;
+  }
+  storeKeyProfiles(profiles);
+}
+
+/**
+ * Deletes a key profile.
+ * @param {string} name The profile name.
+ */
+export function deleteKeyProfile(name) {
+  const profiles = loadKeyProfiles();
+  delete profiles.keys[name];
+  if (profiles.active === name) {
+    profiles.active = Object.keys(profiles.keys).sort()[0] || DEFAULT_KEY_PROFILE;
+  }
+  storeKeyProfiles(profiles);
+}
+
+/**
+ * Makes a profile the default for workbooks that are not bound to one.
+ * @param {string} name The profile name.
+ */
+export function setDefaultKeyProfile(name) {
+  const profiles = loadKeyProfiles();
+  profiles.active = name;
+  storeKeyProfiles(profiles);
+}
+
+/**
+ * Returns the key profile this workbook is bound to.
+ * @returns {string|null} The profile name, or null when the workbook uses the default profile.
+ */
+export function getWorkbookKeyProfile() {
+  if (typeof Office === "undefined" || !Office.context || !Office.context.document) {
+    return null;
+  }
+  return Office.context.document.settings.get(WORKBOOK_KEY_PROFILE_SETTING) || null;
+}
+
+/**
+ * Binds this workbook to a key profile, or back to the default profile, and saves the binding
+ * in the workbook's document settings.
+ * @param {string|null} name The profile name; empty to remove the binding.
+ * @returns {Promise<void>}
+ */
+export function setWorkbookKeyProfile(name) {
+  const settings = Office.context.document.settings;
+  if (name) {
+    settings.set(WORKBOOK_KEY_PROFILE_SETTING, name);
+  } else {
+    settings.remove(WORKBOOK_KEY_PROFILE_SETTING);
+  }
+  return new Promise((resolve, reject) =>
+    settings.saveAsync((result) =>
+      result.status === Office.AsyncResultStatus.Succeeded ? resolve() : reject(result.error)
+    )
+  );
+}
+
+/**
+ * Hides all but the last four characters of an API key, for display.
+ * @param {string} key The API key.
+ * @returns {string} The masked key (e.g., "••••3f9a").
+ */
+export function maskApiKey(key) {
+  return key ? `••••${key.slice(-4)}` : "";
+}
+
+/**
+ * Reads a numeric setting, falling back to a default when unset or invalid.
+ * @param {string} name The setting name.
+ * @param {number} defaultValue Value returned when the setting is missing.
+ * @returns {number} The setting value.
+ */
+export function getNumberSetting(name, defaultValue) {
+  const value = parseFloat(localStorage.getItem(name));
+  return isNaN(value) ? defaultValue : value;
+}
+
+/**
+ * Reads a text setting, falling back to a default when unset.
+ * @param {string} name The setting name.
+ * @param {string} defaultValue Value returned when the setting is missing.
+ * @returns {string} The setting value.
+ */
+export function getStringSetting(name, defaultValue) {
+  return localStorage.getItem(name) || defaultValue;
+}
+
+/**
+ * Stores a setting, or removes it when the value is empty.
+ * @param {string} name The setting name.
+ * @param {string|number} value The value to store.
+ */
+export function setSetting(name, value) {
+  if (value === null || value === undefined || value === "") {
+    localStorage.removeItem(name);
+  } else {
+    localStorage.setItem(name, String(value));
+  }
+}
+
+/**
+ * Reads the key profiles. A key saved before profiles existed becomes the default profile.
+ * @returns {{active: string, keys: Object<string, string>}} The default profile and keys by name.
+ */
+function loadKeyProfiles() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(KEY_PROFILES_KEY));
+    if (saved && saved.keys) {
+      return saved;
+    }
+  } catch {
+    // Fall through to the legacy key.
+  }
+  const legacyKey = localStorage.getItem(LEGACY_API_KEY);
+  return {
+    active: DEFAULT_KEY_PROFILE,
+    keys: legacyKey ? { [DEFAULT_KEY_PROFILE]: legacyKey } : {},
+  };
+}
+
+/**
+ * @param {{active: string, keys: Object<string, string>}} profiles The key profiles to store.
+ */
+function storeKeyProfiles(profiles) {
+  localStorage.setItem(KEY_PROFILES_KEY, JSON.stringify(profiles));
+  localStorage.removeItem(LEGACY_API_KEY);
+}
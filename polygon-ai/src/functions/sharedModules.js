@@ -0,0 +1,31 @@
+/* global window */
+
+// The functions and task pane bundles are separate webpack entries loaded into the same shared
+// runtime, so a module imported by both runs twice, each copy with its own state. The modules
+// whose state must be single (the request queue and rate budget, the response cache, the usage
+// meter and the WebSocket connections) are imported by the functions bundle only, which publishes
+// them here for the task pane. This module keeps nothing itself, so both bundles can import it.
+
+const REGISTRY_KEY = "__polygonSharedModules";
+
+/**
+ * Publishes the functions bundle's modules to the task pane.
+ * @param {Object<string, Object>} modules Module namespaces by name.
+ */
+export function publishSharedModules(modules) {
+  window[REGISTRY_KEY] = Object.freeze({ ...modules });
+}
+
+/**
+ * Returns the modules the functions bundle published. Call it when they are needed rather than
+ * when the task pane loads, as the functions bundle may run after it.
+ * @returns {Object<string, Object>} Module namespaces by name.
+ * @throws {Error} When the functions bundle has not loaded.
+ */
+export function getSharedModules() {
+  const modules = window[REGISTRY_KEY];
+  if (!modules) {
+    throw new Error("The custom functions have not loaded yet. Try again in a moment.");
+  }
+  return modules;
+}
@@ -0,0 +1,247 @@
+/* global clearTimeout, console, setTimeout, WebSocket */
+
+import { DEFAULT_API_BASE_URL, getApiBaseUrl } from "./polygonClient";
+import { getApiKey, getStringSetting } from "./settings";
+
+// Live data from Polygon.io's WebSocket feeds for the streaming custom functions. Each cluster
+// (stocks, options, forex, crypto) has one shared connection. Subscriptions are counted by
+// channel, so every cell watching the same ticker shares one subscription, which is dropped when
+// the last of those cells goes away. A lost connection is reopened with backoff and resubscribed.
+
+export const STREAM_URL_SETTING = "polygonStreamUrl";
+
+// Real-time feeds; delayed.polygon.io serves the 15-minute delayed feeds of the Starter plans.
+export const DEFAULT_STREAM_URL = "wss://socket.polygon.io";
+
+const MIN_RECONNECT_MS = 1000;
+const MAX_RECONNECT_MS = 30000;
+
+// Cells subscribe again when they recalculate, so an unused connection is kept open for a moment.
+const IDLE_CLOSE_MS = 10000;
+
+// Event types for each kind of stream, by cluster. Polygon has no forex trade feed.
+const CLUSTER_CHANNELS = {
+  stocks: { trade: "T", quote: "Q", minuteBar: "AM" },
+  options: { trade: "T", quote: "Q", minuteBar: "AM" },
+  forex: { quote: "C", minuteBar: "CA" },
+  crypto: { trade: "XT", quote: "XQ", minuteBar: "XA" },
+};
+
+// Statuses after which the server closes the connection and reconnecting would not help.
+const REFUSAL_STATUSES = ["auth_failed", "max_connections"];
+
+const CRYPTO_QUOTE_CURRENCIES = /^(.+?)(USDT|USDC|USD|EUR|GBP|JPY|BTC|ETH)$/;
+
+const connections = new Map();
+
+/**
+ * Returns the WebSocket server URL without a trailing slash. Unless one is configured, the
+ * streams come from Polygon.io, or from the API base URL's host when that is a proxy or the mock
+ * server.
+ * @returns {string} The stream URL (e.g., "wss://socket.polygon.io").
+ */
+export function getStreamUrl() {
+  const configured = getStringSetting(STREAM_URL_SETTING, "");
+  if (configured) {
+    return configured.replace(/\/+$/, "");
+  }
+  const apiBaseUrl = getApiBaseUrl();
+  return apiBaseUrl === DEFAULT_API_BASE_URL
+    ? DEFAULT_STREAM_URL
+    : apiBaseUrl.replace(/^http/i, "ws");
+}
+
+/**
+ * Subscribes to live events for a ticker.
+ * @param {string} ticker A stock, options ("O:"), forex ("C:") or crypto ("X:") ticker.
+ * @param {string} kind "trade", "quote" or "minuteBar".
+ * @param {{onEvent: function(Object): void, onError: function(string): void}} listener Receives
+ * each event, and a message when the server refuses the connection.
+ * @returns {function(): void} Cancels the subscription.
+ */
+export function subscribe(ticker, kind, listener) {
+  const { cluster, channel } = getChannel(ticker, kind);
+  let connection = connections.get(cluster);
+  if (!connection) {
+    connection = { cluster, channels: new Map(), retryMs: MIN_RECONNECT_MS };
+    connections.set(cluster, connection);
+  }
+  clearTimeout(connection.idleTimer);
+
+  let listeners = connection.channels.get(channel);
+  if (!listeners) {
+    listeners = new Set();
+    connection.channels.set(channel, listeners);
+    if (connection.ready) {
+      sendAction(connection, "subscribe", [channel]);
+    }
+  }
+  listeners.add(listener);
+
+  if (!connection.socket && !connection.retryTimer) {
+    connect(connection);
+  }
+  return () => unsubscribe(connection, channel, listener);
+}
+
+/**
+ * @param {Object} connection The cluster connection.
+ * @param {string} channel The channel (e.g., "T.AAPL").
+ * @param {Object} listener The listener passed to subscribe.
+ */
+function unsubscribe(connection, channel, listener) {
+  const listeners = connection.channels.get(channel);
+  if (!listeners || !listeners.delete(listener) || listeners.size > 0) {
+    return;
+  }
+  connection.channels.delete(channel);
+  if (connection.ready) {
+    sendAction(connection, "unsubscribe", [channel]);
+  }
+  if (connection.channels.size === 0) {
+    connection.idleTimer = setTimeout(() => disconnect(connection), IDLE_CLOSE_MS);
+  }
+}
+
+/**
+ * Opens the cluster's connection. Authentication and subscriptions follow from the server's
+ * status messages.
+ * @param {Object} connection The cluster connection.
+ */
+function connect(connection) {
+  const socket = new WebSocket(`${getStreamUrl()}/${connection.cluster}`);
+  connection.socket = socket;
+  connection.ready = false;
+  connection.refused = false;
+
+  socket.onmessage = (message) => {
+    let events;
+    try {
+      events = JSON.parse(message.data);
+    } catch {
+      return;
+    }
+    (Array.isArray(events) ? events : [events]).forEach((event) => handleEvent(connection, event));
+  };
+  socket.onclose = () => {
+    if (connection.socket !== socket) {
+      return;
+    }
+    connection.socket = null;
+    connection.ready = false;
+    if (connection.channels.size > 0 && !connection.refused) {
+      scheduleReconnect(connection);
+    }
+  };
+  socket.onerror = () => {
+    console.warn(`Polygon ${connection.cluster} stream connection error`);
+  };
+}
+
+/**
+ * @param {Object} connection The cluster connection.
+ * @param {Object} event A message from the server: a status or a market data event.
+ */
+function handleEvent(connection, event) {
+  if (event.ev !== "status") {
+    // Forex quotes carry the pair in p, which is the price in every other event.
+    const symbol = event.sym || event.pair || (event.ev === "C" ? event.p : "");
+    const listeners = connection.channels.get(`${event.ev}.${symbol}`);
+    if (listeners) {
+      listeners.forEach((listener) => listener.onEvent(event));
+    }
+    return;
+  }
+
+  if (event.status === "connected") {
+    connection.socket.send(JSON.stringify({ action: "auth", params: getApiKey() || "" }));
+  } else if (event.status === "auth_success") {
+    connection.ready = true;
+    connection.retryMs = MIN_RECONNECT_MS;
+    if (connection.channels.size > 0) {
+      sendAction(connection, "subscribe", [...connection.channels.keys()]);
+    }
+  } else if (REFUSAL_STATUSES.includes(event.status)) {
+    connection.refused = true;
+    const message = `Polygon ${connection.cluster} stream: ${event.message}`;
+    connection.channels.forEach((listeners) =>
+      listeners.forEach((listener) => listener.onError(message))
+    );
+  } else if (event.status === "error") {
+    console.warn(`Polygon ${connection.cluster} stream: ${event.message}`);
+  }
+}
+
+/**
+ * @param {Object} connection The cluster connection.
+ * @param {string} action "subscribe" or "unsubscribe".
+ * @param {string[]} channels The channels (e.g., ["T.AAPL", "Q.AAPL"]).
+ */
+function sendAction(connection, action, channels) {
+  connection.socket.send(JSON.stringify({ action, params: channels.join(",") }));
+}
+
+/**
+ * Reconnects after a delay that doubles with each failed attempt.
+ * @param {Object} connection The cluster connection.
+ */
+function scheduleReconnect(connection) {
+  connection.retryTimer = setTimeout(() => {
+    connection.retryTimer = null;
+    if (connection.channels.size > 0) {
+      connect(connection);
+    }
+  }, connection.retryMs);
+  connection.retryMs = Math.min(connection.retryMs * 2, MAX_RECONNECT_MS);
+}
+
+/**
+ * Closes the cluster's connection once nothing is subscribed.
+ * @param {Object} connection The cluster connection.
+ */
+function disconnect(connection) {
+  if (connection.channels.size > 0) {
+    return;
+  }
+  clearTimeout(connection.retryTimer);
+  connection.retryTimer = null;
+  const socket = connection.socket;
+  connection.socket = null;
+  connection.ready = false;
+  if (socket) {
+    socket.close();
+  }
+}
+
+/**
+ * Works out the cluster and channel for a ticker, in the symbol format each cluster uses.
+ * @param {string} ticker The ticker (e.g., "AAPL", "C:EURUSD", "X:BTCUSD").
+ * @param {string} kind "trade", "quote" or "minuteBar".
+ * @returns {{cluster: string, channel: string}} The cluster and channel (e.g., "XT.BTC-USD").
+ */
+function getChannel(ticker, kind) {
+  const symbol = String(ticker || "")
+    .trim()
+    .toUpperCase();
+  const prefix = symbol.slice(0, 2);
+  if (!symbol || prefix === "I:") {
+    throw new RangeError(
+      "Streaming supports stock, options (O:), forex (C:) and crypto (X:) tickers."
+    );
+  }
+  const cluster = { "O:": "options", "C:": "forex", "X:": "crypto" }[prefix] || "stocks";
+  const eventType = CLUSTER_CHANNELS[cluster][kind];
+  if (!eventType) {
+    throw new RangeError(`Polygon does not stream ${cluster} ${kind}s.`);
+  }
+
+  const pair = symbol.slice(2);
+  let channelSymbol = symbol;
+  if (cluster === "forex") {
+    channelSymbol = `${pair.slice(0, 3)}/${pair.slice(3)}`;
+  } else if (cluster === "crypto") {
+    const match = CRYPTO_QUOTE_CURRENCIES.exec(pair);
+    channelSymbol = match ? `${match[1]}-${match[2]}` : `${pair.slice(0, -3)}-${pair.slice(-3)}`;
+  }
+  return { cluster, channel: `${eventType}.${channelSymbol}` };
+}
@@ -0,0 +1,307 @@
+/* global console */
+
+import { addDays, getDayOfWeek, getToday, toTime } from "./dates";
+import { getAsOfTime } from "./fixtureStore";
+import { polygonGet } from "./polygonClient";
+
+// Trading calendar for the US stock market (NYSE and Nasdaq). Holidays and early closes follow
+// the exchanges' published rules for any year, known unscheduled closures are listed below, and
+// Polygon's upcoming market holidays are layered on top so late announcements are picked up.
+
+const SESSION_OPEN_MINUTES = 9 * 60 + 30;
+const SESSION_CLOSE_MINUTES = 16 * 60;
+const EARLY_CLOSE_MINUTES = 13 * 60;
+
+const CALENDAR_EXCHANGES = ["NYSE", "NASDAQ"];
+
+// Closures no rule predicts: national days of mourning, storms and the September 2001 attacks.
+const UNSCHEDULED_CLOSURES = {
+  "2001-09-11": "September 11 attacks",
+  "2001-09-12": "September 11 attacks",
+  "2001-09-13": "September 11 attacks",
+  "2001-09-14": "September 11 attacks",
+  "2004-06-11": "Day of mourning for President Reagan",
+  "2007-01-02": "Day of mourning for President Ford",
+  "2012-10-29": "Hurricane Sandy",
+  "2012-10-30": "Hurricane Sandy",
+  "2018-12-05": "Day of mourning for President George H. W. Bush",
+  "2025-01-09": "Day of mourning for President Carter",
+};
+
+const yearExceptions = new Map();
+
+/**
+ * Loads the trading calendar, adding Polygon's upcoming market holidays to the built-in rules.
+ * The calendar still works from the rules alone when the holidays cannot be fetched.
+ * @param {string} functionName The custom function that needs the calendar, for the usage meter.
+ * @returns {Promise<{exceptions: Map<string, Object>}>} The calendar.
+ */
+export async function loadTradingCalendar(functionName) {
+  const exceptions = new Map();
+  try {
+    const upcoming = await polygonGet("/v1/marketstatus/upcoming", {}, functionName);
+    (Array.isArray(upcoming) ? upcoming : [])
+      .filter((holiday) => CALENDAR_EXCHANGES.includes(holiday.exchange))
+      .forEach((holiday) =>
+        exceptions.set(holiday.date, {
+          name: holiday.name,
+          status: holiday.status === "early-close" ? "early-close" : "closed",
+          open: holiday.open ? Date.parse(holiday.open) : undefined,
+          close: holiday.close ? Date.parse(holiday.close) : undefined,
+        })
+      );
+  } catch (error) {
+    console.warn("Could not load upcoming market holidays; using the built-in calendar:", error);
+  }
+  return { exceptions };
+}
+
+/**
+ * Returns the trading session on a date.
+ * @param {string} date A date in YYYY-MM-DD format.
+ * @param {{exceptions: Map<string, Object>}} calendar The calendar from loadTradingCalendar.
+ * @returns {{date: string, open: number, close: number, earlyClose: boolean, name: string}|null}
+ * The session with its open and close times in milliseconds, or null when the market is closed.
+ */
+export function getSession(date, calendar) {
+  const dayOfWeek = getDayOfWeek(date);
+  if (dayOfWeek === 0 || dayOfWeek === 6) {
+    return null;
+  }
+  const exception = getException(date, calendar);
+  if (exception && exception.status === "closed") {
+    return null;
+  }
+  const earlyClose = Boolean(exception);
+  return {
+    date,
+    open: (exception && exception.open) || toTime(date, SESSION_OPEN_MINUTES),
+    close:
+      (exception && exception.close) ||
+      toTime(date, earlyClose ? EARLY_CLOSE_MINUTES : SESSION_CLOSE_MINUTES),
+    earlyClose,
+    name: exception ? exception.name : "",
+  };
+}
+
+/**
+ * Moves a number of trading days away from a date, which itself is not counted.
+ * @param {string} date A date in YYYY-MM-DD format.
+ * @param {number} count Trading days to move; negative to go back.
+ * @param {{exceptions: Map<string, Object>}} calendar The calendar from loadTradingCalendar.
+ * @returns {string} The trading day in YYYY-MM-DD format.
+ */
+export function shiftTradingDays(date, count, calendar) {
+  const step = count < 0 ? -1 : 1;
+  let remaining = Math.abs(count);
+  let day = date;
+  while (remaining > 0) {
+    day = addDays(day, step);
+    if (getSession(day, calendar)) {
+      remaining--;
+    }
+  }
+  return day;
+}
+
+/**
+ * Counts the trading days after one date up to and including another, so consecutive trading
+ * days are one apart.
+ * @param {string} fromDate A date in YYYY-MM-DD format.
+ * @param {string} toDate A date in YYYY-MM-DD format.
+ * @param {{exceptions: Map<string, Object>}} calendar The calendar from loadTradingCalendar.
+ * @returns {number} The number of trading days; negative when toDate is before fromDate.
+ */
+export function countTradingDays(fromDate, toDate, calendar) {
+  if (toDate < fromDate) {
+    return -countTradingDays(toDate, fromDate, calendar);
+  }
+  let count = 0;
+  for (let day = addDays(fromDate, 1); day <= toDate; day = addDays(day, 1)) {
+    if (getSession(day, calendar)) {
+      count++;
+    }
+  }
+  return count;
+}
+
+/**
+ * Returns the most recent session that has closed, which is today once the closing bell has rung
+ * and otherwise the trading day before.
+ * @param {{exceptions: Map<string, Object>}} calendar The calendar from loadTradingCalendar.
+ * @returns {string} The session date in YYYY-MM-DD format.
+ */
+export function getLastClosedSession(calendar) {
+  const today = getToday();
+  const session = getSession(today, calendar);
+  return session && getAsOfTime() >= session.close ? today : shiftTradingDays(today, -1, calendar);
+}
+
+/**
+ * Returns the most recent session that has opened, which is today once the opening bell has rung
+ * and otherwise the trading day before.
+ * @param {{exceptions: Map<string, Object>}} calendar The calendar from loadTradingCalendar.
+ * @returns {string} The session date in YYYY-MM-DD format.
+ */
+export function getLatestSession(calendar) {
+  const today = getToday();
+  const session = getSession(today, calendar);
+  return session && getAsOfTime() >= session.open ? today : shiftTradingDays(today, -1, calendar);
+}
+
+/**
+ * Lists every trading session in a year.
+ * @param {number} year The year.
+ * @param {{exceptions: Map<string, Object>}} calendar The calendar from loadTradingCalendar.
+ * @returns {Object[]} Sessions in date order, as returned by getSession.
+ */
+export function listSessions(year, calendar) {
+  const sessions = [];
+  for (let day = `${year}-01-01`; day.startsWith(String(year)); day = addDays(day, 1)) {
+    const session = getSession(day, calendar);
+    if (session) {
+      sessions.push(session);
+    }
+  }
+  return sessions;
+}
+
+/**
+ * Lists the weekday holidays and early closes in a year.
+ * @param {number} year The year.
+ * @param {{exceptions: Map<string, Object>}} calendar The calendar from loadTradingCalendar.
+ * @returns {{date: string, name: string, status: string, open?: number, close?: number}[]}
+ * Holidays in date order; status is "closed" or "early-close".
+ */
+export function listHolidays(year, calendar) {
+  const holidays = [];
+  for (let day = `${year}-01-01`; day.startsWith(String(year)); day = addDays(day, 1)) {
+    const dayOfWeek = getDayOfWeek(day);
+    const exception = getException(day, calendar);
+    if (exception && dayOfWeek !== 0 && dayOfWeek !== 6) {
+      const session = getSession(day, calendar);
+      holidays.push({
+        date: day,
+        name: exception.name,
+        status: exception.status,
+        open: session ? session.open : undefined,
+        close: session ? session.close : undefined,
+      });
+    }
+  }
+  return holidays;
+}
+
+/**
+ * @param {string} date A date in YYYY-MM-DD format.
+ * @param {{exceptions: Map<string, Object>}} calendar The calendar.
+ * @returns {Object|undefined} The holiday or early close on the date, if any.
+ */
+function getException(date, calendar) {
+  return calendar.exceptions.get(date) || getYearExceptions(Number(date.slice(0, 4))).get(date);
+}
+
+/**
+ * Works out a year's holidays and early closes from the exchange rules, once per year.
+ * @param {number} year The year.
+ * @returns {Map<string, {name: string, status: string}>} Exceptions by date.
+ */
+function getYearExceptions(year) {
+  let exceptions = yearExceptions.get(year);
+  if (exceptions) {
+    return exceptions;
+  }
+
+  exceptions = new Map();
+  const close = (date, name) => exceptions.set(date, { name, status: "closed" });
+  // A Friday July 3 or December 24 is already the observed holiday, so the check is for weekends.
+  const closeEarly = (date, name) => {
+    const dayOfWeek = getDayOfWeek(date);
+    if (dayOfWeek >= 1 && dayOfWeek <= 5 && !exceptions.has(date)) {
+      exceptions.set(date, { name, status: "early-close" });
+    }
+  };
+
+  // New Year's Day on a Saturday is not made up on the Friday, which is the last day of the year.
+  const newYear = `${year}-01-01`;
+  if (getDayOfWeek(newYear) !== 6) {
+    close(observed(newYear), "New Year's Day");
+  }
+  close(nthWeekday(year, 1, 1, 3), "Martin Luther King, Jr. Day");
+  close(nthWeekday(year, 2, 1, 3), "Washington's Birthday");
+  close(addDays(getEaster(year), -2), "Good Friday");
+  close(lastWeekday(year, 5, 1), "Memorial Day");
+  if (year >= 2022) {
+    close(observed(`${year}-06-19`), "Juneteenth");
+  }
+  close(observed(`${year}-07-04`), "Independence Day");
+  close(nthWeekday(year, 9, 1, 1), "Labor Day");
+  const thanksgiving = nthWeekday(year, 11, 4, 4);
+  close(thanksgiving, "Thanksgiving");
+  close(observed(`${year}-12-25`), "Christmas");
+  Object.keys(UNSCHEDULED_CLOSURES)
+    .filter((date) => date.startsWith(String(year)))
+    .forEach((date) => close(date, UNSCHEDULED_CLOSURES[date]));
+
+  closeEarly(`${year}-07-03`, "Independence Day");
+  closeEarly(addDays(thanksgiving, 1), "Thanksgiving");
+  closeEarly(`${year}-12-24`, "Christmas");
+
+  yearExceptions.set(year, exceptions);
+  return exceptions;
+}
+
+/**
+ * @param {string} date A fixed-date holiday in YYYY-MM-DD format.
+ * @returns {string} The day it is observed: the Friday before a Saturday, the Monday after a Sunday.
+ */
+function observed(date) {
+  const dayOfWeek = getDayOfWeek(date);
+  return dayOfWeek === 6 ? addDays(date, -1) : dayOfWeek === 0 ? addDays(date, 1) : date;
+}
+
+/**
+ * @param {number} year The year.
+ * @param {number} month The month, 1 to 12.
+ * @param {number} dayOfWeek The weekday, 0 for Sunday to 6 for Saturday.
+ * @param {number} n Which occurrence, starting at 1.
+ * @returns {string} The date of the nth weekday of the month.
+ */
+function nthWeekday(year, month, dayOfWeek, n) {
+  const first = `${year}-${String(month).padStart(2, "0")}-01`;
+  return addDays(first, ((dayOfWeek - getDayOfWeek(first) + 7) % 7) + (n - 1) * 7);
+}
+
+/**
+ * @param {number} year The year.
+ * @param {number} month The month, 1 to 12.
+ * @param {number} dayOfWeek The weekday, 0 for Sunday to 6 for Saturday.
+ * @returns {string} The date of the last such weekday of the month.
+ */
+function lastWeekday(year, month, dayOfWeek) {
+  const last = addDays(nthWeekday(year, month, dayOfWeek, 1), 28);
+  return last.slice(5, 7) === String(month).padStart(2, "0") ? last : addDays(last, -7);
+}
+
+/**
+ * Computes Easter Sunday with the anonymous Gregorian algorithm.
+ * @param {number} year The year.
+ * @returns {string} The date of Easter Sunday.
+ */
+function getEaster(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
@@ -0,0 +1,141 @@
+/* global localStorage, performance */
+
+import { getNumberSetting } from "./settings";
+
+// Counts API usage by custom function and by endpoint so a workbook's request volume is visible
+// before it runs into the plan's limits. Totals are kept for the current session (since the
+// add-in runtime loaded) and for each day, in localStorage so the task pane can show them.
+
+const USAGE_KEY = "polygonUsage";
+const DAYS_KEPT = 14;
+
+export const DAILY_BUDGET_SETTING = "polygonDailyRequestBudget";
+
+// Share of the daily budget at which the task pane starts warning.
+export const BUDGET_WARNING_RATIO = 0.8;
+
+// Paths are grouped by endpoint, so every ticker and date range counts towards the same row.
+const ENDPOINT_PATTERNS = [
+  [
+    /^\/v2\/aggs\/ticker\/[^/]+\/range\/[^/]+\/[^/]+\/[^/]+\/[^/]+$/,
+    "/v2/aggs/ticker/{ticker}/range/{multiplier}/{timespan}/{from}/{to}",
+  ],
+  [/^\/v2\/aggs\/ticker\/[^/]+\/prev$/, "/v2/aggs/ticker/{ticker}/prev"],
+  [
+    /^\/v2\/aggs\/grouped\/locale\/[^/]+\/market\/[^/]+\/[^/]+$/,
+    "/v2/aggs/grouped/locale/{locale}/market/{market}/{date}",
+  ],
+  [/^\/v1\/open-close\/[^/]+\/[^/]+$/, "/v1/open-close/{ticker}/{date}"],
+  [/^\/v2\/last\/trade\/[^/]+$/, "/v2/last/trade/{ticker}"],
+  [/^\/v2\/last\/nbbo\/[^/]+$/, "/v2/last/nbbo/{ticker}"],
+  [
+    /^\/v2\/snapshot\/locale\/us\/markets\/stocks\/tickers\/[^/]+$/,
+    "/v2/snapshot/locale/us/markets/stocks/tickers/{ticker}",
+  ],
+  [/^\/v3\/reference\/tickers\/[^/]+$/, "/v3/reference/tickers/{ticker}"],
+];
+
+/**
+ * Returns the endpoint a request path belongs to, with tickers and dates replaced by placeholders.
+ * @param {string} path The request path (e.g., "/v2/last/trade/AAPL").
+ * @returns {string} The endpoint name (e.g., "/v2/last/trade/{ticker}").
+ */
+export function getEndpointName(path) {
+  const match = ENDPOINT_PATTERNS.find(([pattern]) => pattern.test(path));
+  return match ? match[1] : path;
+}
+
+/**
+ * Adds to the usage counters of a function and endpoint, for the session and for today.
+ * @param {string} functionName The custom function that made the request.
+ * @param {string} path The request path.
+ * @param {Object} counts Amounts to add: calls, cacheHits, cacheMisses, requests, errors and
+ * latencyMs (total time spent waiting on the network).
+ */
+export function recordUsage(functionName, path, counts) {
+  const usage = loadUsage();
+  const endpoint = getEndpointName(path);
+  const today = getDayKey(Date.now());
+  usage.days[today] = usage.days[today] || createScope();
+
+  [usage.session, usage.days[today]].forEach((scope) => {
+    addCounts(scope.totals, counts);
+    addCounts((scope.functions[functionName] = scope.functions[functionName] || {}), counts);
+    addCounts((scope.endpoints[endpoint] = scope.endpoints[endpoint] || {}), counts);
+  });
+
+  Object.keys(usage.days)
+    .sort()
+    .slice(0, -DAYS_KEPT)
+    .forEach((day) => delete usage.days[day]);
+  localStorage.setItem(USAGE_KEY, JSON.stringify(usage));
+}
+
+/**
+ * Returns the usage recorded in the current session and today.
+ * @returns {{session: Object, today: Object, budget: number}} Each scope has totals plus counters
+ * by function and by endpoint; budget is the daily request budget, or 0 when none is set.
+ */
+export function getUsage() {
+  const usage = loadUsage();
+  return {
+    session: usage.session,
+    today: usage.days[getDayKey(Date.now())] || createScope(),
+    budget: getNumberSetting(DAILY_BUDGET_SETTING, 0),
+  };
+}
+
+/**
+ * Forgets all recorded usage.
+ */
+export function resetUsage() {
+  localStorage.removeItem(USAGE_KEY);
+}
+
+/**
+ * Reads the stored usage, starting a new session when the runtime has been reloaded since.
+ * @returns {{session: Object, days: Object<string, Object>}} The stored usage.
+ */
+function loadUsage() {
+  // The task pane and custom functions bundles run in one page, so they share its time origin.
+  const sessionStartedAt = Math.round(performance.timeOrigin);
+  let usage;
+  try {
+    usage = JSON.parse(localStorage.getItem(USAGE_KEY));
+  } catch {
+    usage = null;
+  }
+  usage = usage || { days: {} };
+  if (!usage.session || usage.session.startedAt !== sessionStartedAt) {
+    usage.session = { ...createScope(), startedAt: sessionStartedAt };
+  }
+  return usage;
+}
+
+/**
+ * @returns {Object} An empty usage scope.
+ */
+function createScope() {
+  return { totals: {}, functions: {}, endpoints: {} };
+}
+
+/**
+ * @param {Object} counters The counters to add to.
+ * @param {Object} counts Amounts to add, by counter name.
+ */
+function addCounts(counters, counts) {
+  Object.keys(counts).forEach((name) => {
+    counters[name] = (counters[name] || 0) + counts[name];
+  });
+}
+
+/**
+ * @param {number} time Unix time in milliseconds.
+ * @returns {string} The local calendar day (e.g., "2024-03-15").
+ */
+function getDayKey(time) {
+  const date = new Date(time);
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
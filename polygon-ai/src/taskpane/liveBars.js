@@ -0,0 +1,123 @@
+/* global Excel */
+
+import { formatBarTime, getTimezone } from "../functions/dates";
+import { getSharedModules } from "../functions/sharedModules";
+import { getNumberFormats } from "./numberFormats";
+
+// Writes a ticker's intraday bars into an Excel table on a new worksheet: the session so far,
+// then a row for each bar as it closes. The oldest rows are removed once the table reaches its cap.
+
+// The columns getHistoricalOHLC returns, so the table can be used the same way.
+const COLUMNS = ["Date", "Open", "High", "Low", "Close", "Volume", "VWAP"];
+
+/**
+ * Starts writing bars into a new table.
+ * @param {string} ticker A stock, options ("O:"), forex ("C:") or crypto ("X:") ticker.
+ * @param {number} minutes The bar size in minutes.
+ * @param {number} maxRows The most rows to keep in the table.
+ * @param {function(string): void} onStatus Receives a message after each write or failure.
+ * @returns {Promise<function(): void>} Stops writing.
+ */
+export async function startLiveBars(ticker, minutes, maxRows, onStatus) {
+  const symbol = ticker.trim().toUpperCase();
+  const timeZone = getTimezone(symbol);
+  const formats = getNumberFormats("getHistoricalOHLC");
+  const { sheetName, tableName } = await addBarTable(symbol, minutes);
+
+  // Writes run one after another so rows stay in time order. A new table starts with one blank
+  // row, which the first write fills.
+  let writes = Promise.resolve();
+  let hasBlankRow = true;
+  return getSharedModules().barFeed.watchBars(symbol, minutes, {
+    onBars: (bars) => {
+      if (bars.length === 0) {
+        onStatus(`Waiting for the next ${minutes}-minute ${symbol} bar in "${sheetName}".`);
+        return;
+      }
+      const rows = bars.map((bar) => [
+        formatBarTime(bar.t, "minute", timeZone),
+        bar.o ?? "N/A",
+        bar.h ?? "N/A",
+        bar.l ?? "N/A",
+        bar.c ?? "N/A",
+        bar.v || "N/A",
+        bar.vw ?? "N/A",
+      ]);
+      writes = writes
+        .then(() => appendRows(tableName, rows, formats, maxRows, hasBlankRow))
+        .then((rowCount) => {
+          hasBlankRow = false;
+          onStatus(
+            `Writing ${minutes}-minute ${symbol} bars to "${sheetName}": ${rowCount} rows, last ${rows[rows.length - 1][0]}.`
+          );
+        })
+        .catch((error) => onStatus(`Could not write bars: ${error.message}`));
+    },
+    onError: onStatus,
+  });
+}
+
+/**
+ * Adds a worksheet named after the ticker and bar size, holding an empty table.
+ * @param {string} symbol The ticker.
+ * @param {number} minutes The bar size in minutes.
+ * @returns {Promise<{sheetName: string, tableName: string}>} The new worksheet and table.
+ */
+async function addBarTable(symbol, minutes) {
+  return Excel.run(async (context) => {
+    // Worksheet names cannot contain ":" and must be unique.
+    const baseName = `${symbol.replace(/:/g, "-")} ${minutes}m`;
+    const worksheets = context.workbook.worksheets;
+    worksheets.load("items/name");
+    await context.sync();
+    const names = new Set(worksheets.items.map((sheet) => sheet.name.toLowerCase()));
+    let sheetName = baseName;
+    for (let copy = 2; names.has(sheetName.toLowerCase()); copy++) {
+      sheetName = `${baseName} (${copy})`;
+    }
+
+    const sheet = worksheets.add(sheetName);
+    const table = sheet.tables.add(sheet.getRangeByIndexes(0, 0, 1, COLUMNS.length), true);
+    table.getHeaderRowRange().values = [COLUMNS];
+    table.load("name");
+    sheet.activate();
+    await context.sync();
+    return { sheetName, tableName: table.name };
+  });
+}
+
+/**
+ * Appends rows to the table and removes the oldest rows beyond the cap.
+ * @param {string} tableName The table.
+ * @param {any[][]} rows The rows to append.
+ * @param {Array<string|null>} formats Number formats by column.
+ * @param {number} maxRows The most rows to keep.
+ * @param {boolean} hasBlankRow Whether the table still has the blank row it was created with.
+ * @returns {Promise<number>} The number of rows in the table.
+ */
+async function appendRows(tableName, rows, formats, maxRows, hasBlankRow) {
+  return Excel.run(async (context) => {
+    const table = context.workbook.tables.getItem(tableName);
+    if (hasBlankRow) {
+      table.getDataBodyRange().getRow(0).values = [rows[0]];
+    }
+    if (rows.length > (hasBlankRow ? 1 : 0)) {
+      table.rows.add(null, hasBlankRow ? rows.slice(1) : rows);
+    }
+    const body = table.getDataBodyRange();
+    body.load("rowCount");
+    await context.sync();
+
+    const added = body.getRow(body.rowCount - rows.length).getResizedRange(rows.length - 1, 0);
+    added.numberFormat = rows.map(() => formats);
+    const excess = body.rowCount - maxRows;
+    if (excess > 0) {
+      body
+        .getRow(0)
+        .getResizedRange(excess - 1, 0)
+        .delete(Excel.DeleteShiftDirection.up);
+    }
+    await context.sync();
+    return Math.min(body.rowCount, maxRows);
+  });
+}
@@ -0,0 +1,75 @@
+/* global Excel */
+
+// Custom functions return raw numbers so results can be summed and charted. These number formats
+// give their spill ranges a readable display; percentages are returned as fractions.
+
+const PRICE = "#,##0.00";
+const CURRENCY = "$#,##0.00";
+const PERCENT = "0.00%";
+const COUNT = "#,##0";
+const INDICATOR = "0.0000";
+
+/**
+ * Number formats for each column of a function's spill range, keyed by upper-case function name.
+ * A null entry leaves that column's format unchanged.
+ */
+const FUNCTION_NUMBER_FORMATS = {
+  GETATR: [null, INDICATOR],
+  GETBOLLINGERBANDS: [null, INDICATOR, INDICATOR, INDICATOR],
+  GETDAILYOPENCLOSE: [null, PRICE, PRICE, PRICE, PRICE],
+  GETHISTORICALOHLC: [null, PRICE, PRICE, PRICE, PRICE, COUNT, PRICE],
+  GETLASTQUOTE: [PRICE, COUNT, PRICE, COUNT, null],
+  GETLASTTRADE: [PRICE, COUNT, null, null, null],
+  GETPIVOTPOINTS: [null, INDICATOR],
+  GETPORTFOLIOSUMMARY: [null, COUNT, CURRENCY, CURRENCY, PERCENT],
+  GETSECTORPERFORMANCE: [null, PERCENT, PERCENT, null],
+  GETSNAPSHOTTICKER: [PRICE, PRICE, PRICE, PRICE, PERCENT],
+  GETTECHNICALINDICATOR: [null, INDICATOR, INDICATOR, INDICATOR, INDICATOR, INDICATOR],
+};
+
+/**
+ * Returns the number formats for each column a function returns.
+ * @param {string} functionName The custom function name (e.g., "getHistoricalOHLC").
+ * @returns {Array<string|null>|null} Formats by column, or null when the function has none.
+ */
+export function getNumberFormats(functionName) {
+  return FUNCTION_NUMBER_FORMATS[functionName.toUpperCase()] || null;
+}
+
+/**
+ * Applies number formats to the spill range of the POLYGON formula in the active cell.
+ * The header row is left as text.
+ * @returns {Promise<string>} A status message for the task pane.
+ */
+export async function formatActiveSpillRange() {
+  return Excel.run(async (context) => {
+    const activeCell = context.workbook.getActiveCell();
+    activeCell.load("formulas");
+    const spillRange = activeCell.getSpillingToRangeOrNullObject();
+    spillRange.load("rowCount, columnCount");
+    await context.sync();
+
+    const match = /POLYGON\.(\w+)\s*\(/i.exec(String(activeCell.formulas[0][0]));
+    const formats = match && FUNCTION_NUMBER_FORMATS[match[1].toUpperCase()];
+    if (!formats) {
+      return "Select a cell containing a POLYGON function that returns a table.";
+    }
+    if (spillRange.isNullObject || spillRange.rowCount < 2) {
+      return "The selected formula has no results to format.";
+    }
+
+    const dataRowCount = spillRange.rowCount - 1;
+    const dataRange = spillRange.getOffsetRange(1, 0).getResizedRange(-1, 0);
+    formats.slice(0, spillRange.columnCount).forEach((format, column) => {
+      if (format) {
+        const columnFormats = [];
+        for (let row = 0; row < dataRowCount; row++) {
+          columnFormats.push([format]);
+        }
+        dataRange.getColumn(column).numberFormat = columnFormats;
+      }
+    });
+    await context.sync();
+    return `Applied number formats to ${match[1]} results.`;
+  });
+}
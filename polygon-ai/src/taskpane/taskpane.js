@@ -1,3 +1,47 @@
+/* global Blob, console, document, Excel, Office, setInterval, setTimeout, URL */
+
+import {
+  ENDPOINT_FAMILIES,
+  clearEntitlements,
+  getEntitlements,
+  getKeyFingerprint,
+  getMissingPlans,
+  recordEntitlement,
+} from "../functions/entitlements";
+import {
+  DEFAULT_FIXTURE_STORE,
+  deleteFixtureStore,
+  exportFixtureStore,
+  getFixtureMode,
+  getFixtureStoreName,
+  importFixtureStore,
+  listFixtureStores,
+  setFixtureMode,
+} from "../functions/fixtureStore";
+import { TIMEZONE_SETTING, checkTimezone } from "../functions/dates";
+import {
+  DEFAULT_KEY_PROFILE,
+  deleteKeyProfile,
+  getApiKey,
+  getKeyProfileName,
+  getNumberSetting,
+  getStringSetting,
+  getWorkbookKeyProfile,
+  listKeyProfiles,
+  saveKeyProfile,
+  setDefaultKeyProfile,
+  setSetting,
+  setWorkbookKeyProfile,
+} from "../functions/settings";
+import { getSharedModules } from "../functions/sharedModules";
+import { startLiveBars } from "./liveBars";
+import { formatActiveSpillRange } from "./numberFormats";
+
+const USAGE_REFRESH_MS = 10000;
+
+// Stops the live bars being written, while they are.
+let stopLiveBars = null;
+
 Office.onReady(() => {
   // Hide sideload message and show app body
   document.getElementById("sideload-msg").style.display = "none";
@@ -6,15 +50,20 @@ Office.onReady(() => {
   // Define custom functions with signature, example formula, and description
   const customFunctions = [
     {
-      signature: "getATR(ticker, [period], [from], [to])",
+      signature: "getATR(ticker, [period], [from], [to], [timespan])",
       example: '=POLYGON.getATR("AAPL", 14, "2024-01-01", "2024-03-15")',
       description: "Calculates Average True Range (ATR) for a stock"
     },
     {
-      signature: "getBollingerBands(ticker, [period], [stdDev], [from], [to])",
+      signature: "getBollingerBands(ticker, [period], [stdDev], [from], [to], [timespan])",
       example: '=POLYGON.getBollingerBands("AAPL", 20, 2, "2024-01-01", "2024-03-15")',
       description: "Calculates Bollinger Bands with customizable period and standard deviation"
     },
+    {
+      signature: "getCompanyFinancials(ticker, [period], [limit])",
+      example: '=POLYGON.getCompanyFinancials("AAPL", "annual")',
+      description: "Retrieves revenue, net income and operating expenses from company financials"
+    },
     {
       signature: "getDailyOpenClose(ticker, date)",
       example: '=POLYGON.getDailyOpenClose("AAPL", "2024-10-01")',
@@ -31,9 +80,14 @@ Office.onReady(() => {
       description: "Retrieves information about stock exchanges"
     },
     {
-      signature: "getHistoricalOHLC(ticker, fromDate, toDate, [timespan])",
-      example: '=POLYGON.getHistoricalOHLC("AAPL", "2024-01-01", "2024-12-31", "day")',
-      description: "Retrieves historical OHLC data for a specific date range"
+      signature: "getHistoricalOHLC(ticker, fromDate, toDate, [timespan], [maxRows])",
+      example: '=POLYGON.getHistoricalOHLC("AAPL", "2024-01-01", "2024-01-31", "15minute")',
+      description: "Retrieves historical OHLC data for a specific date range, in bars such as day, 15minute or 4hour"
+    },
+    {
+      signature: "getIndexSnapshot(ticker)",
+      example: '=POLYGON.getIndexSnapshot("I:SPX")',
+      description: "Retrieves a snapshot of an index"
     },
     {
       signature: "getLastQuote(ticker)",
@@ -61,9 +115,24 @@ Office.onReady(() => {
       description: "Gets the market status from Polygon.io"
     },
     {
-      signature: "getPivotPoints(ticker, [method])",
-      example: '=POLYGON.getPivotPoints("AAPL", "standard")',
-      description: "Calculates pivot points using various methods (standard, fibonacci, woodie, demark)"
+      signature: "getOptionsLastQuote(ticker)",
+      example: '=POLYGON.getOptionsLastQuote("O:SPY261218C00600000")',
+      description: "Retrieves the last quote for an options contract"
+    },
+    {
+      signature: "getOptionsLastTrade(ticker)",
+      example: '=POLYGON.getOptionsLastTrade("O:SPY261218C00600000")',
+      description: "Retrieves the last trade for an options contract"
+    },
+    {
+      signature: "getOptionsSnapshot(ticker)",
+      example: '=POLYGON.getOptionsSnapshot("O:SPY261218C00600000")',
+      description: "Retrieves a snapshot of an options contract"
+    },
+    {
+      signature: "getPivotPoints(ticker, [method], [timeframe], [from], [to])",
+      example: '=POLYGON.getPivotPoints("AAPL", "camarilla", "weekly")',
+      description: "Calculates daily, weekly or monthly pivot points using various methods (standard, fibonacci, woodie, demark, camarilla), or a dated series of them from a start date"
     },
     {
       signature: "getPortfolioSummary(portfolioData)",
@@ -91,9 +160,10 @@ Office.onReady(() => {
       description: "Retrieves stock splits history for a ticker"
     },
     {
-      signature: "getTechnicalIndicator(ticker, indicator, [period], [from], [to])",
-      example: '=POLYGON.getTechnicalIndicator("AAPL", "RSI", 14, "2024-01-01", "2024-03-15")',
-      description: "Calculates technical indicators (SMA, EMA, RSI, MACD) for a stock"
+      signature:
+        "getTechnicalIndicator(ticker, indicator, [period], [from], [to], [timespan], [source])",
+      example: '=POLYGON.getTechnicalIndicator("AAPL", "RSI(14,wilder)", , "2024-01-01")',
+      description: "Calculates technical indicators (SMA, EMA, RSI, MACD, OBV, VWAP, MFI, A/D, CMF, volume SMA, ADX/DMI, Parabolic SAR, Supertrend, Ichimoku, Stochastic, Williams %R, CCI, ROC, Stochastic RSI) for a stock, with optional parameters such as MACD(8,21,5) or EMA(50,hlc3), from local price bars, Polygon's indicator endpoints or both side by side"
     },
     {
       signature: "getTickerDetails(ticker, [property])",
@@ -105,10 +175,60 @@ Office.onReady(() => {
       example: '=POLYGON.getTickerNews("AAPL", 10)',
       description: "Retrieves news articles for a specific stock ticker"
     },
+    {
+      signature: "nextTradingDay([date], [count])",
+      example: '=POLYGON.nextTradingDay("2024-11-27")',
+      description: "Returns the next US market trading day, skipping weekends and holidays"
+    },
+    {
+      signature: "previousTradingDay([date], [count])",
+      example: '=POLYGON.previousTradingDay()',
+      description: "Returns the previous US market trading day, skipping weekends and holidays"
+    },
     {
       signature: "searchTickers(searchTerm, [limit])",
       example: '=POLYGON.searchTickers("Apple", 10)',
       description: "Searches for tickers matching a search term"
+    },
+    {
+      signature: "streamLatestPrice(ticker, [property])",
+      example: '=POLYGON.streamLatestPrice("AAPL")',
+      description: "Refreshes the latest price on the live refresh interval during market hours"
+    },
+    {
+      signature: "streamMarketStatus([market])",
+      example: '=POLYGON.streamMarketStatus("us")',
+      description: "Refreshes the market status on the live refresh interval"
+    },
+    {
+      signature: "streamMinuteBar(ticker)",
+      example: '=POLYGON.streamMinuteBar("AAPL")',
+      description: "Streams each completed one-minute bar over Polygon's WebSocket feed"
+    },
+    {
+      signature: "streamQuote(ticker)",
+      example: '=POLYGON.streamQuote("AAPL")',
+      description: "Streams the live bid and ask over Polygon's WebSocket feed"
+    },
+    {
+      signature: "streamSnapshotTicker(ticker)",
+      example: '=POLYGON.streamSnapshotTicker("AAPL")',
+      description: "Refreshes a ticker snapshot on the live refresh interval during market hours"
+    },
+    {
+      signature: "streamTrade(ticker)",
+      example: '=POLYGON.streamTrade("AAPL")',
+      description: "Streams the latest trade over Polygon's WebSocket feed"
+    },
+    {
+      signature: "tradingDaysBetween(fromDate, toDate)",
+      example: '=POLYGON.tradingDaysBetween("2024-01-02", "2024-03-28")',
+      description: "Counts US market trading days between two dates"
+    },
+    {
+      signature: "tradingSessions([year])",
+      example: '=POLYGON.tradingSessions(2025)',
+      description: "Lists every US market session in a year with open and close times"
     }
   ];
 
@@ -118,6 +238,8 @@ Office.onReady(() => {
     const functionDiv = document.createElement("div");
     functionDiv.className = "function";
 
+    functionDiv.dataset.name = func.signature.split("(")[0];
+
     const signatureHeader = document.createElement("h3");
     signatureHeader.textContent = func.signature;
     signatureHeader.title = func.description;  // Added for tooltips
@@ -130,13 +252,71 @@ Office.onReady(() => {
 
     functionsList.appendChild(functionDiv);
   });
+  showFunctionAvailability();
 
-  // API key handling
-  const savedKey = localStorage.getItem("polygonApiKey");
-  toggleApiKeyInput(!savedKey);
-
+  // API key profiles
+  showKeyProfiles();
+  document.getElementById("keyProfileSelect").onchange = showSelectedKeyProfile;
+  document.getElementById("setDefaultKeyProfile").onclick = useKeyProfileByDefault;
+  document.getElementById("bindKeyProfile").onclick = toggleWorkbookKeyProfile;
+  document.getElementById("deleteKeyProfile").onclick = deleteSelectedKeyProfile;
   document.getElementById("setApiKey").onclick = setApiKey;
-  document.getElementById("changeApiKey").onclick = changeApiKey;
+  document.getElementById("checkPlan").onclick = checkPlanEntitlements;
+
+  // Request budget and API server settings
+  const { pollingFeed, polygonClient, streaming, usageMeter } = getSharedModules();
+  document.getElementById("requestsPerMinuteInput").value = getNumberSetting(
+    polygonClient.REQUESTS_PER_MINUTE_SETTING,
+    polygonClient.DEFAULT_REQUESTS_PER_MINUTE
+  );
+  document.getElementById("apiBaseUrlInput").value = polygonClient.getApiBaseUrl();
+  document.getElementById("streamUrlInput").value = getStringSetting(
+    streaming.STREAM_URL_SETTING,
+    ""
+  );
+  document.getElementById("pollIntervalInput").value = getNumberSetting(
+    pollingFeed.POLL_INTERVAL_SETTING,
+    pollingFeed.DEFAULT_POLL_INTERVAL_SECONDS
+  );
+  document.getElementById("dailyBudgetInput").value = getNumberSetting(
+    usageMeter.DAILY_BUDGET_SETTING,
+    0
+  );
+  document.getElementById("timezoneInput").value = getStringSetting(TIMEZONE_SETTING, "");
+  document.getElementById("saveSettings").onclick = saveSettings;
+
+  // Number formats for spilled results
+  document.getElementById("formatResults").onclick = formatResults;
+
+  // Live bars written into a worksheet table
+  document.getElementById("startLiveBars").onclick = startLiveBarsTable;
+  document.getElementById("stopLiveBars").onclick = stopLiveBarsTable;
+
+  // Response cache inspection
+  document.getElementById("refreshCache").onclick = showCacheSummary;
+  document.getElementById("clearCache").onclick = clearResponseCache;
+  showCacheSummary();
+
+  // API usage meter, refreshed while the task pane is open
+  document.getElementById("usageScopeSelect").onchange = showUsage;
+  document.getElementById("refreshUsage").onclick = showUsage;
+  document.getElementById("resetUsage").onclick = () => {
+    usageMeter.resetUsage();
+    showUsage();
+  };
+  showUsage();
+  setInterval(showUsage, USAGE_REFRESH_MS);
+
+  // Record and replay fixture stores
+  document.getElementById("fixtureModeSelect").value = getFixtureMode();
+  document.getElementById("fixtureStoreInput").value = getFixtureStoreName();
+  document.getElementById("applyFixtureMode").onclick = applyFixtureMode;
+  document.getElementById("exportFixtures").onclick = exportFixtures;
+  document.getElementById("importFixtures").onclick = () =>
+    document.getElementById("fixtureFileInput").click();
+  document.getElementById("fixtureFileInput").onchange = importFixtures;
+  document.getElementById("deleteFixtures").onclick = deleteFixtures;
+  showFixtureStores();
 });
 
 // Function to insert a formula into the active cell
@@ -152,29 +332,490 @@ async function insertFunction(formula) {
   }
 }
 
-// Function to toggle API key input visibility
-function toggleApiKeyInput(showInput) {
-  const inputContainer = document.getElementById("apiKeyInputContainer");
-  const apiKeySet = document.getElementById("apiKeySet");
-  if (showInput) {
-    inputContainer.style.display = "block";
-    apiKeySet.style.display = "none";
+// Function to apply number formats to the results of the selected formula
+async function formatResults() {
+  const status = document.getElementById("formatStatus");
+  try {
+    status.textContent = await formatActiveSpillRange();
+  } catch (error) {
+    console.error("Error formatting results:", error);
+    status.textContent = `Could not format results: ${error.message}`;
+  }
+}
+
+// Function to start writing live bars for the chosen ticker and bar size into a new table
+async function startLiveBarsTable() {
+  const status = document.getElementById("liveBarsStatus");
+  const ticker = document.getElementById("liveBarsTickerInput").value.trim();
+  const minutes = parseInt(document.getElementById("liveBarsSizeSelect").value, 10);
+  const maxRows = parseInt(document.getElementById("liveBarsMaxRowsInput").value, 10);
+  if (!ticker) {
+    status.textContent = "Enter a ticker.";
+    return;
+  }
+  if (isNaN(maxRows) || maxRows < 1) {
+    status.textContent = "Maximum rows must be 1 or more.";
+    return;
+  }
+  if (getFixtureMode() === "replay") {
+    status.textContent = "Live bars are not available while replaying fixtures.";
+    return;
+  }
+
+  document.getElementById("startLiveBars").disabled = true;
+  status.textContent = `Loading today's ${ticker.toUpperCase()} bars...`;
+  try {
+    stopLiveBars = await startLiveBars(ticker, minutes, maxRows, (message) => {
+      status.textContent = message;
+    });
+    document.getElementById("stopLiveBars").disabled = false;
+  } catch (error) {
+    console.error("Error starting live bars:", error);
+    status.textContent = `Could not start live bars: ${error.message}`;
+    document.getElementById("startLiveBars").disabled = false;
+  }
+}
+
+// Function to stop writing live bars; the table keeps the rows written so far
+function stopLiveBarsTable() {
+  if (stopLiveBars) {
+    stopLiveBars();
+    stopLiveBars = null;
+  }
+  document.getElementById("startLiveBars").disabled = false;
+  document.getElementById("stopLiveBars").disabled = true;
+  document.getElementById("liveBarsStatus").textContent = "Stopped. The table keeps its rows.";
+}
+
+// Function to list the key profiles and select one
+function showKeyProfiles(selectedName = getKeyProfileName()) {
+  const select = document.getElementById("keyProfileSelect");
+  const workbookProfile = getWorkbookKeyProfile();
+  select.innerHTML = "";
+  listKeyProfiles().forEach((profile) => {
+    const notes = [];
+    if (profile.isDefault) {
+      notes.push("default");
+    }
+    if (profile.name === workbookProfile) {
+      notes.push("this workbook");
+    }
+    const option = document.createElement("option");
+    option.value = profile.name;
+    option.textContent = `${profile.name} (${profile.maskedKey})${notes.length ? `, ${notes.join(", ")}` : ""}`;
+    select.appendChild(option);
+  });
+  select.value = selectedName;
+  showSelectedKeyProfile();
+}
+
+// Function to show which profile this workbook uses and label the binding button
+function showSelectedKeyProfile() {
+  const name = document.getElementById("keyProfileSelect").value;
+  const summary = document.getElementById("keyProfileSummary");
+  const workbookProfile = getWorkbookKeyProfile();
+  const profileInUse = getKeyProfileName();
+
+  document.getElementById("bindKeyProfile").textContent =
+    name && name === workbookProfile ? "Unbind This Workbook" : "Use for This Workbook";
+  if (!name) {
+    summary.textContent = "No API keys saved yet. Add one below.";
+  } else if (workbookProfile && workbookProfile !== profileInUse) {
+    summary.textContent = `This workbook asks for the "${workbookProfile}" profile, which is not set up on this computer, so it uses "${profileInUse}".`;
   } else {
-    inputContainer.style.display = "none";
-    apiKeySet.style.display = "block";
+    summary.textContent = `This workbook uses the "${profileInUse}" profile${workbookProfile ? "" : " (the default)"}.`;
+  }
+}
+
+// Function to make the selected profile the default for workbooks not bound to another
+function useKeyProfileByDefault() {
+  const name = document.getElementById("keyProfileSelect").value;
+  if (name) {
+    setDefaultKeyProfile(name);
+    onKeyProfileChanged(name);
+  }
+}
+
+// Function to bind this workbook to the selected profile, or remove the binding
+async function toggleWorkbookKeyProfile() {
+  const name = document.getElementById("keyProfileSelect").value;
+  if (!name) {
+    return;
+  }
+  try {
+    await setWorkbookKeyProfile(name === getWorkbookKeyProfile() ? null : name);
+    onKeyProfileChanged(name);
+  } catch (error) {
+    console.error("Error binding key profile:", error);
+    document.getElementById("apiKeyStatus").textContent =
+      `Could not save the workbook's key profile: ${error.message}`;
+  }
+}
+
+// Function to delete the selected profile
+function deleteSelectedKeyProfile() {
+  const name = document.getElementById("keyProfileSelect").value;
+  if (name) {
+    deleteKeyProfile(name);
+    document.getElementById("apiKeyStatus").textContent = `Deleted key profile "${name}".`;
+    onKeyProfileChanged();
   }
 }
 
-// Function to save the API key
-function setApiKey() {
-  const input = document.getElementById("apiKeyInput").value;
-  localStorage.setItem("polygonApiKey", input);
-  document.getElementById("apiKeyStatus").textContent = "API key saved successfully.";
-  toggleApiKeyInput(!input);
+// Function to refresh everything that depends on which API key is in use
+function onKeyProfileChanged(selectedName) {
+  showKeyProfiles(selectedName);
+  showFunctionAvailability();
+  document.getElementById("planStatus").textContent = "";
 }
 
-// Function to change the API key
-function changeApiKey() {
+// Function to check an API key with Polygon.io and save it under a profile name
+async function setApiKey() {
+  const status = document.getElementById("apiKeyStatus");
+  const name = document.getElementById("keyProfileNameInput").value.trim() || DEFAULT_KEY_PROFILE;
+  const key = document.getElementById("apiKeyInput").value.trim();
+  if (!key) {
+    status.textContent = "Enter an API key.";
+    return;
+  }
+
+  status.textContent = "Checking the key with Polygon.io...";
+  let message = `Key saved as "${name}".`;
+  try {
+    const httpStatus = await getSharedModules().polygonClient.checkApiKey(key);
+    if (httpStatus === 401) {
+      status.textContent = "Polygon.io rejected this key. Check that it was entered correctly.";
+      return;
+    }
+    if (httpStatus !== 200) {
+      message = `Key saved as "${name}", but could not be checked (HTTP ${httpStatus}).`;
+    }
+  } catch (error) {
+    console.error("Error checking API key:", error);
+    message = `Key saved as "${name}", but could not be checked: ${error.message}`;
+  }
+
+  saveKeyProfile(name, key);
   document.getElementById("apiKeyInput").value = "";
-  toggleApiKeyInput(true);
-}
\ No newline at end of file
+  status.textContent = message;
+  onKeyProfileChanged(name);
+  if (getKeyProfileName() === name) {
+    checkPlanEntitlements();
+  }
+}
+
+// Function to probe which paid endpoint families the saved API key's plan includes
+async function checkPlanEntitlements() {
+  const status = document.getElementById("planStatus");
+  const { polygonClient } = getSharedModules();
+  const fingerprint = getKeyFingerprint(getApiKey(), polygonClient.getApiBaseUrl());
+  const families = Object.keys(ENDPOINT_FAMILIES);
+  const missing = [];
+  clearEntitlements(fingerprint);
+  showFunctionAvailability();
+
+  for (let i = 0; i < families.length; i++) {
+    const family = ENDPOINT_FAMILIES[families[i]];
+    status.textContent = `Checking your plan (${i + 1} of ${families.length}: ${family.label})...`;
+    try {
+      const httpStatus = await polygonClient.checkEndpoint(family.probe.path, family.probe.params);
+      if (httpStatus === 401) {
+        status.textContent = "The API key was rejected. Check that it was entered correctly.";
+        return;
+      }
+      // 404 means the probe contract or ticker had no data, which still proves access.
+      if (httpStatus === 200 || httpStatus === 404 || httpStatus === 403) {
+        recordEntitlement(fingerprint, families[i], httpStatus !== 403);
+        if (httpStatus === 403) {
+          missing.push(family);
+        }
+      }
+    } catch (error) {
+      console.error(`Error checking ${family.label}:`, error);
+    }
+    showFunctionAvailability();
+  }
+
+  status.textContent =
+    missing.length === 0
+      ? "Your plan includes every endpoint the add-in uses."
+      : `Not in your plan: ${missing.map((family) => `${family.label} (${family.plan})`).join(", ")}.`;
+}
+
+// Function to grey out functions that need endpoints the API key's plan does not include
+function showFunctionAvailability() {
+  const baseUrl = getSharedModules().polygonClient.getApiBaseUrl();
+  const entitlements = getEntitlements(getKeyFingerprint(getApiKey(), baseUrl));
+  document.querySelectorAll("#functions-list .function").forEach((functionDiv) => {
+    const missingPlans = getMissingPlans(functionDiv.dataset.name, entitlements);
+    functionDiv.classList.toggle("unavailable", missingPlans.length > 0);
+    functionDiv.title =
+      missingPlans.length > 0 ? `Requires a Polygon.io ${missingPlans.join(" and ")} plan` : "";
+  });
+}
+
+// Function to save the request budget, timezone and API server settings
+function saveSettings() {
+  const requestsPerMinute = parseInt(document.getElementById("requestsPerMinuteInput").value, 10);
+  if (isNaN(requestsPerMinute) || requestsPerMinute < 0) {
+    document.getElementById("settingsStatus").textContent =
+      "Requests per minute must be 0 or more.";
+    return;
+  }
+  const dailyBudget = parseInt(document.getElementById("dailyBudgetInput").value || "0", 10);
+  if (isNaN(dailyBudget) || dailyBudget < 0) {
+    document.getElementById("settingsStatus").textContent =
+      "Daily request budget must be 0 or more.";
+    return;
+  }
+  const timezone = document.getElementById("timezoneInput").value.trim();
+  if (timezone) {
+    try {
+      checkTimezone(timezone);
+    } catch (error) {
+      document.getElementById("settingsStatus").textContent = error.message;
+      return;
+    }
+  }
+  const apiBaseUrl = document.getElementById("apiBaseUrlInput").value.trim();
+  if (apiBaseUrl && !/^https?:\/\/[^/\s]+/i.test(apiBaseUrl)) {
+    document.getElementById("settingsStatus").textContent =
+      "API base URL must start with http:// or https://.";
+    return;
+  }
+  const streamUrl = document.getElementById("streamUrlInput").value.trim();
+  if (streamUrl && !/^wss?:\/\/[^/\s]+/i.test(streamUrl)) {
+    document.getElementById("settingsStatus").textContent =
+      "Streaming URL must start with ws:// or wss://.";
+    return;
+  }
+  const { pollingFeed, polygonClient, streaming, usageMeter } = getSharedModules();
+  const pollInterval = parseInt(document.getElementById("pollIntervalInput").value, 10);
+  if (isNaN(pollInterval) || pollInterval < pollingFeed.MIN_POLL_INTERVAL_SECONDS) {
+    document.getElementById("settingsStatus").textContent =
+      `Live refresh interval must be ${pollingFeed.MIN_POLL_INTERVAL_SECONDS} seconds or more.`;
+    return;
+  }
+  setSetting(polygonClient.REQUESTS_PER_MINUTE_SETTING, requestsPerMinute);
+  setSetting(usageMeter.DAILY_BUDGET_SETTING, dailyBudget || "");
+  setSetting(TIMEZONE_SETTING, timezone);
+  // Leaving the field empty goes back to api.polygon.io.
+  setSetting(polygonClient.API_BASE_URL_SETTING, apiBaseUrl);
+  setSetting(streaming.STREAM_URL_SETTING, streamUrl);
+  setSetting(pollingFeed.POLL_INTERVAL_SETTING, pollInterval);
+  document.getElementById("apiBaseUrlInput").value = polygonClient.getApiBaseUrl();
+  document.getElementById("settingsStatus").textContent = "Settings saved.";
+  showUsage();
+}
+
+// Function to show the cached responses grouped by data class
+async function showCacheSummary() {
+  const entries = await getSharedModules().responseCache.getCacheEntries();
+  const groups = {};
+  entries.forEach((entry) => {
+    const group = groups[entry.dataClass] || (groups[entry.dataClass] = { count: 0, size: 0 });
+    group.count++;
+    group.size += entry.size;
+  });
+
+  const totalSize = entries.reduce((sum, entry) => sum + entry.size, 0);
+  document.getElementById("cacheSummary").textContent =
+    `${entries.length} cached responses (${formatKilobytes(totalSize)})`;
+
+  const table = document.getElementById("cacheTable");
+  table.innerHTML = "";
+  if (entries.length === 0) {
+    return;
+  }
+  const header = table.insertRow();
+  ["Data Class", "Responses", "Size"].forEach((label) => {
+    const cell = document.createElement("th");
+    cell.textContent = label;
+    header.appendChild(cell);
+  });
+  Object.keys(groups)
+    .sort()
+    .forEach((dataClass) => {
+      const row = table.insertRow();
+      row.insertCell().textContent = dataClass;
+      row.insertCell().textContent = groups[dataClass].count;
+      row.insertCell().textContent = formatKilobytes(groups[dataClass].size);
+    });
+}
+
+// Function to clear the response cache
+async function clearResponseCache() {
+  await getSharedModules().responseCache.clearCache();
+  await showCacheSummary();
+}
+
+// Function to show request counts for the session and today, and warn near the daily budget
+function showUsage() {
+  const { usageMeter } = getSharedModules();
+  const usage = usageMeter.getUsage();
+  const scope = usage[document.getElementById("usageScopeSelect").value];
+
+  const budgetStatus = document.getElementById("usageBudget");
+  const usedToday = usage.today.totals.requests || 0;
+  budgetStatus.classList.toggle(
+    "warning",
+    usage.budget > 0 && usedToday >= usage.budget * usageMeter.BUDGET_WARNING_RATIO
+  );
+  if (usage.budget <= 0) {
+    budgetStatus.textContent = `${usedToday} requests today. Set a daily budget in Settings to be warned before reaching it.`;
+  } else if (usedToday >= usage.budget) {
+    budgetStatus.textContent = `Daily budget reached: ${usedToday} of ${usage.budget} requests used today.`;
+  } else {
+    const percent = Math.round((usedToday / usage.budget) * 100);
+    budgetStatus.textContent = `${usedToday} of ${usage.budget} requests used today (${percent}%).`;
+  }
+
+  showUsageTable("usageTotalsTable", "Period", {
+    "This session": usage.session.totals,
+    Today: usage.today.totals,
+  });
+  showUsageTable("usageFunctionTable", "Function", scope.functions);
+  showUsageTable("usageEndpointTable", "Endpoint", scope.endpoints);
+}
+
+// Function to fill a usage table with one row per function, endpoint or period
+function showUsageTable(tableId, label, rows) {
+  const table = document.getElementById(tableId);
+  table.innerHTML = "";
+  const names = Object.keys(rows).sort((a, b) => (rows[b].calls || 0) - (rows[a].calls || 0));
+  if (names.length === 0) {
+    table.insertRow().insertCell().textContent = "No requests yet.";
+    return;
+  }
+  const header = table.insertRow();
+  [label, "Calls", "Hits", "Misses", "Requests", "Errors", "Avg ms"].forEach((text) => {
+    const cell = document.createElement("th");
+    cell.textContent = text;
+    header.appendChild(cell);
+  });
+  names.forEach((name) => {
+    const counts = rows[name];
+    const row = table.insertRow();
+    row.insertCell().textContent = name;
+    ["calls", "cacheHits", "cacheMisses", "requests", "errors"].forEach((counter) => {
+      row.insertCell().textContent = counts[counter] || 0;
+    });
+    row.insertCell().textContent = counts.requests
+      ? Math.round(counts.latencyMs / counts.requests)
+      : "";
+  });
+}
+
+// Function to format a size in characters as kilobytes
+function formatKilobytes(size) {
+  return `${(size / 1024).toFixed(1)} KB`;
+}
+
+// Function to return the fixture store named in the task pane
+function getSelectedFixtureStore() {
+  return document.getElementById("fixtureStoreInput").value.trim() || DEFAULT_FIXTURE_STORE;
+}
+
+// Function to list the fixture stores and how many responses each holds
+async function showFixtureStores() {
+  const stores = await listFixtureStores();
+
+  const list = document.getElementById("fixtureStoreList");
+  list.innerHTML = "";
+  stores.forEach((store) => {
+    const option = document.createElement("option");
+    option.value = store.name;
+    list.appendChild(option);
+  });
+
+  const table = document.getElementById("fixtureTable");
+  table.innerHTML = "";
+  if (stores.length === 0) {
+    return;
+  }
+  const header = table.insertRow();
+  ["Store", "Responses", "Size", "Last Recorded"].forEach((label) => {
+    const cell = document.createElement("th");
+    cell.textContent = label;
+    header.appendChild(cell);
+  });
+  stores.forEach((store) => {
+    const row = table.insertRow();
+    row.insertCell().textContent = store.name;
+    row.insertCell().textContent = store.count;
+    row.insertCell().textContent = formatKilobytes(store.size);
+    row.insertCell().textContent = new Date(store.lastRecordedAt).toLocaleString();
+  });
+}
+
+// Function to switch between live data, recording and replaying, then recalculate the workbook
+async function applyFixtureMode() {
+  const status = document.getElementById("fixtureStatus");
+  const mode = document.getElementById("fixtureModeSelect").value;
+  const storeName = getSelectedFixtureStore();
+  try {
+    if (mode === "replay" && !(await listFixtureStores()).some((s) => s.name === storeName)) {
+      status.textContent = `Fixture store "${storeName}" is empty. Record or import it first.`;
+      return;
+    }
+    await setFixtureMode(mode, storeName);
+    await Excel.run(async (context) => {
+      context.workbook.application.calculate(Excel.CalculationType.full);
+      await context.sync();
+    });
+    status.textContent =
+      mode === "off"
+        ? "Using live data."
+        : `${mode === "record" ? "Recording to" : "Replaying from"} "${storeName}".`;
+  } catch (error) {
+    console.error("Error switching fixture mode:", error);
+    status.textContent = `Could not switch mode: ${error.message}`;
+  }
+  await showFixtureStores();
+}
+
+// Function to download a fixture store as a JSON file
+async function exportFixtures() {
+  const status = document.getElementById("fixtureStatus");
+  const storeName = getSelectedFixtureStore();
+  const exported = await exportFixtureStore(storeName);
+  if (exported.responses.length === 0) {
+    status.textContent = `Fixture store "${storeName}" is empty.`;
+    return;
+  }
+  const blob = new Blob([JSON.stringify(exported, null, 2)], { type: "application/json" });
+  const link = document.createElement("a");
+  link.href = URL.createObjectURL(blob);
+  link.download = `${storeName}.polygon-fixtures.json`;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+  status.textContent = `Exported ${exported.responses.length} responses from "${storeName}".`;
+}
+
+// Function to load a fixture store from a JSON file, replacing any store with the same name
+async function importFixtures(event) {
+  const status = document.getElementById("fixtureStatus");
+  const file = event.target.files[0];
+  event.target.value = "";
+  if (!file) {
+    return;
+  }
+  try {
+    const storeName = document.getElementById("fixtureStoreInput").value.trim();
+    const result = await importFixtureStore(JSON.parse(await file.text()), storeName);
+    document.getElementById("fixtureStoreInput").value = result.name;
+    status.textContent = `Imported ${result.count} responses into "${result.name}".`;
+  } catch (error) {
+    console.error("Error importing fixtures:", error);
+    status.textContent = `Could not import ${file.name}: ${error.message}`;
+  }
+  await showFixtureStores();
+}
+
+// Function to delete the selected fixture store
+async function deleteFixtures() {
+  const storeName = getSelectedFixtureStore();
+  await deleteFixtureStore(storeName);
+  document.getElementById("fixtureStatus").textContent = `Deleted fixture store "${storeName}".`;
+  await showFixtureStores();
+}
@@ -0,0 +1,13 @@
+/* global global */
+
+// The add-in keeps its settings in localStorage, which Node does not have. Each test file gets an
+// empty in-memory store.
+
+const items = new Map();
+
+global.localStorage = {
+  getItem: (key) => (items.has(key) ? items.get(key) : null),
+  setItem: (key, value) => items.set(key, String(value)),
+  removeItem: (key) => items.delete(key),
+  clear: () => items.clear(),
+};
@@ -0,0 +1,70 @@
+import {
+  getBarLastDay,
+  getBarMinutes,
+  getRangePath,
+  parseBarSize,
+} from "../../src/functions/barSize";
+
+describe("parseBarSize", () => {
+  test("defaults to daily bars", () => {
+    expect(parseBarSize()).toEqual({ multiplier: 1, timespan: "day" });
+  });
+
+  test("reads a timespan with an optional multiplier", () => {
+    expect(parseBarSize("minute")).toEqual({ multiplier: 1, timespan: "minute" });
+    expect(parseBarSize("15minute")).toEqual({ multiplier: 15, timespan: "minute" });
+    expect(parseBarSize(" 4 Hours ")).toEqual({ multiplier: 4, timespan: "hour" });
+    expect(parseBarSize("2week")).toEqual({ multiplier: 2, timespan: "week" });
+  });
+
+  test("rejects unknown timespans and a zero multiplier", () => {
+    expect(() => parseBarSize("fortnight")).toThrow('Invalid timespan "fortnight".');
+    expect(() => parseBarSize("15")).toThrow(RangeError);
+    expect(() => parseBarSize("0day")).toThrow('The multiplier in "0day" must be at least 1.');
+  });
+
+  test("limits the timespans when asked", () => {
+    expect(parseBarSize("week", ["day", "week"])).toEqual({ multiplier: 1, timespan: "week" });
+    expect(() => parseBarSize("minute", ["day", "week"])).toThrow("Use day, week,");
+  });
+});
+
+describe("getRangePath", () => {
+  test("builds the range part of an aggregates path", () => {
+    expect(getRangePath(parseBarSize("15minute"))).toBe("range/15/minute");
+  });
+});
+
+describe("getBarMinutes", () => {
+  test("gives the longest a bar lasts", () => {
+    expect(getBarMinutes(parseBarSize("15minute"))).toBe(15);
+    expect(getBarMinutes(parseBarSize("4hour"))).toBe(240);
+    expect(getBarMinutes(parseBarSize("month"))).toBe(31 * 24 * 60);
+    expect(getBarMinutes(parseBarSize("30second"))).toBeCloseTo(0.5);
+  });
+});
+
+describe("getBarLastDay", () => {
+  // Polygon stamps daily and longer bars at midnight in New York.
+  const MARCH_3 = Date.UTC(2024, 2, 3, 5);
+
+  test("gives a daily bar its own date", () => {
+    expect(getBarLastDay(MARCH_3, parseBarSize("day"))).toBe("2024-03-03");
+    expect(getBarLastDay(MARCH_3, parseBarSize("3day"))).toBe("2024-03-05");
+  });
+
+  test("runs weekly and calendar bars to their last day", () => {
+    expect(getBarLastDay(MARCH_3, parseBarSize("week"))).toBe("2024-03-09");
+    expect(getBarLastDay(MARCH_3, parseBarSize("2week"))).toBe("2024-03-16");
+    expect(getBarLastDay(Date.UTC(2024, 1, 1, 5), parseBarSize("month"))).toBe("2024-02-29");
+    expect(getBarLastDay(Date.UTC(2024, 0, 1, 5), parseBarSize("quarter"))).toBe("2024-03-31");
+    expect(getBarLastDay(Date.UTC(2024, 0, 1, 5), parseBarSize("year"))).toBe("2024-12-31");
+  });
+
+  test("dates an intraday bar by when it ends in the timezone", () => {
+    const lateEvening = Date.UTC(2024, 2, 5, 4, 50);
+    expect(getBarLastDay(lateEvening, parseBarSize("10minute"))).toBe("2024-03-04");
+    expect(getBarLastDay(lateEvening, parseBarSize("15minute"))).toBe("2024-03-05");
+    expect(getBarLastDay(lateEvening, parseBarSize("15minute"), "UTC")).toBe("2024-03-05");
+  });
+});
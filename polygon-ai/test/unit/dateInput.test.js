@@ -0,0 +1,75 @@
+import { parseDate, parseDateRange } from "../../src/functions/dateInput";
+import { FIXTURE_MODE_SETTING, REPLAY_AS_OF_SETTING } from "../../src/functions/fixtureStore";
+import { setSetting } from "../../src/functions/settings";
+
+// Trading days use the built-in calendar rules rather than fetching Polygon's upcoming holidays.
+jest.mock("../../src/functions/tradingCalendar", () => ({
+  ...jest.requireActual("../../src/functions/tradingCalendar"),
+  loadTradingCalendar: async () => ({ exceptions: new Map() }),
+}));
+
+// Relative dates count from the replay clock, pinned here to Friday 2024-03-15 in New York.
+function setNow(time) {
+  setSetting(FIXTURE_MODE_SETTING, "replay");
+  setSetting(REPLAY_AS_OF_SETTING, time);
+}
+
+beforeEach(() => setNow(Date.UTC(2024, 2, 15, 15)));
+
+describe("parseDate", () => {
+  test("accepts valid YYYY-MM-DD dates", async () => {
+    await expect(parseDate("2024-02-29")).resolves.toBe("2024-02-29");
+    await expect(parseDate(" 2024-03-15 ")).resolves.toBe("2024-03-15");
+    await expect(parseDate("2023-02-29")).rejects.toThrow(RangeError);
+  });
+
+  test("reads Excel serial dates", async () => {
+    await expect(parseDate(45366)).resolves.toBe("2024-03-15");
+    await expect(parseDate(45366.75)).resolves.toBe("2024-03-15");
+    await expect(parseDate("61")).resolves.toBe("1900-03-01");
+    await expect(parseDate(60)).rejects.toThrow(RangeError);
+  });
+
+  test("counts offsets from today", async () => {
+    await expect(parseDate("-30d")).resolves.toBe("2024-02-14");
+    await expect(parseDate("-2w")).resolves.toBe("2024-03-01");
+    await expect(parseDate("-6m")).resolves.toBe("2023-09-15");
+    await expect(parseDate("-1q")).resolves.toBe("2023-12-15");
+    await expect(parseDate("1Y")).resolves.toBe("2023-03-15");
+    await expect(parseDate("+1q")).resolves.toBe("2024-06-15");
+  });
+
+  test("finds the start of the week, month, quarter and year", async () => {
+    await expect(parseDate("WTD")).resolves.toBe("2024-03-11");
+    await expect(parseDate("mtd")).resolves.toBe("2024-03-01");
+    await expect(parseDate("QTD")).resolves.toBe("2024-01-01");
+    await expect(parseDate("YTD")).resolves.toBe("2024-01-01");
+  });
+
+  test("moves in trading days", async () => {
+    await expect(parseDate("T")).resolves.toBe("2024-03-15");
+    await expect(parseDate("T-1")).resolves.toBe("2024-03-14");
+    await expect(parseDate("t+1")).resolves.toBe("2024-03-18");
+    await expect(parseDate("T-10")).resolves.toBe("2024-03-01");
+    // Good Friday, 2024-03-29, is skipped.
+    await expect(parseDate("T+10")).resolves.toBe("2024-04-01");
+  });
+
+  test("counts from today in the given timezone", async () => {
+    setNow(Date.UTC(2024, 2, 15, 2));
+    await expect(parseDate("T")).resolves.toBe("2024-03-14");
+    await expect(parseDate("T", { timezone: "Asia/Tokyo" })).resolves.toBe("2024-03-15");
+  });
+
+  test("rejects anything else with a hint", async () => {
+    await expect(parseDate("yesterday")).rejects.toThrow('Invalid date "yesterday".');
+    await expect(parseDate(undefined)).rejects.toThrow("Invalid date (empty).");
+    await expect(parseDate("2024-3-15")).rejects.toThrow(RangeError);
+  });
+});
+
+describe("parseDateRange", () => {
+  test("parses both ends", async () => {
+    await expect(parseDateRange("-1m", "T")).resolves.toEqual(["2024-02-15", "2024-03-15"]);
+  });
+});
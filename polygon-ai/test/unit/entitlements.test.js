@@ -0,0 +1,45 @@
+/* global localStorage */
+
+import {
+  clearEntitlements,
+  getEntitlements,
+  getKeyFingerprint,
+  getMissingPlans,
+  recordEntitlement,
+} from "../../src/functions/entitlements";
+
+const TEAM = getKeyFingerprint("team-key", "https://api.polygon.io");
+const PERSONAL = getKeyFingerprint("personal-key", "https://api.polygon.io");
+
+beforeEach(() => localStorage.clear());
+
+describe("entitlements", () => {
+  test("keeps a set of entitlements per key", () => {
+    recordEntitlement(TEAM, "stocksTrades", true);
+    recordEntitlement(PERSONAL, "stocksTrades", false);
+    recordEntitlement(TEAM, "stocksQuotes", false);
+
+    expect(getEntitlements(TEAM)).toEqual({ stocksTrades: true, stocksQuotes: false });
+    expect(getEntitlements(PERSONAL)).toEqual({ stocksTrades: false });
+  });
+
+  test("clears only the given key", () => {
+    recordEntitlement(TEAM, "stocksTrades", true);
+    recordEntitlement(PERSONAL, "stocksTrades", false);
+    clearEntitlements(TEAM);
+
+    expect(getEntitlements(TEAM)).toEqual({});
+    expect(getEntitlements(PERSONAL)).toEqual({ stocksTrades: false });
+  });
+
+  test("fingerprints differ by key and server", () => {
+    expect(TEAM).not.toBe(PERSONAL);
+    expect(getKeyFingerprint("team-key", "http://localhost:3000")).not.toBe(TEAM);
+  });
+
+  test("lists the plans a function is missing", () => {
+    expect(getMissingPlans("getLastTrade", { stocksTrades: false })).toEqual(["Stocks Developer"]);
+    expect(getMissingPlans("getLastTrade", {})).toEqual([]);
+    expect(getMissingPlans("getHistoricalOHLC", { stocksTrades: false })).toEqual([]);
+  });
+});
@@ -0,0 +1,348 @@
+import {
+  checkBars,
+  getSettlingBars,
+  getWarmUpBars,
+  parseStudy,
+} from "../../src/functions/indicators";
+
+const DAY = 24 * 60 * 60 * 1000;
+const START = Date.UTC(2024, 2, 4, 21);
+
+/**
+ * @param {Array<Object>} prices Each bar's prices; a number is used for o, h, l and c.
+ * @returns {Object[]} Daily aggregate bars.
+ */
+function makeBars(prices) {
+  return prices.map((price, i) => ({
+    t: START + i * DAY,
+    v: 1000,
+    ...(typeof price === "number" ? { o: price, h: price, l: price, c: price } : price),
+  }));
+}
+
+/**
+ * Runs a study on bars the way getTechnicalIndicator does.
+ * @param {string} spec The indicator spec (e.g., "RSI(2,wilder)").
+ * @param {Object[]} bars Aggregate bars.
+ * @returns {Array} The study's value or row of values for each bar.
+ */
+function calculate(spec, bars) {
+  const { study, params } = parseStudy(spec);
+  return study.calculate(bars, params, "America/New_York");
+}
+
+/**
+ * @param {Array} values Values, rows of values and nulls.
+ * @returns {Array} The values rounded to six decimals, to compare with hand-worked figures.
+ */
+function round(values) {
+  return values.map((value) =>
+    Array.isArray(value)
+      ? round(value)
+      : typeof value === "number"
+        ? Math.round(value * 1e6) / 1e6
+        : value
+  );
+}
+
+describe("parseStudy", () => {
+  test("returns null for unknown studies", () => {
+    expect(parseStudy("FOO")).toBeNull();
+    expect(parseStudy("SMA[14]")).toBeNull();
+  });
+
+  test("uses the defaults, or the period argument for a leading period", () => {
+    expect(parseStudy("sma")).toMatchObject({ name: "SMA", params: [14, "close"] });
+    expect(parseStudy("SMA", 20).params).toEqual([20, "close"]);
+    expect(parseStudy("SMA(50)", 20).params).toEqual([50, "close"]);
+    expect(parseStudy("MACD", 20).params).toEqual([12, 26, 9, "close"]);
+  });
+
+  test("reads numbers in order and options in any position", () => {
+    expect(parseStudy("MACD(8,21,5)").params).toEqual([8, 21, 5, "close"]);
+    expect(parseStudy("RSI(14,wilder)").params).toEqual([14, "wilder", "close"]);
+    expect(parseStudy(" rsi( 10 , HLC3 , ema ) ").params).toEqual([10, "ema", "hlc3"]);
+    expect(parseStudy("PSAR(0.01,0.1)").params).toEqual([0.01, 0.1]);
+  });
+
+  test("rejects parameters the study does not take", () => {
+    expect(() => parseStudy("MACD(1,2,3,4)")).toThrow(
+      "MACD takes up to 3 numbers: fast, slow, signal."
+    );
+    expect(() => parseStudy("OBV(5)")).toThrow("OBV takes no numeric parameters.");
+    expect(() => parseStudy("SMA(14,wilder)")).toThrow(
+      'Unknown SMA option "wilder". Use close, hl2, hlc3, ohlc4, vwap.'
+    );
+    expect(() => parseStudy("OBV(hl2)")).toThrow('OBV takes no options such as "hl2".');
+  });
+
+  test("rejects values that are not positive, or not whole where they must be", () => {
+    expect(() => parseStudy("SMA(0)")).toThrow("SMA period must be a positive whole number.");
+    expect(() => parseStudy("SMA(2.5)")).toThrow("SMA period must be a positive whole number.");
+    expect(() => parseStudy("SMA", -3)).toThrow(RangeError);
+    expect(() => parseStudy("PSAR(0.02,-1)")).toThrow("PSAR max must be a positive number.");
+  });
+
+  test("labels the columns with the parameters that are not defaults", () => {
+    const label = (spec) => {
+      const { study, params } = parseStudy(spec);
+      return study.columns(params);
+    };
+    expect(label("RSI")).toEqual(["RSI(14)"]);
+    expect(label("RSI(14,wilder,hlc3)")).toEqual(["RSI(14,wilder,hlc3)"]);
+    expect(label("EMA(50,close)")).toEqual(["EMA(50)"]);
+  });
+});
+
+describe("checkBars", () => {
+  test("needs prices, and volume when the study uses it", () => {
+    const bars = makeBars([1, 2]);
+    delete bars[1].v;
+    expect(() => checkBars(bars)).not.toThrow();
+    expect(() => checkBars(bars, true)).toThrow("Invalid bar data at position 1.");
+    expect(() => checkBars(makeBars([1, { o: 1, h: 2, l: 1 }]))).toThrow(RangeError);
+  });
+});
+
+describe("moving averages", () => {
+  const bars = makeBars([2, 4, 6, 8, 4]);
+
+  test("SMA averages the last period of prices", () => {
+    expect(calculate("SMA(3)", bars)).toEqual([null, null, 4, 6, 6]);
+  });
+
+  test("EMA starts from the SMA and then weighs each price by 2 / (period + 1)", () => {
+    expect(calculate("EMA(3)", bars)).toEqual([null, null, 4, 6, 5]);
+  });
+
+  test("take their prices from the source", () => {
+    const bar = makeBars([{ o: 1, h: 4, l: 2, c: 3 }]);
+    expect(calculate("SMA(1,hl2)", bar)).toEqual([3]);
+    expect(calculate("SMA(1,hlc3)", bar)).toEqual([3]);
+    expect(calculate("SMA(1,ohlc4)", bar)).toEqual([2.5]);
+    expect(calculate("SMA(1,vwap)", [{ ...bar[0], vw: 3.5 }])).toEqual([3.5]);
+    // Bars without a VWAP use the typical price.
+    expect(calculate("SMA(1,vwap)", bar)).toEqual([3]);
+  });
+});
+
+describe("RSI", () => {
+  const bars = makeBars([1, 2, 1, 3, 2]);
+
+  test("averages gains and losses with a simple mean by default", () => {
+    expect(round(calculate("RSI(2)", bars))).toEqual([null, null, 50, 66.666667, 66.666667]);
+  });
+
+  test("smooths gains and losses the way Wilder did", () => {
+    expect(round(calculate("RSI(2,wilder)", bars))).toEqual([null, null, 50, 83.333333, 50]);
+  });
+
+  test("is 100 when there are no losses", () => {
+    expect(calculate("RSI(2)", makeBars([1, 2, 3, 4]))).toEqual([null, null, 100, 100]);
+  });
+});
+
+describe("MACD", () => {
+  test("gives the line, signal and histogram once the signal has its lookback", () => {
+    const rows = calculate("MACD(2,3,2)", makeBars([1, 2, 3, 4, 5, 3]));
+    expect(round(rows)).toEqual([
+      null,
+      null,
+      null,
+      [0.5, 0.5, 0],
+      [0.5, 0.5, 0],
+      [0, 0.166667, -0.166667],
+    ]);
+  });
+
+  test("needs a slow period longer than the fast one", () => {
+    expect(() => calculate("MACD(26,12)", makeBars([1, 2, 3]))).toThrow(
+      "MACD slow period must be greater than the fast period."
+    );
+  });
+});
+
+describe("volume studies", () => {
+  const bars = makeBars([
+    { o: 10, h: 12, l: 8, c: 11, v: 100 },
+    { o: 11, h: 13, l: 10, c: 12, v: 200 },
+    { o: 12, h: 12, l: 9, c: 10, v: 100 },
+    { o: 10, h: 11, l: 9, c: 10, v: 300 },
+  ]);
+
+  test("OBV adds up-close volume and subtracts down-close volume", () => {
+    expect(calculate("OBV", bars)).toEqual([0, 200, 100, 100]);
+  });
+
+  test("A/D weighs volume by where each bar closed in its range", () => {
+    expect(round(calculate("AD", bars))).toEqual([50, 116.666667, 83.333333, 83.333333]);
+  });
+
+  test("CMF divides the period's money flow volume by its volume", () => {
+    expect(round(calculate("CMF(2)", bars))).toEqual([null, 0.388889, 0.111111, -0.083333]);
+  });
+
+  test("MFI compares rising and falling typical price flows", () => {
+    expect(round(calculate("MFI(2)", bars))).toEqual([null, null, 69.306931, 0]);
+  });
+
+  test("VOLSMA averages volume", () => {
+    expect(calculate("VOLSMA(2)", bars)).toEqual([null, 150, 150, 200]);
+  });
+
+  test("anchored VWAP covers every bar since the first", () => {
+    expect(round(calculate("AVWAP", bars))).toEqual([10.333333, 11.222222, 11, 10.571429]);
+  });
+
+  test("VWAP starts again each trading day", () => {
+    const hour = 60 * 60 * 1000;
+    const intraday = [
+      { t: Date.UTC(2024, 2, 4, 15), o: 10, h: 10, l: 10, c: 10, v: 100, vw: 10 },
+      { t: Date.UTC(2024, 2, 4, 15) + hour, o: 13, h: 13, l: 13, c: 13, v: 200, vw: 13 },
+      { t: Date.UTC(2024, 2, 5, 15), o: 20, h: 20, l: 20, c: 20, v: 50, vw: 20 },
+    ];
+    expect(calculate("VWAP", intraday)).toEqual([10, 12, 20]);
+    // A daily bar's VWAP is its own.
+    expect(round(calculate("VWAP", bars))).toEqual([10.333333, 11.666667, 10.333333, 10]);
+  });
+});
+
+describe("trend studies", () => {
+  test("ADX and DMI smooth the directional movement the way Wilder did", () => {
+    const bars = makeBars([
+      { o: 9, h: 10, l: 8, c: 9 },
+      { o: 10, h: 12, l: 9, c: 11 },
+      { o: 11, h: 13, l: 10, c: 12 },
+      { o: 12, h: 12, l: 9, c: 10 },
+      { o: 11, h: 14, l: 11, c: 13 },
+    ]);
+    const expected = [null, null, null, [60, 25, 16.666667], [64.615385, 39.285714, 7.142857]];
+    expect(round(calculate("ADX(2)", bars))).toEqual(expected);
+    expect(round(calculate("DMI(2)", bars))).toEqual(expected);
+  });
+
+  test("PSAR trails the trend, stays below the last two lows and flips", () => {
+    const bars = makeBars([
+      { o: 9, h: 10, l: 8, c: 9 },
+      { o: 10, h: 11, l: 9, c: 10 },
+      { o: 11, h: 12, l: 10, c: 11 },
+      { o: 10, h: 10, l: 7, c: 8 },
+    ]);
+    expect(round(calculate("PSAR(0.1,0.2)", bars))).toEqual([
+      null,
+      [8, "Up"],
+      [8, "Up"],
+      [12, "Down"],
+    ]);
+  });
+
+  test("Supertrend holds its band until the close crosses it", () => {
+    const bars = makeBars([
+      { o: 9, h: 10, l: 8, c: 9 },
+      { o: 10, h: 11, l: 9, c: 10 },
+      { o: 11, h: 12, l: 10, c: 11 },
+      { o: 11, h: 11, l: 7, c: 7 },
+    ]);
+    expect(calculate("SUPERTREND(2,1)", bars)).toEqual([null, [8, "Up"], [9, "Up"], [12, "Down"]]);
+  });
+
+  test("Ichimoku plots the cloud ahead and the lagging span behind", () => {
+    const bars = makeBars([
+      { o: 9, h: 10, l: 8, c: 9 },
+      { o: 10, h: 12, l: 9, c: 11 },
+      { o: 11, h: 13, l: 11, c: 12 },
+      { o: 12, h: 12, l: 10, c: 10 },
+      { o: 12, h: 14, l: 12, c: 13 },
+    ]);
+    expect(calculate("ICHIMOKU(1,2,3)", bars)).toEqual([
+      [9, null, null, null, 12],
+      [10.5, 10, null, null, 10],
+      [12, 11, null, null, 13],
+      [11, 11.5, 10.25, null, null],
+      [13, 12, 11.5, 10.5, null],
+    ]);
+  });
+});
+
+describe("oscillators", () => {
+  const bars = makeBars([
+    { o: 9, h: 10, l: 8, c: 9 },
+    { o: 10, h: 12, l: 9, c: 11 },
+    { o: 11, h: 13, l: 10, c: 10 },
+    { o: 10, h: 12, l: 9, c: 12 },
+    { o: 12, h: 14, l: 11, c: 13 },
+  ]);
+
+  test("the fast stochastic places the close in the lookback's range", () => {
+    expect(calculate("STOCHF(2,2)", bars)).toEqual([null, null, [25, 50], [75, 50], [80, 77.5]]);
+  });
+
+  test("the slow stochastic smooths the fast %K", () => {
+    expect(calculate("STOCH(2,2,2)", bars)).toEqual([null, null, null, [50, 50], [77.5, 63.75]]);
+  });
+
+  test("Williams %R measures down from the lookback's high", () => {
+    expect(calculate("WILLR(2)", bars)).toEqual([null, -25, -75, -25, -20]);
+  });
+
+  test("CCI scales the typical price's distance by the mean deviation", () => {
+    expect(round(calculate("CCI(3)", bars))).toEqual([null, null, 63.636364, 50, 100]);
+  });
+
+  test("ROC is the change over the period as a fraction", () => {
+    expect(round(calculate("ROC(2)", bars))).toEqual([null, null, 0.111111, 0.090909, 0.3]);
+  });
+
+  test("Stochastic RSI sits at 50 while RSI does not move", () => {
+    expect(calculate("STOCHRSI(2,2,1,1)", makeBars([1, 2, 3, 4, 5, 6]))).toEqual([
+      null,
+      null,
+      null,
+      [50, 50],
+      [50, 50],
+      [50, 50],
+    ]);
+  });
+
+  test("Stochastic RSI stays between 0 and 100", () => {
+    const closes = [10, 12, 11, 13, 9, 8, 12, 14, 13, 10, 11, 15, 12];
+    const values = calculate("STOCHRSI(3,3,2,2)", makeBars(closes)).filter(Boolean).flat();
+    expect(values.length).toBeGreaterThan(0);
+    values.forEach((value) => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThanOrEqual(100);
+    });
+  });
+});
+
+describe("warm-up", () => {
+  // A price series that wanders, so averages depend on where they start.
+  const bars = makeBars(
+    Array.from({ length: 300 }, (_, i) => 100 + 10 * Math.sin(i / 7) + 3 * Math.cos(i / 2))
+  );
+
+  test("an exponential average settles once its seed weighs less than 0.1%", () => {
+    expect(getSettlingBars(0.5)).toBe(10);
+    expect(getSettlingBars(1 / 14)).toBe(94);
+  });
+
+  test("simple averages need only their lookback", () => {
+    expect(getWarmUpBars(parseStudy("SMA(20)"))).toBe(19);
+    expect(getWarmUpBars(parseStudy("OBV"))).toBe(0);
+  });
+
+  test.each(["SMA(20)", "EMA(10)", "RSI(14,wilder)", "MACD", "ADX(14)", "STOCHRSI"])(
+    "%s from the warm-up bars matches the value from a long history",
+    (spec) => {
+      const barStudy = parseStudy(spec);
+      const at = 280;
+      const start = at - getWarmUpBars(barStudy);
+      const fromHistory = [calculate(spec, bars)[at]].flat();
+      const fromWarmUp = [calculate(spec, bars.slice(start, at + 1)).pop()].flat();
+      // Prices here and the oscillators' scales are around 100, so this is within 0.1%.
+      fromWarmUp.forEach((value, i) => {
+        expect(Math.abs(value - fromHistory[i])).toBeLessThan(0.1);
+      });
+    }
+  );
+});
@@ -0,0 +1,76 @@
+import { PIVOT_METHODS, getPeriodStart, resampleBars } from "../../src/functions/pivots";
+
+const bar = { o: 9, h: 12, l: 8, c: 10 };
+
+/**
+ * @param {Array<Array>} levels [label, value] pairs.
+ * @returns {Object<string, number>} Values by label, rounded to six decimals.
+ */
+function byLabel(levels) {
+  return Object.fromEntries(levels.map(([label, value]) => [label, Math.round(value * 1e6) / 1e6]));
+}
+
+describe("PIVOT_METHODS", () => {
+  test("standard pivots step out by the range", () => {
+    expect(byLabel(PIVOT_METHODS.standard(bar))).toEqual({
+      "Pivot Point": 10,
+      "Resistance 1": 12,
+      "Resistance 2": 14,
+      "Resistance 3": 16,
+      "Support 1": 8,
+      "Support 2": 6,
+      "Support 3": 4,
+    });
+  });
+
+  test("Fibonacci pivots use fractions of the range", () => {
+    const levels = byLabel(PIVOT_METHODS.fibonacci(bar));
+    expect(levels["Resistance 1 (38.2%)"]).toBe(11.528);
+    expect(levels["Support 3 (100%)"]).toBe(6);
+  });
+
+  test("Woodie pivots weigh the close twice", () => {
+    expect(byLabel(PIVOT_METHODS.woodie(bar))["Pivot Point"]).toBe(10);
+    expect(byLabel(PIVOT_METHODS.woodie({ ...bar, c: 12 }))["Pivot Point"]).toBe(11);
+  });
+
+  test("DeMark pivots depend on whether the bar closed up or down", () => {
+    expect(byLabel(PIVOT_METHODS.demark(bar))).toEqual({
+      "Pivot Point": 10.5,
+      "Resistance 1": 13,
+      "Support 1": 9,
+    });
+    expect(byLabel(PIVOT_METHODS.demark({ ...bar, o: 11 }))["Pivot Point"]).toBe(9.5);
+  });
+
+  test("Camarilla levels sit around the close", () => {
+    const levels = byLabel(PIVOT_METHODS.camarilla(bar));
+    expect(levels["Resistance 1"]).toBe(10.366667);
+    expect(levels["Resistance 4"]).toBe(12.2);
+    expect(levels["Support 4"]).toBe(7.8);
+  });
+});
+
+describe("getPeriodStart", () => {
+  test("finds the Monday of the week and the first of the month", () => {
+    expect(getPeriodStart("2024-03-15", "weekly")).toBe("2024-03-11");
+    expect(getPeriodStart("2024-03-17", "weekly")).toBe("2024-03-11");
+    expect(getPeriodStart("2024-03-15", "monthly")).toBe("2024-03-01");
+    expect(getPeriodStart("2024-03-15", "daily")).toBe("2024-03-15");
+  });
+});
+
+describe("resampleBars", () => {
+  test("rolls daily bars up into weeks", () => {
+    const day = (date, prices) => ({ t: Date.parse(`${date}T21:00:00Z`), ...prices });
+    const bars = [
+      day("2024-03-14", { o: 10, h: 12, l: 9, c: 11 }),
+      day("2024-03-15", { o: 11, h: 14, l: 10, c: 13 }),
+      day("2024-03-18", { o: 13, h: 15, l: 12, c: 14 }),
+    ];
+    expect(resampleBars(bars, "weekly")).toEqual([
+      { period: "2024-03-11", date: "2024-03-14", o: 10, h: 14, l: 9, c: 13 },
+      { period: "2024-03-18", date: "2024-03-18", o: 13, h: 15, l: 12, c: 14 },
+    ]);
+  });
+});
@@ -0,0 +1,49 @@
+import { CACHE_POLICIES, getCachePolicy } from "../../src/functions/responseCache";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("getCachePolicy", () => {
+  test("classifies reference endpoints", () => {
+    expect(getCachePolicy("/v3/reference/exchanges")).toBe(CACHE_POLICIES.reference);
+    expect(getCachePolicy("/v3/reference/dividends")).toBe(CACHE_POLICIES.referenceDetails);
+    expect(getCachePolicy("/vX/reference/financials")).toBe(CACHE_POLICIES.referenceDetails);
+    expect(getCachePolicy("/v2/reference/news")).toBe(CACHE_POLICIES.news);
+  });
+
+  test("keeps ranges that ended before today for good", () => {
+    const path = "/v2/aggs/ticker/AAPL/range/1/day/2024-01-02/2024-03-15";
+    expect(getCachePolicy(path)).toBe(CACHE_POLICIES.historical);
+  });
+
+  test("treats ranges ending today or later as intraday", () => {
+    const nextYear = new Date().getUTCFullYear() + 1;
+    const path = `/v2/aggs/ticker/AAPL/range/15/minute/2024-01-02/${nextYear}-01-02`;
+    expect(getCachePolicy(path)).toBe(CACHE_POLICIES.intraday);
+  });
+
+  test("reads millisecond range bounds as timestamps", () => {
+    const now = Date.now();
+    const live = `/v2/aggs/ticker/AAPL/range/1/minute/${now - DAY}/${now}`;
+    expect(getCachePolicy(live)).toBe(CACHE_POLICIES.intraday);
+
+    const closed = Date.UTC(2024, 2, 15, 20);
+    const past = `/v2/aggs/ticker/AAPL/range/1/minute/${closed - DAY}/${closed}`;
+    expect(getCachePolicy(past)).toBe(CACHE_POLICIES.historical);
+  });
+
+  test("classifies dated endpoints by their date", () => {
+    expect(getCachePolicy("/v1/open-close/AAPL/2024-03-15")).toBe(CACHE_POLICIES.historical);
+    expect(getCachePolicy("/v2/aggs/grouped/locale/us/market/stocks/2024-03-15")).toBe(
+      CACHE_POLICIES.historical
+    );
+  });
+
+  test("gives live data short lifetimes and leaves unknown endpoints uncached", () => {
+    expect(getCachePolicy("/v1/indicators/sma/AAPL")).toBe(CACHE_POLICIES.intraday);
+    expect(getCachePolicy("/v2/aggs/ticker/AAPL/prev")).toBe(CACHE_POLICIES.previousClose);
+    expect(getCachePolicy("/v1/marketstatus/now")).toBe(CACHE_POLICIES.marketStatus);
+    expect(getCachePolicy("/v2/last/trade/AAPL")).toBe(CACHE_POLICIES.realtime);
+    expect(getCachePolicy("/v3/snapshot")).toBe(CACHE_POLICIES.realtime);
+    expect(getCachePolicy("/v1/unknown")).toBe(CACHE_POLICIES.none);
+  });
+});
@@ -0,0 +1,103 @@
+import {
+  countTradingDays,
+  getSession,
+  listHolidays,
+  shiftTradingDays,
+} from "../../src/functions/tradingCalendar";
+
+// The built-in rules only, as when Polygon's upcoming holidays cannot be fetched.
+const calendar = { exceptions: new Map() };
+
+describe("listHolidays", () => {
+  test("follows the exchange rules for a year", () => {
+    expect(
+      listHolidays(2024, calendar).map(({ date, name, status }) => [date, name, status])
+    ).toEqual([
+      ["2024-01-01", "New Year's Day", "closed"],
+      ["2024-01-15", "Martin Luther King, Jr. Day", "closed"],
+      ["2024-02-19", "Washington's Birthday", "closed"],
+      ["2024-03-29", "Good Friday", "closed"],
+      ["2024-05-27", "Memorial Day", "closed"],
+      ["2024-06-19", "Juneteenth", "closed"],
+      ["2024-07-03", "Independence Day", "early-close"],
+      ["2024-07-04", "Independence Day", "closed"],
+      ["2024-09-02", "Labor Day", "closed"],
+      ["2024-11-28", "Thanksgiving", "closed"],
+      ["2024-11-29", "Thanksgiving", "early-close"],
+      ["2024-12-24", "Christmas", "early-close"],
+      ["2024-12-25", "Christmas", "closed"],
+    ]);
+  });
+
+  test("moves weekend holidays to the nearest weekday", () => {
+    const dates = listHolidays(2027, calendar).map((holiday) => holiday.date);
+    // Juneteenth and Independence Day 2027 fall on a Saturday and a Sunday.
+    expect(dates).toContain("2027-06-18");
+    expect(dates).toContain("2027-07-05");
+    // Christmas 2027 is on a Saturday, so Christmas Eve is the observed holiday, not an early close.
+    expect(
+      listHolidays(2027, calendar).find((holiday) => holiday.date === "2027-12-24").status
+    ).toBe("closed");
+  });
+
+  test("does not make up New Year's Day on a Saturday", () => {
+    expect(listHolidays(2021, calendar).map((holiday) => holiday.date)).not.toContain("2021-12-31");
+  });
+
+  test("includes unscheduled closures", () => {
+    expect(listHolidays(2025, calendar).find((holiday) => holiday.date === "2025-01-09").name).toBe(
+      "Day of mourning for President Carter"
+    );
+  });
+
+  test("adds Polygon's upcoming holidays to the rules", () => {
+    const withUpcoming = {
+      exceptions: new Map([["2024-10-16", { name: "Storm closure", status: "closed" }]]),
+    };
+    expect(getSession("2024-10-16", withUpcoming)).toBeNull();
+    expect(listHolidays(2024, withUpcoming).map((holiday) => holiday.date)).toContain("2024-10-16");
+  });
+});
+
+describe("getSession", () => {
+  test("opens at 9:30 and closes at 16:00 New York time", () => {
+    const session = getSession("2024-03-15", calendar);
+    expect(new Date(session.open).toISOString()).toBe("2024-03-15T13:30:00.000Z");
+    expect(new Date(session.close).toISOString()).toBe("2024-03-15T20:00:00.000Z");
+    expect(session.earlyClose).toBe(false);
+  });
+
+  test("closes at 13:00 on early-close days", () => {
+    const session = getSession("2024-11-29", calendar);
+    expect(new Date(session.close).toISOString()).toBe("2024-11-29T18:00:00.000Z");
+    expect(session.earlyClose).toBe(true);
+  });
+
+  test("has no session on weekends and holidays", () => {
+    expect(getSession("2024-03-16", calendar)).toBeNull();
+    expect(getSession("2024-03-29", calendar)).toBeNull();
+  });
+});
+
+describe("shiftTradingDays", () => {
+  test("skips weekends and holidays", () => {
+    // Thursday before Good Friday to the Monday after Easter.
+    expect(shiftTradingDays("2024-03-28", 1, calendar)).toBe("2024-04-01");
+    expect(shiftTradingDays("2024-04-01", -1, calendar)).toBe("2024-03-28");
+    expect(shiftTradingDays("2024-12-23", 2, calendar)).toBe("2024-12-26");
+  });
+
+  test("does not count the start date", () => {
+    expect(shiftTradingDays("2024-03-16", 1, calendar)).toBe("2024-03-18");
+    expect(shiftTradingDays("2024-03-16", -1, calendar)).toBe("2024-03-15");
+    expect(shiftTradingDays("2024-03-15", 0, calendar)).toBe("2024-03-15");
+  });
+});
+
+describe("countTradingDays", () => {
+  test("counts consecutive trading days as one apart", () => {
+    expect(countTradingDays("2024-03-28", "2024-04-01", calendar)).toBe(1);
+    expect(countTradingDays("2024-01-02", "2024-12-31", calendar)).toBe(251);
+    expect(countTradingDays("2024-04-01", "2024-03-28", calendar)).toBe(-1);
+  });
+});